@@ -0,0 +1,383 @@
+#!/usr/bin/env node
+/**
+ * Device Administration CLI
+ *
+ * Manages devices directly through DeviceModel and the configured storage
+ * backend - works while the HTTP server is down. Every change is recorded
+ * in the audit log with actor "cli:<username>".
+ *
+ * USAGE:
+ *   node bin/devices.js <command> [arguments] [--json]
+ *
+ * COMMANDS:
+ *   list [--status <status>] [--tenant <id>]  List devices
+ *   show <deviceId>                           Show one device
+ *   search <text>                             Find devices by id or metadata value
+ *   register <deviceId> [--template <name>] [--metadata <json>]
+ *            [--tenant <id>] [--groups <a,b>] Register a device (prints its secret once)
+ *   revoke <deviceId> [--reason <text>]       Revoke a device
+ *   suspend <deviceId> [--reason <text>] [--until <ISO date>]
+ *                                             Suspend a device
+ *   reactivate <deviceId> [--reason <text>]   Reactivate a suspended/revoked device
+ *   export [--out <file>]                     All devices as JSON (no secrets)
+ *   log [--device <id>] [--event <types>] [--lines <n>] [--follow]
+ *                                             Show (and follow) the audit log
+ *
+ *   --json   Machine-readable output
+ *
+ * ⚠️ With STORAGE_BACKEND=json, don't change devices while the server is
+ * running: it keeps its own copy in memory and would overwrite the change
+ * on its next save. Reading (list, show, search, export, log) is safe.
+ */
+
+const fs = require('fs');
+
+const { out, parseArgs, loadModels, cliActor, printTable } = require('../lib/cli');
+const { canonicalDeviceId } = require('../lib/deviceId');
+
+const USAGE = `Usage: node bin/devices.js <command> [arguments] [--json]
+
+Commands:
+  list [--status <status>] [--tenant <id>]
+  show <deviceId>
+  search <text>
+  register <deviceId> [--template <name>] [--metadata <json>] [--tenant <id>] [--groups <a,b>]
+  revoke <deviceId> [--reason <text>]
+  suspend <deviceId> [--reason <text>] [--until <ISO date>]
+  reactivate <deviceId> [--reason <text>]
+  export [--out <file>]
+  log [--device <id>] [--event <types>] [--lines <n>] [--follow]`;
+
+const COMMANDS = ['list', 'show', 'search', 'register', 'revoke', 'suspend', 'reactivate', 'export', 'log'];
+
+const DEVICE_COLUMNS = ['deviceId', 'tenant', 'status', 'template', 'firmware', 'lastAuthAt'];
+
+// ============================================
+// OUTPUT HELPERS
+// ============================================
+
+/**
+ * Flatten a device for the list table
+ *
+ * @param {object} device - Device (no secrets)
+ * @returns {object} Row with DEVICE_COLUMNS keys
+ */
+function deviceRow(device) {
+  return {
+    deviceId: device.deviceId,
+    tenant: device.tenantId,
+    status: device.status,
+    template: device.permissions ? '(custom)' : device.permissionTemplate || 'default',
+    firmware: device.metadata && device.metadata.firmwareVersion,
+    lastAuthAt: device.lastAuthAt
+  };
+}
+
+/**
+ * Print one audit log entry on one line
+ *
+ * @param {object} entry - Audit log entry
+ */
+function printLogEntry(entry) {
+  out([
+    entry.timestamp,
+    entry.event.padEnd(22),
+    entry.deviceId || '-',
+    entry.reason || entry.actor || '',
+    entry.ip || ''
+  ].join('  ').trimEnd());
+}
+
+/**
+ * Print a device: JSON, or one "key: value" line per field
+ *
+ * @param {object} device - Device (no secrets)
+ * @param {boolean} json - Machine-readable output
+ */
+function printDevice(device, json) {
+  if (json) {
+    out(JSON.stringify(device, null, 2));
+    return;
+  }
+
+  const width = Math.max(...Object.keys(device).map(key => key.length));
+
+  for (const [key, value] of Object.entries(device)) {
+    const text = value !== null && typeof value === 'object'
+      ? JSON.stringify(value, null, 2).replace(/\n/g, `\n${' '.repeat(width + 2)}`)
+      : String(value);
+    out(`${key.padEnd(width)}  ${text}`);
+  }
+}
+
+// ============================================
+// COMMANDS
+// ============================================
+
+/**
+ * Find a device by id as typed (exact, or canonicalised - see lib/deviceId.js)
+ * Exact matches still reach records whose id no enabled scheme accepts
+ *
+ * @param {object} deviceModel - DeviceModel instance
+ * @param {string} input - Device id from the command line
+ * @returns {string} Stored deviceId
+ * @throws {Error} If no such device
+ */
+function resolveDeviceId(deviceModel, input) {
+  if (!input) throw new Error('Missing deviceId');
+
+  if (deviceModel.getDevice(input)) return input;
+
+  const deviceId = canonicalDeviceId(input);
+  if (deviceId && deviceModel.getDevice(deviceId)) return deviceId;
+
+  throw new Error(`Device not found: ${input}`);
+}
+
+/**
+ * Follow the audit log: print entries as they're appended (Ctrl-C to stop)
+ *
+ * @param {string} filePath - Audit log path
+ * @param {function} filter - entry → boolean
+ * @param {function} print - entry → void
+ */
+function followLog(filePath, filter, print) {
+  let position = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  let partial = '';
+
+  fs.watchFile(filePath, { interval: 1000 }, stats => {
+    if (stats.size < position) position = 0;
+    // ↑ File was truncated/rotated - start from the top
+    if (stats.size === position) return;
+
+    const buffer = Buffer.alloc(stats.size - position);
+    const fd = fs.openSync(filePath, 'r');
+    fs.readSync(fd, buffer, 0, buffer.length, position);
+    fs.closeSync(fd);
+    position = stats.size;
+
+    const lines = (partial + buffer.toString('utf8')).split('\n');
+    partial = lines.pop();
+    // ↑ Keep an incomplete last line for the next read
+
+    for (const line of lines) {
+      try {
+        const entry = JSON.parse(line);
+        if (filter(entry)) print(entry);
+      } catch (error) {
+        // Skip torn lines
+      }
+    }
+  });
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+
+  if (!command || command === 'help' || command === '--help') {
+    out(USAGE);
+    return;
+  }
+
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  const { positional, flags, options } = parseArgs(rest, {
+    flags: ['json', 'follow'],
+    options: ['status', 'tenant', 'groups', 'template', 'metadata', 'reason', 'until', 'out', 'device', 'event', 'lines']
+  });
+  const json = Boolean(flags.json);
+
+  const { deviceModel, auditLog } = loadModels();
+  await deviceModel.ready;
+
+  const actor = cliActor();
+  const audit = (event, deviceId, details) => auditLog.record({ event, deviceId, actor, details });
+
+  switch (command) {
+    case 'list': {
+      const devices = deviceModel.listDevices()
+        .filter(device => !options.status || device.status === options.status)
+        .filter(device => !options.tenant || device.tenantId === options.tenant);
+
+      if (json) {
+        out(JSON.stringify(devices, null, 2));
+      } else {
+        printTable(devices.map(deviceRow), DEVICE_COLUMNS);
+        out(`\n${devices.length} device(s)`);
+      }
+      break;
+    }
+
+    case 'show': {
+      const deviceId = resolveDeviceId(deviceModel, positional[0]);
+      printDevice({
+        ...deviceModel.getDevice(deviceId),
+        effectivePermissions: deviceModel.resolvePermissions(deviceId)
+      }, json);
+      break;
+    }
+
+    case 'search': {
+      if (!positional[0]) throw new Error('Missing search text');
+
+      const devices = deviceModel.searchDevices(positional.join(' '));
+
+      if (json) {
+        out(JSON.stringify(devices, null, 2));
+      } else {
+        printTable(devices.map(deviceRow), DEVICE_COLUMNS);
+        out(`\n${devices.length} match(es)`);
+      }
+      break;
+    }
+
+    case 'register': {
+      if (!positional[0]) throw new Error('Missing deviceId');
+
+      let metadata = {};
+      if (options.metadata) {
+        try {
+          metadata = JSON.parse(options.metadata);
+        } catch (error) {
+          metadata = null;
+        }
+        if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+          throw new Error('--metadata must be a JSON object');
+        }
+      }
+
+      const credentials = await deviceModel.registerDevice(
+        positional[0],
+        metadata,
+        {
+          permissionTemplate: options.template,
+          tenantId: options.tenant,
+          groups: options.groups ? options.groups.split(',').map(group => group.trim()).filter(Boolean) : undefined
+        }
+      );
+      await audit('device.registered', credentials.deviceId, {
+        permissions: deviceModel.resolvePermissions(credentials.deviceId),
+        tenantId: deviceModel.getDevice(credentials.deviceId).tenantId
+      });
+
+      if (json) {
+        out(JSON.stringify(credentials, null, 2));
+      } else {
+        out(`✓ Registered ${credentials.deviceId}`);
+        out(`  Secret: ${credentials.secret}`);
+        out('  ⚠️ Shown only once - flash it to the device now');
+      }
+      break;
+    }
+
+    case 'revoke': {
+      const deviceId = resolveDeviceId(deviceModel, positional[0]);
+      const { firebaseSessionsRevoked } = await deviceModel.revokeDevice(deviceId, options.reason, actor);
+      await audit('device.revoked', deviceId, { reason: options.reason, firebaseSessionsRevoked });
+
+      if (json) {
+        out(JSON.stringify({ deviceId, status: 'revoked', firebaseSessionsRevoked }));
+      } else {
+        out(`✓ Revoked ${deviceId}`);
+        if (!firebaseSessionsRevoked) {
+          out('⚠️  Firebase sessions not revoked (offline?) - run POST /admin/devices/:deviceId/revoke-tokens later');
+        }
+      }
+      break;
+    }
+
+    case 'suspend': {
+      const deviceId = resolveDeviceId(deviceModel, positional[0]);
+
+      if (options.until !== undefined && isNaN(Date.parse(options.until))) {
+        throw new Error('--until must be an ISO 8601 date');
+      }
+
+      const device = await deviceModel.suspendDevice(deviceId, {
+        reason: options.reason,
+        until: options.until,
+        suspendedBy: actor
+      });
+      await audit('device.suspended', deviceId, { reason: options.reason, until: device.suspendedUntil });
+
+      if (json) {
+        out(JSON.stringify(device, null, 2));
+      } else {
+        out(`✓ Suspended ${deviceId}${device.suspendedUntil ? ` until ${device.suspendedUntil}` : ''}`);
+      }
+      break;
+    }
+
+    case 'reactivate': {
+      const deviceId = resolveDeviceId(deviceModel, positional[0]);
+      const previousStatus = deviceModel.getDevice(deviceId).status;
+
+      const device = await deviceModel.reactivateDevice(deviceId, {
+        reason: options.reason,
+        reactivatedBy: actor
+      });
+      await audit('device.reactivated', deviceId, { reason: options.reason, previousStatus });
+
+      if (json) {
+        out(JSON.stringify(device, null, 2));
+      } else {
+        out(`✓ Reactivated ${deviceId} (was ${previousStatus})`);
+      }
+      break;
+    }
+
+    case 'export': {
+      const data = JSON.stringify(deviceModel.listDevices(), null, 2) + '\n';
+
+      if (options.out) {
+        fs.writeFileSync(options.out, data);
+        console.error(`✓ Exported ${deviceModel.listDevices().length} devices to ${options.out}`);
+        // ↑ stderr, so stdout stays clean when piping
+      } else {
+        process.stdout.write(data);
+      }
+      break;
+    }
+
+    case 'log': {
+      const lines = options.lines === undefined ? 20 : Number(options.lines);
+      if (!Number.isInteger(lines) || lines < 0) {
+        throw new Error('--lines must be a non-negative integer');
+      }
+
+      const deviceId = options.device && (canonicalDeviceId(options.device) || options.device);
+      const events = options.event && options.event.split(',');
+      const print = json ? entry => out(JSON.stringify(entry)) : printLogEntry;
+
+      const entries = await auditLog.tail({ deviceId, events, limit: lines });
+      entries.forEach(print);
+
+      if (flags.follow) {
+        followLog(
+          auditLog.path,
+          entry => (!deviceId || entry.deviceId === deviceId) && (!events || events.includes(entry.event)),
+          print
+        );
+        return new Promise(() => {});
+        // ↑ Runs until Ctrl-C
+      }
+      break;
+    }
+  }
+
+  await auditLog.flush();
+  await deviceModel.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  // ↑ Exit explicitly - Firebase keeps connections open
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    if (/Unknown command|Unknown option|Missing|needs a value/.test(error.message)) {
+      console.error(`\n${USAGE}`);
+    }
+    process.exit(1);
+  });
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Bulk Provisioning CLI
+ *
+ * Registers every device in a CSV/JSON manifest directly in the device
+ * database (no running server needed) and writes the credentials file
+ * for the flashing station.
+ *
+ * USAGE:
+ *   node bin/provision.js <manifest.csv|manifest.json> [options]
+ *
+ * OPTIONS:
+ *   --output json|header|csv   Credentials file format (default: json)
+ *   --out <file>               Where to write it (default: credentials-<batchId>.<ext>)
+ *   --template <name>          Permission template for entries without permissions
+ *   --tenant <id>              Tenant for entries without a tenantId (default: "default")
+ *   --fail-on-duplicate        Reject the batch if any device is already registered
+ *
+ * ⚠️ With STORAGE_BACKEND=json, stop the server first (or use
+ * POST /admin/provision): a running server keeps its own copy of the
+ * file in memory and would overwrite these devices on its next save.
+ *
+ * Manifest format: see lib/provisioning.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { out, parseArgs, loadModels, cliActor } = require('../lib/cli');
+const { CREDENTIAL_FORMATS, newBatchId, parseManifest, renderCredentials } = require('../lib/provisioning');
+
+const USAGE = 'Usage: node bin/provision.js <manifest> [--output json|header|csv] [--out <file>] [--template <name>] [--tenant <id>] [--fail-on-duplicate]';
+
+async function main() {
+  const { positional, flags, options } = parseArgs(process.argv.slice(2), {
+    flags: ['fail-on-duplicate'],
+    options: ['output', 'out', 'template', 'tenant']
+  });
+
+  const [manifestPath] = positional;
+  if (positional.length !== 1) {
+    throw new Error(manifestPath ? `Unexpected argument: ${positional[1]}` : 'Missing manifest file');
+  }
+
+  const output = options.output || 'json';
+  const { deviceModel, auditLog } = loadModels();
+
+  if (!CREDENTIAL_FORMATS[output]) {
+    throw new Error(`--output must be one of: ${Object.keys(CREDENTIAL_FORMATS).join(', ')}`);
+  }
+
+  const { entries, errors } = parseManifest(
+    fs.readFileSync(manifestPath, 'utf8'),
+    path.extname(manifestPath).toLowerCase() === '.csv' ? 'csv' : undefined
+  );
+
+  if (errors.length) {
+    throw new Error(`Invalid manifest:\n  ${errors.join('\n  ')}`);
+  }
+
+  if (options.template) {
+    entries
+      .filter(entry => entry.permissionTemplate === undefined && entry.permissions === undefined)
+      .forEach(entry => { entry.permissionTemplate = options.template; });
+  }
+
+  if (options.tenant) {
+    entries
+      .filter(entry => entry.tenantId === undefined)
+      .forEach(entry => { entry.tenantId = options.tenant; });
+  }
+
+  await deviceModel.ready;
+
+  const batchId = newBatchId();
+  const { registered, skipped } = await deviceModel.registerDevices(entries, {
+    skipDuplicates: !flags['fail-on-duplicate'],
+    batchId
+  });
+
+  const actor = cliActor();
+  for (const { deviceId } of registered) {
+    auditLog.record({
+      event: 'device.registered',
+      deviceId,
+      actor,
+      details: {
+        batchId,
+        permissions: deviceModel.resolvePermissions(deviceId),
+        tenantId: deviceModel.getDevice(deviceId).tenantId
+      }
+    });
+  }
+
+  const outFile = options.out || `credentials-${batchId}.${CREDENTIAL_FORMATS[output].extension}`;
+  fs.writeFileSync(outFile, renderCredentials({ batchId, devices: registered, skipped }, output), { mode: 0o600 });
+  // ↑ 0600 = readable by the current user only (file contains secrets)
+
+  out(`✓ Batch ${batchId}: ${registered.length} registered, ${skipped.length} skipped`);
+  for (const { deviceId, reason } of skipped) {
+    out(`⚠️  Skipped ${deviceId}: ${reason}`);
+  }
+  out(`✓ Credentials written to ${outFile}`);
+
+  await auditLog.flush();
+  await deviceModel.close();
+}
+
+main()
+  .then(() => process.exit(0))
+  // ↑ Exit explicitly - Firebase keeps connections open
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    if (/Missing manifest|Unexpected argument|Unknown option|needs a value/.test(error.message)) {
+      console.error(USAGE);
+    }
+    process.exit(1);
+  });
@@ -0,0 +1,333 @@
+/**
+ * Certificate Authority (mutual TLS)
+ *
+ * With MTLS_ENABLED=true, devices can authenticate with a client
+ * certificate instead of a shared secret:
+ * 1. The server keeps a small CA in MTLS_CA_DIR (ca-key.pem + ca-cert.pem),
+ *    created on first use - or bring your own EC P-256 CA
+ * 2. Every device gets a client certificate at registration
+ *    (CN = canonical deviceId); its SHA-256 fingerprint is bound to the
+ *    device record (see models/device.js)
+ * 3. The server also listens for HTTPS on HTTPS_PORT and asks clients for a
+ *    certificate; POST /auth/token over it needs no secret (routes/auth.js)
+ *
+ * REVOCATION:
+ * No CRL/OCSP: the server only trusts a certificate whose fingerprint is
+ * the one on the device record, and that record says whether it's revoked
+ * or expired. Revoking (or reissuing) is a record update.
+ *
+ * KEYS:
+ * - Without a public key, the server generates the device's key pair and
+ *   returns the private key ONCE (like the secret) - flash it with the
+ *   certificate
+ * - With a public key (EC P-256, PEM), the private key never leaves the device
+ *
+ * The HTTPS certificate is TLS_CERT_PATH/TLS_KEY_PATH, or one issued by the
+ * CA at startup for TLS_HOSTNAMES - devices trust the CA certificate
+ * either way (GET /admin/ca).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createCertificate, keyIdentifier, subjectName, toPem, fingerprint } = require('./x509');
+const log = require('./logger').child({ component: 'ca' });
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const MTLS_ENABLED = process.env.MTLS_ENABLED === 'true';
+
+const CA_DIR = process.env.MTLS_CA_DIR || path.join(__dirname, '../database/ca');
+
+const CERT_VALIDITY_DAYS = parseInt(process.env.MTLS_CERT_DAYS) || 365;
+// ↑ Device (and generated server) certificates: 1 year
+
+const CA_VALIDITY_DAYS = 10 * 365;
+
+const CA_NAME = { commonName: 'ESP8266 Auth Server CA', organization: 'esp8266-auth-server' };
+
+const TLS_HOSTNAMES = (process.env.TLS_HOSTNAMES || 'localhost')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+// ↑ Names (and IPs) devices use to reach the HTTPS listener
+
+const CLOCK_SKEW_MS = 60 * 60 * 1000;
+// ↑ notBefore is backdated 1 hour: a device whose clock is slightly
+//   behind would otherwise reject (or present) a "not yet valid" certificate
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// CA KEY AND CERTIFICATE
+// ============================================
+
+let authority = null;
+// ↑ Loaded on first use (registration, HTTPS startup)
+
+/**
+ * Load the CA from MTLS_CA_DIR, creating it if the directory is empty
+ *
+ * @returns {object} { privateKey, certificate (X509Certificate), pem, name, keyId }
+ * @throws {Error} If only one of the files exists, or the key isn't EC
+ */
+function loadAuthority() {
+  if (authority) return authority;
+
+  const keyPath = path.join(CA_DIR, 'ca-key.pem');
+  const certPath = path.join(CA_DIR, 'ca-cert.pem');
+
+  if (!fs.existsSync(keyPath) && !fs.existsSync(certPath)) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const now = Date.now();
+
+    const der = createCertificate({
+      serialNumber: newSerialNumber(),
+      subject: CA_NAME,
+      issuer: CA_NAME,
+      notBefore: new Date(now - CLOCK_SKEW_MS),
+      notAfter: new Date(now + CA_VALIDITY_DAYS * DAY_MS),
+      publicKey,
+      signingKey: privateKey,
+      usage: 'ca'
+    });
+
+    fs.mkdirSync(CA_DIR, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(keyPath, privateKey.export({ type: 'sec1', format: 'pem' }), { mode: 0o600 });
+    fs.writeFileSync(certPath, toPem(der));
+    // ↑ ⚠️ Back up ca-key.pem: without it no certificate can be issued,
+    //   and a new CA means reflashing every device's trust anchor
+
+    log.info('Certificate authority created', { path: CA_DIR });
+  }
+
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(keyPath));
+  const certificate = new crypto.X509Certificate(fs.readFileSync(certPath));
+
+  if (privateKey.asymmetricKeyType !== 'ec') {
+    throw new Error(`CA key must be an EC key (${keyPath})`);
+  }
+  if (!certificate.checkPrivateKey(privateKey)) {
+    throw new Error(`CA key does not match the CA certificate (${CA_DIR})`);
+  }
+
+  authority = {
+    privateKey,
+    certificate,
+    pem: certificate.toString(),
+    name: subjectName(certificate.raw),
+    // ↑ Issuer name exactly as the CA certificate encodes it
+    keyId: keyIdentifier(certificate.publicKey)
+  };
+
+  return authority;
+}
+
+/**
+ * @returns {Buffer} 16 random bytes, high bit clear (positive without padding)
+ */
+function newSerialNumber() {
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+  return serial;
+}
+
+/**
+ * Issue a certificate signed by the CA
+ *
+ * @param {object} subject - { commonName, organization? }
+ * @param {crypto.KeyObject} publicKey - Subject's public key
+ * @param {string} usage - 'client' or 'server'
+ * @param {string[]} [altNames] - Server certificates: DNS names / IPs
+ * @returns {object} { der, serialNumber (hex), issuedAt, expiresAt }
+ */
+function issue(subject, publicKey, usage, altNames) {
+  const ca = loadAuthority();
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + CERT_VALIDITY_DAYS * DAY_MS);
+  const serialNumber = newSerialNumber();
+
+  const der = createCertificate({
+    serialNumber,
+    subject,
+    issuer: ca.name,
+    notBefore: new Date(issuedAt.getTime() - CLOCK_SKEW_MS),
+    notAfter: expiresAt,
+    publicKey,
+    signingKey: ca.privateKey,
+    authorityKeyId: ca.keyId,
+    usage,
+    altNames
+  });
+
+  return {
+    der,
+    serialNumber: serialNumber.toString('hex'),
+    issuedAt: issuedAt.toISOString(),
+    expiresAt: expiresAt.toISOString()
+  };
+}
+
+/**
+ * @param {string} pem - Device public key
+ * @returns {crypto.KeyObject}
+ * @throws {Error} If it isn't an EC P-256 public key
+ */
+function parsePublicKey(pem) {
+  let key;
+  try {
+    key = crypto.createPublicKey(pem);
+  } catch (error) {
+    throw new Error('publicKey must be a PEM public key');
+  }
+
+  if (key.asymmetricKeyType !== 'ec' || key.asymmetricKeyDetails.namedCurve !== 'prime256v1') {
+    throw new Error('publicKey must be an EC P-256 (prime256v1) key');
+    // ↑ The curve BearSSL on the ESP8266 handles fastest
+  }
+
+  return key;
+}
+
+// ============================================
+// FUNCTIONS
+// ============================================
+
+/**
+ * Issue a device's client certificate
+ *
+ * @param {string} deviceId - Canonical device id (becomes the CN)
+ * @param {object} [options]
+ * @param {string} [options.publicKey] - Device-generated EC P-256 public key (PEM);
+ *   omit to have the server generate the key pair
+ * @returns {object} {
+ *   serialNumber, fingerprint, issuedAt, expiresAt,
+ *   certificate (PEM), privateKey (PEM, or null with a publicKey), caCertificate (PEM)
+ * }
+ * @throws {Error} If MTLS is disabled or the public key is unsupported
+ */
+function issueDeviceCertificate(deviceId, { publicKey } = {}) {
+  if (!MTLS_ENABLED) {
+    throw new Error('Client certificates are disabled (set MTLS_ENABLED=true)');
+  }
+
+  let key;
+  let privateKey = null;
+
+  if (publicKey) {
+    key = parsePublicKey(publicKey);
+  } else {
+    const pair = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    key = pair.publicKey;
+    privateKey = pair.privateKey.export({ type: 'sec1', format: 'pem' });
+  }
+
+  const { der, serialNumber, issuedAt, expiresAt } = issue({ commonName: deviceId }, key, 'client');
+
+  log.info('Device certificate issued', { deviceId, serialNumber, expiresAt });
+
+  return {
+    serialNumber,
+    fingerprint: fingerprint(der),
+    issuedAt,
+    expiresAt,
+    certificate: toPem(der),
+    privateKey,
+    // ↑ ⚠️ Only returned here - never stored
+    caCertificate: loadAuthority().pem
+  };
+}
+
+/**
+ * Options for https.createServer(): server certificate, and client
+ * certificates requested (not required - secret-based devices and
+ * admin clients use the same listener)
+ *
+ * @returns {object} TLS options
+ */
+function serverTlsOptions() {
+  const ca = loadAuthority();
+  let key;
+  let cert;
+
+  if (process.env.TLS_CERT_PATH && process.env.TLS_KEY_PATH) {
+    key = fs.readFileSync(process.env.TLS_KEY_PATH);
+    cert = fs.readFileSync(process.env.TLS_CERT_PATH);
+  } else {
+    const pair = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const issued = issue({ commonName: TLS_HOSTNAMES[0] }, pair.publicKey, 'server', TLS_HOSTNAMES);
+
+    key = pair.privateKey.export({ type: 'pkcs8', format: 'pem' });
+    cert = toPem(issued.der);
+    // ↑ New key and certificate on every start - devices pin the CA, not this
+
+    log.info('HTTPS certificate issued by the CA', { hostnames: TLS_HOSTNAMES, expiresAt: issued.expiresAt });
+  }
+
+  return {
+    key,
+    cert,
+    ca: ca.pem,
+    // ↑ Client certificates are checked against our CA only
+    requestCert: true,
+    rejectUnauthorized: false,
+    // ↑ The handshake succeeds without (or with a bad) certificate;
+    //   routes/auth.js decides, using clientCertificate()
+    minVersion: 'TLSv1.2'
+  };
+}
+
+/**
+ * Client certificate of a request (HTTPS listener only)
+ *
+ * @param {object} req - Express request
+ * @returns {object|null} { fingerprint, commonName, authorized, authorizationError },
+ *   or null for plain HTTP / no certificate sent.
+ *   authorized = chain verified against the CA and within its validity period
+ */
+function clientCertificate(req) {
+  const socket = req.socket;
+  if (!socket || typeof socket.getPeerCertificate !== 'function') return null;
+
+  const peer = socket.getPeerCertificate();
+  if (!peer || !peer.raw) return null;
+  // ↑ Empty object when the client sent no certificate
+
+  return {
+    fingerprint: fingerprint(peer.raw),
+    commonName: peer.subject && typeof peer.subject.CN === 'string' ? peer.subject.CN : null,
+    authorized: socket.authorized === true,
+    authorizationError: socket.authorizationError ? String(socket.authorizationError) : null
+    // ↑ e.g. CERT_HAS_EXPIRED, UNABLE_TO_VERIFY_LEAF_SIGNATURE (another CA)
+  };
+}
+
+/**
+ * The CA certificate devices install as trust anchor (GET /admin/ca)
+ *
+ * @returns {object|null} { certificate (PEM), fingerprint, subject, validFrom, validTo },
+ *   or null while MTLS is disabled
+ */
+function authorityInfo() {
+  if (!MTLS_ENABLED) return null;
+
+  const { certificate, pem } = loadAuthority();
+
+  return {
+    certificate: pem,
+    fingerprint: fingerprint(certificate.raw),
+    subject: certificate.subject,
+    validFrom: new Date(certificate.validFrom).toISOString(),
+    validTo: new Date(certificate.validTo).toISOString()
+  };
+}
+
+module.exports = {
+  MTLS_ENABLED,
+  issueDeviceCertificate,
+  serverTlsOptions,
+  clientCertificate,
+  authorityInfo
+};
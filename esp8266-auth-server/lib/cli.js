@@ -0,0 +1,130 @@
+/**
+ * Command-Line Helpers
+ *
+ * Shared by the tools in bin/:
+ * - Argument parsing (positional arguments, --flags and --options <value>)
+ * - Loading the models against the configured storage backend
+ * - Human-readable table output
+ *
+ * OUTPUT: command results go to stdout through out(); status messages
+ * logged by the models go to stderr, so `--json` output can be piped.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const out = console.log.bind(console);
+// ↑ Command results → stdout (model logs go to stderr, see loadModels)
+
+/**
+ * Parse command line arguments
+ *
+ * @param {string[]} args - process.argv.slice(2)
+ * @param {object} spec
+ * @param {string[]} [spec.flags] - Boolean options, e.g. ['json']  (--json)
+ * @param {string[]} [spec.options] - Options taking a value, e.g. ['out']  (--out file)
+ * @returns {{ positional: string[], flags: object, options: object }}
+ * @throws {Error} On unknown or incomplete options
+ */
+function parseArgs(args, { flags = [], options = [] } = {}) {
+  const result = { positional: [], flags: {}, options: {} };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (!arg.startsWith('--')) {
+      result.positional.push(arg);
+      continue;
+    }
+
+    const name = arg.slice(2);
+
+    if (flags.includes(name)) {
+      result.flags[name] = true;
+    } else if (options.includes(name)) {
+      if (args[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      result.options[name] = args[++i];
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Load the models, initialising Firebase first when it's configured
+ *
+ * Firebase is needed for STORAGE_BACKEND=firebase, and lets revocations
+ * reach Firebase sessions. Without it, everything else works offline.
+ *
+ * @returns {{ deviceModel: object, auditLog: object }}
+ */
+function loadModels() {
+  require('dotenv').config({ path: path.join(__dirname, '../.env'), quiet: true });
+
+  const serviceAccountPath = process.env.SERVICE_ACCOUNT_PATH && path.resolve(process.env.SERVICE_ACCOUNT_PATH);
+
+  if (serviceAccountPath && fs.existsSync(serviceAccountPath)) {
+    const admin = require('firebase-admin');
+    admin.initializeApp({
+      credential: admin.credential.cert(require(serviceAccountPath)),
+      databaseURL: process.env.DATABASE_URL
+    });
+  } else if (process.env.STORAGE_BACKEND === 'firebase') {
+    throw new Error('STORAGE_BACKEND=firebase needs SERVICE_ACCOUNT_PATH');
+  }
+
+  require('./logger').configure({
+    stream: process.stderr,
+    format: process.env.LOG_FORMAT || 'pretty'
+  });
+  // ↑ Model logs ("Devices loaded" ...) → stderr, readable unless LOG_FORMAT says otherwise
+
+  return {
+    deviceModel: require('../models/device'),
+    auditLog: require('../models/auditLog')
+    // ↑ Required after Firebase init - the models open storage on load
+  };
+}
+
+/**
+ * Actor recorded in the audit log for CLI actions
+ *
+ * @returns {string} e.g. "cli:alice"
+ */
+function cliActor() {
+  return `cli:${os.userInfo().username}`;
+}
+
+/**
+ * Print rows as an aligned text table
+ *
+ * @param {object[]} rows - Objects to print
+ * @param {string[]} columns - Keys to print, in order (also the header)
+ */
+function printTable(rows, columns) {
+  const cells = rows.map(row => columns.map(column => {
+    const value = row[column];
+    return value === null || value === undefined ? '-' : String(value);
+  }));
+
+  const widths = columns.map((column, i) =>
+    Math.max(column.length, ...cells.map(row => row[i].length))
+  );
+
+  const format = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  out(format(columns));
+  out(format(widths.map(width => '-'.repeat(width))));
+  cells.forEach(row => out(format(row)));
+}
+
+module.exports = {
+  out,
+  parseArgs,
+  loadModels,
+  cliActor,
+  printTable
+};
@@ -0,0 +1,113 @@
+/**
+ * Device Identifiers
+ *
+ * One place that decides what a valid deviceId is and how it's written.
+ * Every entry point (auth and admin routes, provisioning, CLI) passes ids
+ * through here, so "5c-cf-7f-12-34-56" and "5C:CF:7F:12:34:56" are the
+ * same device everywhere - and the stored key is always the canonical form.
+ *
+ * SCHEMES (DEVICE_ID_SCHEMES, comma-separated, default "mac"):
+ *   mac     MAC address, any case, separated by ":", "-", "." or nothing
+ *             5ccf7f123456, 5C-CF-7F-12-34-56 → 5C:CF:7F:12:34:56
+ *   chipid  ESP chip id (ESP.getChipId(), hex) with a "chip" prefix
+ *             chip-a1b2c3, CHIP:00A1B2C3      → CHIP-00A1B2C3
+ *   serial  Serial number with an "sn" prefix, 3-32 letters/digits/dashes
+ *             sn-ab12-0042, SN:AB12-0042      → SN-AB12-0042
+ *
+ * Schemes are tried in that order; the first match wins. The canonical id
+ * is also the device's Firebase uid, so it must never change once issued.
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const SCHEMES = {
+  mac: {
+    label: 'a MAC address',
+    example: '5C:CF:7F:12:34:56',
+    canonical(input) {
+      const hex = input.replace(/[:\-.]/g, '').toUpperCase();
+      if (!/^[0-9A-F]{12}$/.test(hex)) return null;
+      return hex.match(/../g).join(':');
+    }
+  },
+
+  chipid: {
+    label: 'a chip id',
+    example: 'CHIP-00A1B2C3',
+    canonical(input) {
+      const match = /^chip[-:_]?([0-9a-f]{1,8})$/i.exec(input);
+      return match ? `CHIP-${match[1].toUpperCase().padStart(8, '0')}` : null;
+      // ↑ Zero-padded: getChipId() prints without leading zeros
+    }
+  },
+
+  serial: {
+    label: 'a serial number',
+    example: 'SN-AB12-0042',
+    canonical(input) {
+      const match = /^sn[-:_]?([A-Za-z0-9][A-Za-z0-9-]{2,31})$/i.exec(input);
+      return match ? `SN-${match[1].toUpperCase()}` : null;
+    }
+  }
+};
+
+const ENABLED_SCHEMES = (process.env.DEVICE_ID_SCHEMES || 'mac')
+  .split(',')
+  .map(scheme => scheme.trim())
+  .filter(Boolean);
+
+for (const scheme of ENABLED_SCHEMES) {
+  if (!SCHEMES[scheme]) {
+    throw new Error(`Unknown DEVICE_ID_SCHEMES entry: ${scheme} (expected ${Object.keys(SCHEMES).join(', ')})`);
+  }
+}
+// ↑ Fail at startup rather than rejecting every device later
+
+// ============================================
+// FUNCTIONS
+// ============================================
+
+/**
+ * Canonical form of a device identifier
+ *
+ * @param {*} input - Identifier as received (body, URL, manifest, CLI)
+ * @returns {string|null} Canonical id, or null if no enabled scheme accepts it
+ */
+function canonicalDeviceId(input) {
+  if (typeof input !== 'string') return null;
+
+  const trimmed = input.trim();
+
+  for (const scheme of ENABLED_SCHEMES) {
+    const canonical = SCHEMES[scheme].canonical(trimmed);
+    if (canonical) return canonical;
+  }
+
+  return null;
+}
+
+/**
+ * Canonical form of a device identifier, or an error explaining the format
+ *
+ * @param {*} input - Identifier as received
+ * @returns {string} Canonical id
+ * @throws {Error} If no enabled scheme accepts it
+ */
+function parseDeviceId(input) {
+  const canonical = canonicalDeviceId(input);
+
+  if (!canonical) {
+    const expected = ENABLED_SCHEMES.map(scheme => `${SCHEMES[scheme].label} (e.g. ${SCHEMES[scheme].example})`).join(' or ');
+    throw new Error(`Invalid deviceId "${String(input).slice(0, 64)}": expected ${expected}`);
+  }
+
+  return canonical;
+}
+
+module.exports = {
+  DEVICE_ID_SCHEMES: ENABLED_SCHEMES,
+  canonicalDeviceId,
+  parseDeviceId
+};
@@ -0,0 +1,214 @@
+/**
+ * Structured Logger
+ *
+ * One JSON object per line on stdout:
+ *   {"time":"2024-01-15T10:30:00.000Z","level":"info","msg":"Token issued",
+ *    "requestId":"0b8e...","component":"auth","deviceId":"5C:CF:7F:12:34:56","durationMs":48}
+ *
+ * CONFIGURATION (.env):
+ *   LOG_LEVEL=info     error, warn, info (default) or debug
+ *   LOG_FORMAT=json    json (default) or pretty (one readable line, for development)
+ *
+ * REQUEST IDS:
+ * - middleware/requestLogger.js runs each request inside a context holding
+ *   its id; every line logged while handling it - routes and models alike -
+ *   carries `requestId` without it being passed around
+ *
+ * REDACTION (always on):
+ * - Values of sensitive fields (secret, customToken, idToken, ...) become
+ *   "[REDACTED]", at any depth
+ * - Anything that looks like a JWT is redacted wherever it appears,
+ *   messages and error stacks included
+ *
+ * USAGE:
+ *   const log = require('../lib/logger').child({ component: 'device' });
+ *   log.info('Device registered', { deviceId });
+ *   log.error('Error saving devices', { error });
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const REDACTED = '[REDACTED]';
+
+const SENSITIVE_FIELDS = new Set([
+  'secret',
+  'previoussecret',
+  'secrethash',
+  'challengekey',
+  'customtoken',
+  'accesstoken',
+  'idtoken',
+  'refreshtoken',
+  'authorization',
+  'x-api-key',
+  'apikey',
+  'password',
+  'privatekey',
+  'private_key'
+]);
+// ↑ Compared lower-case
+
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+// ↑ Custom tokens, ID tokens, ... (base64url header always starts with "eyJ")
+
+// ============================================
+// STATE
+// ============================================
+
+const context = new AsyncLocalStorage();
+// ↑ { requestId } of the request being handled
+
+const settings = {
+  level: LEVELS[process.env.LOG_LEVEL] !== undefined ? LEVELS[process.env.LOG_LEVEL] : LEVELS.info,
+  format: process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json',
+  stream: process.stdout
+};
+
+// ============================================
+// REDACTION
+// ============================================
+
+/**
+ * @param {string} text - Any string
+ * @returns {string} The string with JWTs replaced
+ */
+function redactString(text) {
+  return text.replace(JWT_PATTERN, REDACTED);
+}
+
+/**
+ * Copy a value for logging, with sensitive fields redacted
+ *
+ * @param {*} value - Fields, error, array, ...
+ * @param {WeakSet} [seen] - Objects already visited (cycles)
+ * @returns {*} JSON-safe copy
+ */
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (value === null || typeof value !== 'object') return value;
+
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+
+  if (seen.has(value)) return '[Circular]';
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return redact({ message: value.message, code: value.code, stack: value.stack }, seen);
+  }
+
+  if (Array.isArray(value)) return value.map(item => redact(item, seen));
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    copy[key] = SENSITIVE_FIELDS.has(key.toLowerCase()) ? REDACTED : redact(item, seen);
+  }
+  return copy;
+}
+
+// ============================================
+// OUTPUT
+// ============================================
+
+/**
+ * Render an entry as one readable line (LOG_FORMAT=pretty)
+ */
+function prettyLine({ time, level, msg, requestId, ...fields }) {
+  const extras = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${requestId ? ` [${requestId}]` : ''}${extras ? ` ${extras}` : ''}`;
+}
+
+/**
+ * Write one log entry
+ *
+ * @param {string} level - error, warn, info or debug
+ * @param {object} bindings - Fields of the (child) logger
+ * @param {string} msg - Message
+ * @param {object} [fields] - Extra fields
+ */
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] > settings.level) return;
+
+  const store = context.getStore();
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(msg)),
+    ...(store ? { requestId: store.requestId } : {}),
+    ...redact({ ...bindings, ...fields })
+  };
+
+  settings.stream.write(`${settings.format === 'pretty' ? prettyLine(entry) : JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Create a logger that adds `bindings` to every line
+ *
+ * @param {object} [bindings] - e.g. { component: 'auth' }
+ * @returns {object} { error, warn, info, debug, child }
+ */
+function createLogger(bindings = {}) {
+  return {
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    child: extra => createLogger({ ...bindings, ...extra })
+  };
+}
+
+// ============================================
+// CONTEXT AND CONFIGURATION
+// ============================================
+
+/**
+ * Run a function with a request id attached to every line it logs
+ *
+ * @param {{ requestId: string }} store - Request context
+ * @param {function} fn - Function to run (e.g. Express next)
+ * @returns {*} Its return value
+ */
+function runWithContext(store, fn) {
+  return context.run(store, fn);
+}
+
+/**
+ * @returns {string|null} Id of the request being handled, if any
+ */
+function currentRequestId() {
+  const store = context.getStore();
+  return store ? store.requestId : null;
+}
+
+/**
+ * Override settings (e.g. the CLI logs to stderr in pretty format)
+ *
+ * @param {object} options
+ * @param {string} [options.level] - error, warn, info or debug
+ * @param {string} [options.format] - json or pretty
+ * @param {object} [options.stream] - Writable stream
+ */
+function configure({ level, format, stream } = {}) {
+  if (level !== undefined && LEVELS[level] !== undefined) settings.level = LEVELS[level];
+  if (format !== undefined) settings.format = format === 'pretty' ? 'pretty' : 'json';
+  if (stream !== undefined) settings.stream = stream;
+}
+
+module.exports = createLogger();
+module.exports.LEVELS = LEVELS;
+module.exports.redact = redact;
+module.exports.runWithContext = runWithContext;
+module.exports.currentRequestId = currentRequestId;
+module.exports.configure = configure;
@@ -0,0 +1,272 @@
+/**
+ * Prometheus Metrics
+ *
+ * A small in-process registry that renders the Prometheus text format
+ * (version 0.0.4) - enough for the handful of metrics below without
+ * pulling in a client library.
+ *
+ * METRICS:
+ *   esp8266_auth_tokens_issued_total{flow, restricted}    Tokens issued (flow: secret, challenge,
+ *                                                         certificate or refresh)
+ *   esp8266_auth_failures_total{reason}                   Failed authentications
+ *                                                         (same reasons as auth.failed audit entries)
+ *   esp8266_auth_custom_token_duration_seconds            Token signing latency, either issuer (histogram)
+ *   esp8266_auth_rate_limited_total                       Requests rejected by the /auth rate limiter
+ *   esp8266_auth_devices{status}                          Registered devices per status (gauge)
+ *   esp8266_auth_storage_save_duration_seconds{backend}   saveDevices() latency (histogram)
+ *   esp8266_auth_storage_save_errors_total{backend}       saveDevices() failures
+ *
+ * Counters live in memory and restart from 0 with the process
+ * (Prometheus' rate()/increase() handle resets).
+ *
+ * Served by routes/metrics.js.
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+// ↑ Seconds - createCustomToken signs locally (ms), Firebase/SQLite writes can take longer
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Render a label set: { status: 'active' } → status="active"
+ *
+ * @param {string[]} labelNames - Allowed labels, in output order
+ * @param {object} labels - Label values
+ * @returns {string} Rendered labels (without braces), '' if none
+ */
+function renderLabels(labelNames, labels = {}) {
+  return labelNames
+    .map(name => {
+      const value = String(labels[name] === undefined ? '' : labels[name])
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+      return `${name}="${value}"`;
+    })
+    .join(',');
+}
+
+/**
+ * metric{labels} value
+ */
+function sample(name, labels, value) {
+  return `${name}${labels ? `{${labels}}` : ''} ${value}`;
+}
+
+// ============================================
+// METRIC TYPES
+// ============================================
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+
+    this.values = new Map();
+    // ↑ rendered labels → count
+  }
+
+  /**
+   * @param {object} [labels] - Label values
+   * @param {number} [value=1] - Amount to add
+   */
+  inc(labels = {}, value = 1) {
+    const key = renderLabels(this.labelNames, labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+
+    if (this.labelNames.length === 0 && this.values.size === 0) {
+      lines.push(sample(this.name, '', 0));
+      // ↑ Unlabelled counters are always present, even before the first event
+    }
+
+    for (const [labels, value] of this.values) {
+      lines.push(sample(this.name, labels, value));
+    }
+
+    return lines.join('\n');
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+
+    this.series = new Map();
+    // ↑ rendered labels → { counts: number[] (per bucket), sum, count }
+  }
+
+  /**
+   * @param {object} labels - Label values
+   * @param {number} value - Observation (seconds)
+   */
+  observe(labels, value) {
+    const key = renderLabels(this.labelNames, labels);
+    let series = this.series.get(key);
+
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start timing; call the returned function when done
+   *
+   * @param {object} [labels] - Label values
+   * @returns {function(): number} Stops the timer and records the duration (seconds)
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+
+    return () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe(labels, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+
+    for (const [labels, { counts, sum, count }] of this.series) {
+      const prefix = labels ? `${labels},` : '';
+
+      this.buckets.forEach((bound, i) => {
+        lines.push(sample(`${this.name}_bucket`, `${prefix}le="${bound}"`, counts[i]));
+      });
+      lines.push(sample(`${this.name}_bucket`, `${prefix}le="+Inf"`, count));
+      lines.push(sample(`${this.name}_sum`, labels, sum));
+      lines.push(sample(`${this.name}_count`, labels, count));
+    }
+
+    return lines.join('\n');
+  }
+}
+
+class Gauge {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {string[]} labelNames - Label names
+   * @param {function(): Array<{ labels: object, value: number }>} collect - Read at scrape time
+   */
+  constructor(name, help, labelNames, collect) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`];
+
+    for (const { labels, value } of this.collect()) {
+      lines.push(sample(this.name, renderLabels(this.labelNames, labels), value));
+    }
+
+    return lines.join('\n');
+  }
+}
+
+// ============================================
+// REGISTRY
+// ============================================
+
+const registry = [];
+
+function register(metric) {
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Add a gauge whose values are read at scrape time
+ * (e.g. device counts - cheaper than updating on every change)
+ *
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {string[]} labelNames - Label names
+ * @param {function(): Array<{ labels: object, value: number }>} collect
+ */
+function gauge(name, help, labelNames, collect) {
+  return register(new Gauge(name, help, labelNames, collect));
+}
+
+/**
+ * @returns {string} Every metric in Prometheus text format
+ */
+function render() {
+  return `${registry.map(metric => metric.render()).join('\n')}\n`;
+}
+
+// ============================================
+// METRICS
+// ============================================
+
+const tokensIssued = register(new Counter(
+  'esp8266_auth_tokens_issued_total',
+  'Custom tokens issued to devices',
+  ['flow', 'restricted']
+));
+
+const authFailures = register(new Counter(
+  'esp8266_auth_failures_total',
+  'Failed device authentications by reason',
+  ['reason']
+));
+
+const customTokenDuration = register(new Histogram(
+  'esp8266_auth_custom_token_duration_seconds',
+  'Time spent signing device tokens (Firebase custom token or self-hosted JWT)'
+));
+
+const rateLimited = register(new Counter(
+  'esp8266_auth_rate_limited_total',
+  'Requests rejected by the /auth rate limiter'
+));
+
+const storageSaveDuration = register(new Histogram(
+  'esp8266_auth_storage_save_duration_seconds',
+  'Time spent saving devices to storage',
+  ['backend']
+));
+
+const storageSaveErrors = register(new Counter(
+  'esp8266_auth_storage_save_errors_total',
+  'Failed device storage saves',
+  ['backend']
+));
+
+module.exports = {
+  CONTENT_TYPE,
+  tokensIssued,
+  authFailures,
+  customTokenDuration,
+  rateLimited,
+  storageSaveDuration,
+  storageSaveErrors,
+  gauge,
+  render
+};
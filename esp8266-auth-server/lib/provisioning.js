@@ -0,0 +1,346 @@
+/**
+ * Bulk Provisioning Helpers
+ *
+ * Shared by POST /admin/provision and bin/provision.js:
+ * 1. Parse a CSV or JSON manifest into validated, normalised entries
+ * 2. Render the credentials file for the flashing station
+ *
+ * MANIFEST FORMAT:
+ *
+ * CSV (header row required):
+ *   mac,permissionTemplate,location,hardwareVersion
+ *   5c:cf:7f:12:34:56,sensor,Line 3,ESP-12F
+ *   5CCF7F123457,,Line 3,ESP-12F
+ *
+ * JSON (array, or { "devices": [...] }):
+ *   [{ "deviceId": "5C:CF:7F:12:34:56", "permissionTemplate": "sensor",
+ *      "metadata": { "location": "Line 3" } }]
+ *
+ * Ids are canonicalised (see lib/deviceId.js): "5ccf7f123457" → "5C:CF:7F:12:34:57".
+ *
+ * Recognised fields: deviceId (or mac), permissionTemplate, permissions
+ * and groups (CSV: separated by ";"), tenantId, metadata (JSON only).
+ * Any other field/column is stored in the device's metadata.
+ */
+
+const crypto = require('crypto');
+const { canonicalDeviceId } = require('./deviceId');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const MAX_MANIFEST_ENTRIES = parseInt(process.env.MAX_MANIFEST_ENTRIES) || 1000;
+// ↑ Upper bound on devices per batch
+
+const CREDENTIAL_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  header: { contentType: 'text/x-c', extension: 'h' },
+  csv: { contentType: 'text/csv', extension: 'csv' }
+};
+
+const RESERVED_FIELDS = ['deviceId', 'mac', 'permissionTemplate', 'permissions', 'tenantId', 'groups', 'metadata'];
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+        // ↑ "" inside quotes = literal quote
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+  // ↑ Ignore blank lines
+}
+
+/**
+ * Turn CSV rows into manifest records (one object per data row)
+ *
+ * @param {string} text - CSV text
+ * @returns {object[]} Records keyed by header name
+ */
+function csvToRecords(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim());
+
+  return rows.map(fields => {
+    const record = {};
+    columns.forEach((column, i) => {
+      const value = (fields[i] || '').trim();
+      if (column && value) record[column] = value;
+      // ↑ Empty cells = field not set
+    });
+
+    for (const listField of ['permissions', 'groups']) {
+      if (record[listField]) {
+        record[listField] = record[listField].split(';').map(item => item.trim()).filter(Boolean);
+      }
+    }
+
+    return record;
+  });
+}
+
+/**
+ * Parse and validate a manifest
+ *
+ * Duplicates are NOT errors here - the caller decides whether to skip them.
+ *
+ * @param {string|object[]|object} manifest - CSV text, JSON text, or parsed JSON
+ * @param {string} [format] - 'csv' or 'json' (guessed from the content if omitted)
+ * @returns {{ entries: object[], errors: string[] }}
+ *   entries: [{ deviceId, metadata, permissionTemplate?, permissions?, tenantId?, groups? }]
+ *   errors: one message per invalid entry ("Entry 3: invalid MAC address ...")
+ */
+function parseManifest(manifest, format) {
+  let records;
+
+  if (typeof manifest === 'string') {
+    const text = manifest.replace(/^\uFEFF/, '');
+    // ↑ Strip the byte-order mark spreadsheet exports often add
+    const detected = format || (/^\s*[[{]/.test(text) ? 'json' : 'csv');
+
+    if (detected === 'csv') {
+      records = csvToRecords(text);
+    } else if (detected === 'json') {
+      try {
+        records = JSON.parse(text);
+      } catch (error) {
+        return { entries: [], errors: [`Invalid JSON: ${error.message}`] };
+      }
+    } else {
+      return { entries: [], errors: [`Unknown manifest format: ${format} (expected csv or json)`] };
+    }
+  } else {
+    records = manifest;
+  }
+
+  if (records && !Array.isArray(records) && Array.isArray(records.devices)) {
+    records = records.devices;
+  }
+
+  if (!Array.isArray(records) || records.length === 0) {
+    return { entries: [], errors: ['Manifest contains no devices'] };
+  }
+
+  if (records.length > MAX_MANIFEST_ENTRIES) {
+    return { entries: [], errors: [`Manifest has ${records.length} devices (max ${MAX_MANIFEST_ENTRIES})`] };
+  }
+
+  const entries = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const label = `Entry ${index + 1}`;
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    const rawId = record.deviceId || record.mac;
+    const deviceId = canonicalDeviceId(rawId);
+
+    if (!deviceId) {
+      errors.push(`${label}: invalid deviceId "${rawId || ''}"`);
+      return;
+    }
+
+    if (record.metadata !== undefined && (typeof record.metadata !== 'object' || Array.isArray(record.metadata))) {
+      errors.push(`${label} (${deviceId}): metadata must be an object`);
+      return;
+    }
+
+    const metadata = { ...record.metadata };
+    for (const [key, value] of Object.entries(record)) {
+      if (!RESERVED_FIELDS.includes(key)) metadata[key] = value;
+    }
+
+    const entry = { deviceId, metadata };
+    if (record.permissionTemplate !== undefined) entry.permissionTemplate = record.permissionTemplate;
+    if (record.permissions !== undefined) entry.permissions = record.permissions;
+    if (record.tenantId !== undefined) entry.tenantId = record.tenantId;
+    if (record.groups !== undefined) entry.groups = record.groups;
+
+    entries.push(entry);
+  });
+
+  return { entries, errors };
+}
+
+/**
+ * Generate a batch identifier, e.g. "batch-20240115T103000-3f9a"
+ * Stored in each device's metadata.provisioningBatch
+ *
+ * @returns {string} Batch identifier
+ */
+function newBatchId() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+  return `batch-${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+// ============================================
+// CREDENTIALS FILE
+// ============================================
+
+/**
+ * Build flag selecting one board in the header format
+ * "5C:CF:7F:12:34:56" → PROVISION_5CCF7F123456, "CHIP-00A1B2C3" → PROVISION_CHIP00A1B2C3
+ *
+ * @param {string} deviceId - Canonical device id
+ * @returns {string} Macro name
+ */
+function provisionMacro(deviceId) {
+  return `PROVISION_${deviceId.replace(/[^A-Za-z0-9]/g, '')}`;
+}
+
+/**
+ * Quote a CSV field if needed (RFC 4180 - PEM blocks span lines)
+ *
+ * @param {string} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Render provisioned credentials for the flashing station
+ *
+ * FORMATS:
+ * - json:   { batchId, generatedAt, devices: [{ deviceId, secret, clientCertificate? }], skipped }
+ * - csv:    deviceId,secret (+ certificate,privateKey as quoted PEM with MTLS_ENABLED)
+ * - header: C header; each board's secret is only compiled in when the
+ *           build defines PROVISION_<deviceId without separators>, so a firmware
+ *           image never carries another board's secret:
+ *             platformio: build_flags = -DPROVISION_5CCF7F123456
+ *           With MTLS_ENABLED: CA_CERT for every board, DEVICE_CERT and
+ *           DEVICE_KEY per board (PEM, for BearSSL::X509List/PrivateKey)
+ *
+ * @param {object} batch
+ * @param {string} batch.batchId - Batch identifier
+ * @param {object[]} batch.devices - [{ deviceId, secret, clientCertificate? }]
+ * @param {object[]} [batch.skipped] - [{ deviceId, reason }]
+ * @param {string} [format='json'] - json, csv or header
+ * @returns {string} File contents
+ */
+function renderCredentials({ batchId, devices, skipped = [] }, format = 'json') {
+  const generatedAt = new Date().toISOString();
+  const caCertificate = devices.length && devices[0].clientCertificate
+    ? devices[0].clientCertificate.caCertificate
+    : null;
+  // ↑ Set when MTLS_ENABLED (then every device has a certificate)
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify({ batchId, generatedAt, devices, skipped }, null, 2) + '\n';
+
+    case 'csv':
+      if (caCertificate) {
+        return ['deviceId,secret,certificate,privateKey', ...devices.map(d => [
+          d.deviceId, d.secret, d.clientCertificate.certificate, d.clientCertificate.privateKey
+        ].map(csvField).join(','))].join('\n') + '\n';
+      }
+      return ['deviceId,secret', ...devices.map(d => `${d.deviceId},${d.secret}`)].join('\n') + '\n';
+
+    case 'header': {
+      const lines = [
+        `// Device credentials - batch ${batchId} (${generatedAt})`,
+        `// ⚠️ Contains device secrets${caCertificate ? ' and private keys' : ''}: keep off shared drives, delete after flashing`,
+        '//',
+        '// Build each board with -DPROVISION_<deviceId without separators>, e.g.',
+        devices.length ? `//   -D${provisionMacro(devices[0].deviceId)}` : '//   (no devices)',
+        ...skipped.map(s => `// skipped ${s.deviceId}: ${s.reason}`),
+        '',
+        '#pragma once',
+        ''
+      ];
+
+      const pem = (name, text) => `static const char ${name}[] PROGMEM = R"PEM(\n${text.trim()}\n)PEM";`;
+      // ↑ C++ raw string literal: the PEM goes in as is
+
+      if (caCertificate) {
+        lines.push('// Trust anchor for the HTTPS listener (same for every board)', pem('CA_CERT', caCertificate), '');
+      }
+
+      devices.forEach((device, i) => {
+        lines.push(
+          `#${i === 0 ? 'if' : 'elif'} defined(${provisionMacro(device.deviceId)})`,
+          `#define DEVICE_ID "${device.deviceId}"`,
+          `#define DEVICE_SECRET "${device.secret}"`
+        );
+
+        if (device.clientCertificate) {
+          lines.push(
+            pem('DEVICE_CERT', device.clientCertificate.certificate),
+            pem('DEVICE_KEY', device.clientCertificate.privateKey)
+          );
+        }
+      });
+
+      if (devices.length) {
+        lines.push(
+          '#else',
+          `#error "Define PROVISION_<deviceId> for the board being flashed (batch ${batchId})"`,
+          '#endif'
+        );
+      }
+
+      return lines.join('\n') + '\n';
+    }
+
+    default:
+      throw new Error(`Unknown credentials format: ${format} (expected ${Object.keys(CREDENTIAL_FORMATS).join(', ')})`);
+  }
+}
+
+module.exports = {
+  CREDENTIAL_FORMATS,
+  newBatchId,
+  parseManifest,
+  renderCredentials
+};
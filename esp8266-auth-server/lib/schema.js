@@ -0,0 +1,319 @@
+/**
+ * Request Schemas
+ *
+ * Declarative field rules for request bodies, query strings and URL
+ * parameters - checked by middleware/validate.js before a handler runs,
+ * so handlers (and the crypto behind them) only ever see the types they
+ * expect.
+ *
+ * A schema maps field names to rules:
+ *   {
+ *     deviceId: { type: 'deviceId', required: true },
+ *     secret:   { type: 'string', required: true, maxLength: 128 },
+ *     limit:    { type: 'integer', min: 1, max: 1000 }
+ *   }
+ *
+ * RULES:
+ *   type        string, integer, number, boolean, object, array, list,
+ *               date (ISO 8601 string) or deviceId (see lib/deviceId.js) -
+ *               or an array of them, e.g. ['string', 'number']
+ *   required    Must be present (required strings must also be non-empty)
+ *   nullable    null is accepted (e.g. "back to the default")
+ *   strings     minLength, maxLength, pattern (+ format: what it means), enum
+ *   numbers     min, max, enum
+ *   arrays      items (rule for each item), minItems, maxItems
+ *   objects     fields (schema of known fields), allowUnknown,
+ *               values (rule for every value), maxKeys
+ *   any         check(value, key) → error message or null (key: field name,
+ *               object key or array index)
+ *
+ * Query strings and URL parameters are text: integer, number and boolean
+ * fields there are parsed first, and `list` is a comma-separated value
+ * ("active,suspended" → ['active', 'suspended']). parseFields() returns
+ * the parsed values (req.validated.query, see middleware/validate.js).
+ *
+ * ERRORS: one { location, field, code, message } per problem -
+ *   missing, invalid_type, invalid_format, invalid_value,
+ *   too_short, too_long, out_of_range, unknown_field
+ *   (and invalid_json for an unparseable body, see server.js)
+ */
+
+const { parseDeviceId } = require('./deviceId');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const ERROR_CODES = {
+  MISSING: 'missing',
+  INVALID_TYPE: 'invalid_type',
+  INVALID_FORMAT: 'invalid_format',
+  INVALID_VALUE: 'invalid_value',
+  TOO_SHORT: 'too_short',
+  TOO_LONG: 'too_long',
+  OUT_OF_RANGE: 'out_of_range',
+  UNKNOWN_FIELD: 'unknown_field',
+  INVALID_JSON: 'invalid_json'
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'an array',
+  list: 'a comma-separated list',
+  date: 'an ISO 8601 date',
+  deviceId: 'a device id'
+};
+
+// ============================================
+// TYPES
+// ============================================
+
+/**
+ * @param {*} value - Any value
+ * @returns {boolean} True for {...} (not arrays, not null)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !Buffer.isBuffer(value);
+}
+
+/**
+ * Does a value have a type (before format checks)?
+ *
+ * @param {string} type - Rule type
+ * @param {*} value - Value (already parsed from text, if needed)
+ * @returns {boolean}
+ */
+function hasType(type, value) {
+  switch (type) {
+    case 'string':
+    case 'date':
+    case 'deviceId':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+    case 'list':
+      return Array.isArray(value);
+    default:
+      throw new Error(`Unknown schema type: ${type}`);
+  }
+}
+
+/**
+ * Parse a query/URL value for a type ("42" → 42, "a,b" → ['a', 'b'])
+ *
+ * @param {string} type - Rule type
+ * @param {*} value - Value as received
+ * @returns {*} Parsed value, or the value unchanged if it doesn't parse
+ */
+function fromText(type, value) {
+  if (typeof value !== 'string') return value;
+
+  switch (type) {
+    case 'integer':
+      return /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    case 'number':
+      return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'list':
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+/**
+ * First of a rule's types a value has
+ *
+ * @param {string[]} types - Rule types
+ * @param {*} value - Value as received
+ * @param {boolean} text - Value comes from a query string or URL (parse it first)
+ * @returns {string|undefined} The type, or undefined if none matches
+ */
+function matchingType(types, value, text) {
+  return types.find(candidate => hasType(candidate, text ? fromText(candidate, value) : value));
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Check one value against its rule
+ *
+ * @param {object} rule - Field rule
+ * @param {*} value - Value (undefined = absent)
+ * @param {string} field - Field path for messages, e.g. "metadata.location"
+ * @param {boolean} text - Value comes from a query string or URL
+ * @param {string|number} key - Field name, object key or array index (for rule.check)
+ * @returns {object[]} Problems: { field, code, message }
+ */
+function checkValue(rule, value, field, text, key) {
+  const problem = (code, message) => [{ field, code, message: `${field} ${message}` }];
+
+  if (value === undefined) {
+    return rule.required ? problem(ERROR_CODES.MISSING, 'is required') : [];
+  }
+
+  if (value === null) {
+    return rule.nullable ? [] : problem(ERROR_CODES.INVALID_TYPE, 'must not be null');
+  }
+
+  const types = [].concat(rule.type);
+  const type = matchingType(types, value, text);
+
+  if (!type) {
+    const names = types.map(t => TYPE_NAMES[t]);
+    const expected = names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+    return problem(ERROR_CODES.INVALID_TYPE, `must be ${expected}`);
+  }
+
+  const parsed = text ? fromText(type, value) : value;
+
+  if (typeof parsed === 'string') {
+    const minLength = rule.minLength !== undefined ? rule.minLength : (rule.required ? 1 : 0);
+
+    if (parsed.length < minLength) {
+      return problem(ERROR_CODES.TOO_SHORT, minLength === 1 ? 'must not be empty' : `must be at least ${minLength} characters`);
+    }
+    if (rule.maxLength !== undefined && parsed.length > rule.maxLength) {
+      return problem(ERROR_CODES.TOO_LONG, `must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.pattern && !rule.pattern.test(parsed)) {
+      return problem(ERROR_CODES.INVALID_FORMAT, rule.format ? `must be ${rule.format}` : 'has an invalid format');
+    }
+    if (type === 'date' && isNaN(Date.parse(parsed))) {
+      return problem(ERROR_CODES.INVALID_FORMAT, 'must be an ISO 8601 date');
+    }
+    if (type === 'deviceId') {
+      try {
+        parseDeviceId(parsed);
+      } catch (error) {
+        return [{ field, code: ERROR_CODES.INVALID_FORMAT, message: error.message }];
+        // ↑ Names the accepted formats (DEVICE_ID_SCHEMES)
+      }
+    }
+  }
+
+  if (typeof parsed === 'number') {
+    const { min, max } = rule;
+
+    if ((min !== undefined && parsed < min) || (max !== undefined && parsed > max)) {
+      const range = min !== undefined && max !== undefined ? `between ${min} and ${max}`
+        : min !== undefined ? `at least ${min}` : `at most ${max}`;
+      return problem(ERROR_CODES.OUT_OF_RANGE, `must be ${range}`);
+    }
+  }
+
+  if (rule.enum && !Array.isArray(parsed) && !rule.enum.includes(parsed)) {
+    return problem(ERROR_CODES.INVALID_VALUE, `must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (Array.isArray(parsed)) {
+    if (rule.minItems !== undefined && parsed.length < rule.minItems) {
+      return problem(ERROR_CODES.TOO_SHORT, `must have at least ${rule.minItems} item(s)`);
+    }
+    if (rule.maxItems !== undefined && parsed.length > rule.maxItems) {
+      return problem(ERROR_CODES.TOO_LONG, `must have at most ${rule.maxItems} item(s)`);
+    }
+    if (rule.items) {
+      const problems = parsed.flatMap((item, i) => checkValue(rule.items, item, `${field}[${i}]`, false, i));
+      if (problems.length) return problems;
+    }
+  }
+
+  if (isPlainObject(parsed)) {
+    if (rule.maxKeys !== undefined && Object.keys(parsed).length > rule.maxKeys) {
+      return problem(ERROR_CODES.TOO_LONG, `must have at most ${rule.maxKeys} fields`);
+    }
+
+    const problems = [];
+    if (rule.fields) {
+      problems.push(...checkFields(rule.fields, parsed, { prefix: `${field}.`, allowUnknown: rule.allowUnknown }));
+    }
+    if (rule.values) {
+      for (const [name, item] of Object.entries(parsed)) {
+        problems.push(...checkValue(rule.values, item, `${field}.${name}`, false, name));
+      }
+    }
+    if (problems.length) return problems;
+  }
+
+  const error = rule.check ? rule.check(parsed, key) : null;
+  return error ? [{ field, code: ERROR_CODES.INVALID_VALUE, message: error }] : [];
+}
+
+/**
+ * Check an object (body, query, params) against a schema
+ *
+ * @param {object} schema - Field name → rule
+ * @param {object} input - Values to check
+ * @param {object} [options]
+ * @param {boolean} [options.text=false] - Values are text (query string, URL)
+ * @param {boolean} [options.allowUnknown=false] - Accept fields not in the schema
+ * @param {string} [options.prefix=''] - Prepended to field names (nested objects)
+ * @returns {object[]} Problems: { field, code, message } - empty if valid
+ */
+function checkFields(schema, input, { text = false, allowUnknown = false, prefix = '' } = {}) {
+  const problems = [];
+
+  for (const [name, rule] of Object.entries(schema)) {
+    problems.push(...checkValue(rule, input[name], `${prefix}${name}`, text, name));
+  }
+
+  if (!allowUnknown) {
+    for (const name of Object.keys(input)) {
+      if (!Object.prototype.hasOwnProperty.call(schema, name)) {
+        problems.push({ field: `${prefix}${name}`, code: ERROR_CODES.UNKNOWN_FIELD, message: `${prefix}${name} is not allowed` });
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Parse query/URL values as their rules' types - what checkFields()
+ * checked, so handlers don't parse the text again
+ *
+ * Only fields in the schema are returned; absent fields and empty lists
+ * ("?status=") are left out.
+ *
+ * @param {object} schema - Field name → rule
+ * @param {object} input - Values as received (already checked)
+ * @returns {object} Field name → parsed value ("42" → 42, "a,b" → ['a', 'b'])
+ */
+function parseFields(schema, input) {
+  const parsed = {};
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const value = input[name];
+    if (value === undefined || value === null) continue;
+
+    const type = matchingType([].concat(rule.type), value, true);
+    const result = type ? fromText(type, value) : value;
+
+    if (Array.isArray(result) && result.length === 0) continue;
+    parsed[name] = result;
+  }
+
+  return parsed;
+}
+
+module.exports = {
+  ERROR_CODES,
+  isPlainObject,
+  checkFields,
+  parseFields
+};
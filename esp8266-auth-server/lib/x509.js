@@ -0,0 +1,358 @@
+/**
+ * X.509 Certificates
+ *
+ * Just enough DER encoding to issue the certificates of the built-in CA
+ * (see lib/certificateAuthority.js): Node can parse and verify X.509
+ * (crypto.X509Certificate) but not create it.
+ *
+ * Supported: EC P-256 keys, ecdsa-with-SHA256 signatures, a subject/issuer
+ * made of a common name (+ organization), and the extensions a CA, a TLS
+ * client and a TLS server certificate need.
+ *
+ * Also reads the few fields the CA needs back from an existing certificate
+ * (its subject, as the issuer name of the certificates it signs).
+ *
+ * USAGE:
+ *   const der = createCertificate({
+ *     serialNumber, subject: { commonName: '5C:CF:7F:12:34:56' }, issuer: caName,
+ *     notBefore, notAfter, publicKey, signingKey: caPrivateKey,
+ *     authorityKeyId, usage: 'client'
+ *   });
+ *   toPem(der); fingerprint(der); subjectName(caDer);
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const OID = {
+  commonName: '2.5.4.3',
+  organizationName: '2.5.4.10',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  subjectKeyIdentifier: '2.5.29.14',
+  keyUsage: '2.5.29.15',
+  subjectAltName: '2.5.29.17',
+  basicConstraints: '2.5.29.19',
+  authorityKeyIdentifier: '2.5.29.35',
+  extKeyUsage: '2.5.29.37',
+  serverAuth: '1.3.6.1.5.5.7.3.1',
+  clientAuth: '1.3.6.1.5.5.7.3.2'
+};
+
+const KEY_USAGE = {
+  digitalSignature: 0,
+  keyCertSign: 5,
+  cRLSign: 6
+};
+// ↑ Bit numbers of the keyUsage BIT STRING
+
+// ============================================
+// DER ENCODING
+// ============================================
+
+/**
+ * Tag-length-value
+ *
+ * @param {number} tag - DER tag byte
+ * @param {Buffer} content - Encoded content
+ * @returns {Buffer}
+ */
+function tlv(tag, content) {
+  let length;
+
+  if (content.length < 0x80) {
+    length = Buffer.from([content.length]);
+  } else {
+    const bytes = [];
+    for (let n = content.length; n > 0; n >>= 8) bytes.unshift(n & 0xff);
+    length = Buffer.from([0x80 | bytes.length, ...bytes]);
+  }
+
+  return Buffer.concat([Buffer.from([tag]), length, content]);
+}
+
+const sequence = (...items) => tlv(0x30, Buffer.concat(items));
+const set = (...items) => tlv(0x31, Buffer.concat(items));
+const octetString = content => tlv(0x04, content);
+const utf8String = text => tlv(0x0c, Buffer.from(text, 'utf8'));
+const explicit = (number, content) => tlv(0xa0 + number, content);
+const bitString = content => tlv(0x03, Buffer.concat([Buffer.from([0]), content]));
+const TRUE = tlv(0x01, Buffer.from([0xff]));
+
+/**
+ * @param {Buffer|number} value - Unsigned big-endian bytes, or a small number
+ * @returns {Buffer} DER INTEGER (always positive)
+ */
+function integer(value) {
+  let bytes = Buffer.isBuffer(value) ? value : Buffer.from([value]);
+
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) start++;
+  bytes = bytes.subarray(start);
+
+  if (bytes[0] & 0x80) bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  // ↑ High bit set would make it negative
+
+  return tlv(0x02, bytes);
+}
+
+/**
+ * @param {string} dotted - e.g. "2.5.4.3"
+ * @returns {Buffer} DER OBJECT IDENTIFIER
+ */
+function objectId(dotted) {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [first * 40 + second];
+
+  for (const arc of rest) {
+    const chunk = [arc & 0x7f];
+    for (let n = arc >> 7; n > 0; n >>= 7) chunk.unshift(0x80 | (n & 0x7f));
+    bytes.push(...chunk);
+  }
+
+  return tlv(0x06, Buffer.from(bytes));
+}
+
+/**
+ * @param {Date} date - Time (second precision)
+ * @returns {Buffer} UTCTime until 2049, GeneralizedTime after (RFC 5280)
+ */
+function time(date) {
+  const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  // ↑ YYYYMMDDHHMMSS
+
+  return date.getUTCFullYear() < 2050
+    ? tlv(0x17, Buffer.from(`${iso.slice(2)}Z`))
+    : tlv(0x18, Buffer.from(`${iso}Z`));
+}
+
+/**
+ * @param {object|Buffer} name - { commonName, organization? }, or an encoded Name
+ * @returns {Buffer} DER Name
+ */
+function distinguishedName(name) {
+  if (Buffer.isBuffer(name)) return name;
+
+  const { commonName, organization } = name;
+  const attribute = (oid, value) => set(sequence(objectId(oid), utf8String(value)));
+
+  return sequence(
+    ...(organization ? [attribute(OID.organizationName, organization)] : []),
+    attribute(OID.commonName, commonName)
+  );
+}
+
+/**
+ * @param {string[]} usages - Names from KEY_USAGE
+ * @returns {Buffer} keyUsage BIT STRING (trailing zero bits dropped, as DER wants)
+ */
+function keyUsageBits(usages) {
+  const bits = usages.map(usage => KEY_USAGE[usage]);
+  const last = Math.max(...bits);
+  const bytes = Buffer.alloc(Math.floor(last / 8) + 1);
+
+  for (const bit of bits) bytes[bit >> 3] |= 0x80 >> (bit & 7);
+
+  return tlv(0x03, Buffer.concat([Buffer.from([7 - (last & 7)]), bytes]));
+}
+
+/**
+ * @param {string} oid - Extension id
+ * @param {Buffer} value - Encoded extension value
+ * @param {boolean} [critical=false]
+ * @returns {Buffer} DER Extension
+ */
+function extension(oid, value, critical = false) {
+  return sequence(objectId(oid), ...(critical ? [TRUE] : []), octetString(value));
+}
+
+/**
+ * @param {string[]} names - DNS names and IP addresses
+ * @returns {Buffer} subjectAltName value
+ */
+function altNames(names) {
+  return sequence(...names.map(name => {
+    const ip = net.isIP(name);
+    if (ip === 4) return tlv(0x87, Buffer.from(name.split('.').map(Number)));
+    if (ip === 6) return tlv(0x87, ipv6Bytes(name));
+    return tlv(0x82, Buffer.from(name, 'ascii'));
+  }));
+}
+
+/**
+ * @param {string} address - IPv6 address, e.g. "::1"
+ * @returns {Buffer} 16 bytes
+ */
+function ipv6Bytes(address) {
+  const [head, tail = ''] = address.split('::');
+  const groups = part => (part ? part.split(':') : []);
+  const missing = 8 - groups(head).length - groups(tail).length;
+  const all = address.includes('::')
+    ? [...groups(head), ...Array(missing).fill('0'), ...groups(tail)]
+    : groups(head);
+
+  return Buffer.from(all.flatMap(group => {
+    const n = parseInt(group, 16);
+    return [n >> 8, n & 0xff];
+  }));
+}
+
+// ============================================
+// DER DECODING
+// ============================================
+
+/**
+ * Locate the element starting at an offset
+ *
+ * @param {Buffer} der - DER data
+ * @param {number} [offset=0] - Start of the element (its tag byte)
+ * @returns {{ tag: number, offset: number, start: number, end: number }}
+ *   start/end: content bounds (end = next element's offset)
+ */
+function readTlv(der, offset = 0) {
+  if (offset + 2 > der.length) {
+    throw new Error('Invalid DER: truncated');
+  }
+
+  const tag = der[offset];
+  let length = der[offset + 1];
+  let start = offset + 2;
+
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < count; i++) length = length * 256 + der[start + i];
+    start += count;
+  }
+
+  if (start + length > der.length) {
+    throw new Error('Invalid DER: truncated');
+  }
+
+  return { tag, offset, start, end: start + length };
+}
+
+/**
+ * Subject of a certificate, as encoded (issuer name of what it signs)
+ *
+ * @param {Buffer} der - DER certificate
+ * @returns {Buffer} DER Name
+ */
+function subjectName(der) {
+  const tbsCertificate = readTlv(der, readTlv(der).start);
+  let field = readTlv(der, tbsCertificate.start);
+
+  if (field.tag === 0xa0) field = readTlv(der, field.end);
+  // ↑ [0] version (absent in v1 certificates)
+
+  for (let i = 0; i < 4; i++) field = readTlv(der, field.end);
+  // ↑ serialNumber → signature → issuer → validity → subject
+
+  return der.subarray(field.offset, field.end);
+}
+
+// ============================================
+// CERTIFICATES
+// ============================================
+
+/**
+ * Key identifier of a public key: SHA-1 of the key bits (RFC 5280 method 1,
+ * as OpenSSL computes it - so it matches the SKI of a CA made elsewhere)
+ *
+ * @param {crypto.KeyObject} publicKey - Public key
+ * @returns {Buffer} 20 bytes
+ */
+function keyIdentifier(publicKey) {
+  const spki = publicKey.export({ type: 'spki', format: 'der' });
+  const algorithm = readTlv(spki, readTlv(spki).start);
+  const keyBits = readTlv(spki, algorithm.end);
+
+  return crypto.createHash('sha1').update(spki.subarray(keyBits.start + 1, keyBits.end)).digest();
+  // ↑ +1 skips the BIT STRING's unused-bits byte
+}
+
+/**
+ * Create and sign a certificate
+ *
+ * @param {object} options
+ * @param {Buffer} options.serialNumber - Positive, unique per CA (up to 20 bytes)
+ * @param {object} options.subject - { commonName, organization? }
+ * @param {object|Buffer} options.issuer - Subject of the signing CA (same as subject if
+ *   self-signed) - an encoded Name (see subjectName) for a CA made elsewhere
+ * @param {Date} options.notBefore
+ * @param {Date} options.notAfter
+ * @param {crypto.KeyObject} options.publicKey - Subject's EC P-256 public key
+ * @param {crypto.KeyObject} options.signingKey - Issuer's EC P-256 private key
+ * @param {Buffer} [options.authorityKeyId] - Issuer's key identifier (omit if self-signed)
+ * @param {string} options.usage - 'ca', 'client' or 'server'
+ * @param {string[]} [options.altNames] - DNS names / IPs (server certificates)
+ * @returns {Buffer} DER certificate
+ */
+function createCertificate({
+  serialNumber, subject, issuer, notBefore, notAfter,
+  publicKey, signingKey, authorityKeyId, usage, altNames: names = []
+}) {
+  if (publicKey.asymmetricKeyType !== 'ec' || signingKey.asymmetricKeyType !== 'ec') {
+    throw new Error('Only EC keys are supported');
+  }
+
+  const algorithm = sequence(objectId(OID.ecdsaWithSha256));
+  const subjectKeyId = keyIdentifier(publicKey);
+
+  const extensions = [
+    usage === 'ca'
+      ? extension(OID.basicConstraints, sequence(TRUE, integer(0)), true)
+      // ↑ CA that can only sign end-entity certificates (pathLen 0)
+      : extension(OID.basicConstraints, sequence(), true),
+    extension(OID.keyUsage, keyUsageBits(usage === 'ca' ? ['digitalSignature', 'keyCertSign', 'cRLSign'] : ['digitalSignature']), true),
+    ...(usage === 'ca' ? [] : [extension(OID.extKeyUsage, sequence(objectId(usage === 'server' ? OID.serverAuth : OID.clientAuth)))]),
+    ...(names.length ? [extension(OID.subjectAltName, altNames(names))] : []),
+    extension(OID.subjectKeyIdentifier, octetString(subjectKeyId)),
+    extension(OID.authorityKeyIdentifier, sequence(tlv(0x80, authorityKeyId || subjectKeyId)))
+  ];
+
+  const tbsCertificate = sequence(
+    explicit(0, integer(2)),
+    // ↑ Version 3
+    integer(serialNumber),
+    algorithm,
+    distinguishedName(issuer),
+    sequence(time(notBefore), time(notAfter)),
+    distinguishedName(subject),
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, sequence(...extensions))
+  );
+
+  const signature = crypto.sign('sha256', tbsCertificate, signingKey);
+  // ↑ DER-encoded ECDSA signature, as X.509 expects
+
+  return sequence(tbsCertificate, algorithm, bitString(signature));
+}
+
+/**
+ * @param {Buffer} der - DER certificate
+ * @returns {string} PEM
+ */
+function toPem(der) {
+  const lines = der.toString('base64').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN CERTIFICATE-----\n${lines}\n-----END CERTIFICATE-----\n`;
+}
+
+/**
+ * @param {Buffer} der - DER certificate
+ * @returns {string} SHA-256 fingerprint, lower-case hex without separators
+ */
+function fingerprint(der) {
+  return crypto.createHash('sha256').update(der).digest('hex');
+}
+
+module.exports = {
+  createCertificate,
+  keyIdentifier,
+  subjectName,
+  toPem,
+  fingerprint
+};
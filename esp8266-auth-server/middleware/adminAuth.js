@@ -0,0 +1,236 @@
+/**
+ * Admin Authentication Middleware
+ *
+ * Protects every /admin route. An operator proves who they are with either:
+ * - A static API key:        X-API-Key: <key>
+ * - A Firebase ID token:     Authorization: Bearer <idToken>
+ *
+ * ROLES (each role includes everything below it):
+ * - viewer:          Read-only access (list/get devices)
+ * - operator:        Day-to-day management (register devices)
+ * - security-admin:  Security-sensitive actions (revoke devices)
+ *
+ * TENANTS (see models/tenant.js):
+ * - An admin bound to a tenant only sees and manages that tenant's devices
+ *   and groups; fleet-wide settings (templates, firmware policy rules,
+ *   OTA releases, tenants) need an admin without a tenant
+ *
+ * CONFIGURATION (.env):
+ *   ADMIN_API_KEY=<key>                      → Single key with security-admin role
+ *   ADMIN_API_KEYS=<key>:<role>,<key>:<role> → Multiple keys with explicit roles
+ *   ADMIN_API_KEYS=<key>:<role>:<tenantId>   → Key limited to one tenant
+ *
+ * Firebase users get their role (and tenant) from custom claims:
+ *   admin.auth().setCustomUserClaims(uid, { adminRole: 'operator', adminTenant: 'acme' })
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const log = require('../lib/logger').child({ component: 'admin-auth' });
+
+// ============================================
+// ROLES
+// ============================================
+
+const ROLES = ['viewer', 'operator', 'security-admin'];
+// ↑ Ordered from least to most privileged
+// A role's rank is its index in this array
+
+/**
+ * Check whether a role grants at least the required role
+ *
+ * @param {string} role - Role held by the caller
+ * @param {string} requiredRole - Minimum role needed
+ * @returns {boolean} True if role rank >= required rank
+ */
+function hasRole(role, requiredRole) {
+  const rank = ROLES.indexOf(role);
+  return rank !== -1 && rank >= ROLES.indexOf(requiredRole);
+}
+
+// ============================================
+// API KEYS
+// ============================================
+
+/**
+ * Hash a key so comparisons are constant-time and length-independent
+ *
+ * @param {string} key - Raw API key
+ * @returns {Buffer} SHA-256 digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * Parse API keys from environment variables
+ *
+ * @returns {Array<{ hash: Buffer, role: string, tenantId: string|null, id: string }>} Configured keys
+ */
+function loadApiKeys() {
+  const keys = [];
+
+  if (process.env.ADMIN_API_KEY) {
+    keys.push({ key: process.env.ADMIN_API_KEY, role: 'security-admin' });
+    // ↑ Legacy single key (see README) keeps full access
+  }
+
+  (process.env.ADMIN_API_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [key, role, tenantId = null] = entry.split(':');
+
+      if (!key || !ROLES.includes(role)) {
+        log.warn('Ignoring ADMIN_API_KEYS entry with invalid role', { role });
+        return;
+      }
+
+      keys.push({ key, role, tenantId });
+    });
+
+  return keys.map(({ key, role, tenantId = null }) => {
+    const hash = hashKey(key);
+    return {
+      hash,
+      role,
+      tenantId,
+      // ↑ null = every tenant
+      id: `apikey:${hash.toString('hex').slice(0, 8)}`
+      // ↑ Short fingerprint to identify the key in logs (never the key itself)
+    };
+  });
+}
+
+const apiKeys = loadApiKeys();
+
+if (apiKeys.length === 0) {
+  log.warn('No admin API keys configured (ADMIN_API_KEY / ADMIN_API_KEYS)');
+  // ↑ Admin API still reachable with Firebase ID tokens carrying `adminRole`
+}
+
+/**
+ * Find the configured API key matching the provided one
+ *
+ * @param {string} providedKey - Key from X-API-Key header
+ * @returns {object|null} Matching key entry or null
+ */
+function findApiKey(providedKey) {
+  const providedHash = hashKey(providedKey);
+  let match = null;
+
+  for (const entry of apiKeys) {
+    if (crypto.timingSafeEqual(providedHash, entry.hash)) {
+      match = entry;
+      // ↑ Keep looping so timing doesn't reveal which entry matched
+    }
+  }
+
+  return match;
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Authenticate the caller and attach `req.admin = { id, role, tenantId, method }`
+ * (tenantId null = not limited to a tenant)
+ *
+ * Responds 401 if no valid credentials, 403 if the Firebase user has no admin role.
+ */
+async function authenticateAdmin(req, res, next) {
+  const apiKey = req.get('X-API-Key');
+  const authHeader = req.get('Authorization') || '';
+
+  if (apiKey) {
+    const entry = findApiKey(apiKey);
+
+    if (!entry) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    req.admin = { id: entry.id, role: entry.role, tenantId: entry.tenantId, method: 'api-key' };
+    return next();
+  }
+
+  if (authHeader.startsWith('Bearer ')) {
+    try {
+      const decodedToken = await admin.auth().verifyIdToken(authHeader.slice(7));
+
+      if (!ROLES.includes(decodedToken.adminRole)) {
+        return res.status(403).json({ error: 'Account has no admin role' });
+        // ↑ Valid Firebase user (or device!) but not an operator
+      }
+
+      req.admin = {
+        id: decodedToken.uid,
+        role: decodedToken.adminRole,
+        tenantId: decodedToken.adminTenant || null,
+        method: 'firebase'
+      };
+      return next();
+
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid ID token' });
+    }
+  }
+
+  res.status(401).json({ error: 'Missing admin credentials' });
+}
+
+/**
+ * Require a minimum role for a route
+ *
+ * Usage:
+ *   router.post('/revoke', requireRole('security-admin'), handler)
+ *
+ * @param {string} requiredRole - Minimum role (viewer, operator, security-admin)
+ * @returns {Function} Express middleware
+ */
+function requireRole(requiredRole) {
+  return (req, res, next) => {
+    if (!req.admin || !hasRole(req.admin.role, requiredRole)) {
+      return res.status(403).json({
+        error: 'Insufficient role',
+        requiredRole
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Can an admin see/manage a tenant's devices?
+ *
+ * @param {object} adminInfo - req.admin
+ * @param {string} tenantId - Tenant id
+ * @returns {boolean} True for admins of that tenant or of every tenant
+ */
+function canAccessTenant(adminInfo, tenantId) {
+  return !adminInfo.tenantId || adminInfo.tenantId === tenantId;
+}
+
+/**
+ * Require an admin who isn't limited to one tenant
+ * (fleet-wide settings: templates, firmware policy rules, OTA releases, ...)
+ *
+ * Usage:
+ *   router.put('/permission-templates/:name', requireRole('security-admin'), requireAllTenants, handler)
+ */
+function requireAllTenants(req, res, next) {
+  if (req.admin.tenantId) {
+    return res.status(403).json({ error: 'Not available to tenant admins' });
+  }
+  next();
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  authenticateAdmin,
+  requireRole,
+  canAccessTenant,
+  requireAllTenants
+};
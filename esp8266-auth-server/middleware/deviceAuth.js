@@ -0,0 +1,92 @@
+/**
+ * Device Token Validation Middleware
+ *
+ * Protects routes that devices call AFTER authenticating, e.g.:
+ *   router.get('/manifest', authenticateDevice, handler)
+ *
+ * The device sends the Firebase ID token it got by exchanging its custom
+ * token - or, with TOKEN_ISSUER=jwt, the access token it got from us:
+ *   Authorization: Bearer <token>
+ *
+ * CHECKS (in order):
+ * 1. Signature, expiry, audience (verifyDeviceToken, see tokens/index.js)
+ * 2. Token belongs to a registered device
+ * 3. Token not issued before the device's tokensRevokedAt (revocation list)
+ * 4. Device status is 'active'
+ *
+ * Checks 2-4 use the in-memory device cache, so a revoked device is
+ * rejected immediately - no waiting for the token to expire.
+ */
+
+const deviceModel = require('../models/device');
+const { verifyDeviceToken } = require('../tokens');
+
+/**
+ * Check a decoded device token against our device records
+ *
+ * Shared by authenticateDevice and POST /auth/verify.
+ *
+ * @param {object} decodedToken - Result of verifyDeviceToken()
+ * @returns {{ status: number, error: string }|null} Why the token is
+ *   rejected (with the HTTP status to answer), or null if it's fine
+ */
+function checkDeviceToken(decodedToken) {
+  const deviceId = decodedToken.uid;
+  const device = deviceModel.getDevice(deviceId);
+
+  if (!device) {
+    return { status: 401, error: 'Unknown device' };
+  }
+
+  if (deviceModel.isTokenRevoked(deviceId, decodedToken.auth_time || decodedToken.iat)) {
+    return { status: 401, error: 'Token has been revoked' };
+    // ↑ auth_time = when the device signed in with its custom token
+    //   (stays the same across hourly ID token refreshes)
+  }
+
+  if (device.status !== 'active') {
+    return { status: 403, error: `Device is ${device.status}` };
+  }
+
+  return null;
+}
+
+/**
+ * Authenticate a device by its token (Firebase ID token or self-hosted JWT)
+ * Attaches `req.device = { deviceId, claims, record }`
+ *
+ * Responds 401 if the token is missing, invalid or revoked,
+ * 403 if the device is suspended/revoked.
+ */
+async function authenticateDevice(req, res, next) {
+  const authHeader = req.get('Authorization') || '';
+
+  if (!authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Missing device token' });
+  }
+
+  let decodedToken;
+  try {
+    decodedToken = await verifyDeviceToken(authHeader.slice(7));
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid device token' });
+  }
+
+  const rejection = checkDeviceToken(decodedToken);
+
+  if (rejection) {
+    return res.status(rejection.status).json({ error: rejection.error });
+  }
+
+  req.device = {
+    deviceId: decodedToken.uid,
+    claims: decodedToken,
+    record: deviceModel.getDevice(decodedToken.uid)
+  };
+  next();
+}
+
+module.exports = {
+  checkDeviceToken,
+  authenticateDevice
+};
@@ -0,0 +1,56 @@
+/**
+ * Request Logging Middleware
+ *
+ * For every request:
+ * 1. Pick its correlation id: the caller's X-Request-Id if it looks sane
+ *    (e.g. set by a load balancer), otherwise a new UUID
+ * 2. Return it in the X-Request-Id response header
+ * 3. Handle the request inside a logging context, so every line logged
+ *    meanwhile carries `requestId` (see lib/logger.js)
+ * 4. Log one access line when the response is sent
+ *
+ * The access line has the path without its query string.
+ *
+ * Usage (first middleware):
+ *   app.use(requestLogger);
+ */
+
+const crypto = require('crypto');
+const logger = require('../lib/logger');
+
+const log = logger.child({ component: 'http' });
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+// ↑ Anything else is replaced - it ends up in every log line
+
+function requestLogger(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : 'info';
+
+    log[level]('Request completed', {
+      requestId,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+      ip: req.ip
+    });
+  });
+
+  logger.runWithContext({ requestId }, next);
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  requestLogger
+};
@@ -0,0 +1,109 @@
+/**
+ * Request Validation Middleware
+ *
+ * Checks req.params, req.query and req.body against declarative schemas
+ * (rules: see lib/schema.js) and answers 400 before the handler runs:
+ *
+ *   {
+ *     "error": "secret must be a string",
+ *     "code": "validation_failed",
+ *     "details": [
+ *       { "location": "body", "field": "secret", "code": "invalid_type",
+ *         "message": "secret must be a string" }
+ *     ]
+ *   }
+ *
+ * `error` joins the messages (for humans and older clients); `details`
+ * lists every problem, not just the first.
+ *
+ * Usage:
+ *   router.post('/challenge', validate({
+ *     body: { deviceId: { type: 'deviceId', required: true } }
+ *   }, { allowUnknown: true }), handler);
+ *
+ * PARSED VALUES: query strings and URL parameters are text; once they pass,
+ * req.validated.query / req.validated.params hold the schema's fields parsed
+ * to their types (numbers, booleans, lists as arrays). Use those instead of
+ * parsing req.query again - `req.query` itself is a getter in Express 5 and
+ * can't be replaced.
+ *
+ * UNKNOWN FIELDS:
+ * - body: rejected (unknown_field), unless allowUnknown - device-facing
+ *   routes use it, as newer firmware may send fields this server doesn't know
+ * - query: always accepted (e.g. the metadata.<key> filters)
+ */
+
+const { ERROR_CODES, isPlainObject, checkFields, parseFields } = require('../lib/schema');
+
+const VALIDATION_FAILED = 'validation_failed';
+
+/**
+ * Answer 400 in the validation error format
+ *
+ * @param {object} res - Express response
+ * @param {object[]} details - { location, field, code, message } per problem
+ */
+function sendValidationError(res, details) {
+  res.status(400).json({
+    error: details.map(detail => detail.message).join('; '),
+    code: VALIDATION_FAILED,
+    details
+  });
+}
+
+/**
+ * Create a middleware that validates the request
+ *
+ * @param {object} schemas
+ * @param {object} [schemas.params] - Schema for URL parameters
+ * @param {object} [schemas.query] - Schema for the query string
+ * @param {object} [schemas.body] - Schema for the JSON body
+ * @param {object} [options]
+ * @param {boolean} [options.allowUnknown=false] - Accept body fields not in the schema
+ * @param {boolean} [options.rawBody=false] - A text (CSV) or binary body is accepted
+ *   as is; only JSON bodies are checked against schemas.body
+ * @returns {function} Express middleware
+ */
+function validate({ params, query, body } = {}, { allowUnknown = false, rawBody = false } = {}) {
+  return (req, res, next) => {
+    const details = [];
+    const add = (location, problems) => {
+      details.push(...problems.map(problem => ({ location, ...problem })));
+    };
+
+    if (params) add('params', checkFields(params, req.params, { text: true, allowUnknown: true }));
+    if (query) add('query', checkFields(query, req.query, { text: true, allowUnknown: true }));
+
+    const raw = typeof req.body === 'string' || Buffer.isBuffer(req.body);
+
+    if (body && !(rawBody && raw)) {
+      if (req.body === undefined) req.body = {};
+      // ↑ No body (or no Content-Type) = no fields
+
+      if (isPlainObject(req.body)) {
+        add('body', checkFields(body, req.body, { allowUnknown }));
+      } else {
+        add('body', [{ field: null, code: ERROR_CODES.INVALID_TYPE, message: 'Request body must be a JSON object' }]);
+      }
+    }
+
+    if (details.length) {
+      return sendValidationError(res, details);
+    }
+
+    const previous = req.validated || { params: {}, query: {} };
+    req.validated = {
+      params: params ? { ...previous.params, ...parseFields(params, req.params) } : previous.params,
+      query: query ? { ...previous.query, ...parseFields(query, req.query) } : previous.query
+    };
+    // ↑ Merged: router.param() validators run before the route's own
+
+    next();
+  };
+}
+
+module.exports = {
+  VALIDATION_FAILED,
+  sendValidationError,
+  validate
+};
@@ -0,0 +1,395 @@
+/**
+ * Audit Log Model
+ *
+ * RESPONSIBILITIES:
+ * 1. Append one entry per security-relevant event
+ *    (token issued, failed verification, registration, revocation, ...)
+ * 2. Query entries by device, event type and time range, with pagination
+ *
+ * STORAGE:
+ * - Append-only JSON Lines file (database/audit.jsonl, AUDIT_LOG_PATH to override)
+ * - One JSON object per line: entries are never modified or deleted by the server
+ * - Rotate/archive the file with your usual log tooling (e.g. logrotate copytruncate)
+ *
+ * ENTRY FORMAT:
+ * {
+ *   "timestamp": "2024-01-15T10:30:00.000Z",
+ *   "event": "auth.failed",
+ *   "deviceId": "5C:CF:7F:12:34:56",
+ *   "ip": "203.0.113.7",
+ *   "firmwareVersion": "1.2.3",
+ *   "latencyMs": 12,
+ *   "reason": "bad-secret",        (auth.failed only)
+ *   "actor": "apikey:2fa2c583",    (admin actions only)
+ *   "details": { ... }             (event-specific, optional)
+ * }
+ *
+ * SECURITY:
+ * - Never pass secrets, tokens or hashes in `details`
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const log = require('../lib/logger').child({ component: 'audit' });
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(__dirname, '../database/audit.jsonl');
+
+const AUDIT_EVENTS = [
+  'token.issued',
+  'auth.failed',
+  'device.registered',
+  'device.revoked',
+  'device.tokens_revoked',
+  'device.suspended',
+  'device.reactivated',
+  'device.secret_rotated',
+  'device.certificate_issued',
+  'device.certificate_revoked',
+  'device.refresh_tokens_revoked',
+  'device.unlocked',
+  'device.permissions_changed',
+  'device.metadata_updated',
+  'permission_template.saved',
+  'permission_template.deleted',
+  'firmware_policy.updated',
+  'ota_release.uploaded',
+  'ota_release.rollout_changed',
+  'ota_release.withdrawn',
+  'device.ota_state_changed',
+  'tenant.saved',
+  'group.saved',
+  'group.deleted',
+  'device.groups_changed',
+  'token_key.rotated'
+];
+// ↑ Known event types (used to validate GET /admin/audit filters)
+
+const MAX_PAGE_SIZE = 1000;
+
+const SEEK_CHUNK_BYTES = 64 * 1024;
+// ↑ Binary search for `from` stops at this distance and reads on from there
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Encode a pagination cursor: where the next matching entry starts
+ *
+ * @param {number} offset - Byte offset of its line
+ * @param {string} timestamp - Its timestamp (detects a rotated file)
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(offset, timestamp) {
+  return Buffer.from(JSON.stringify({ offset, timestamp })).toString('base64url');
+}
+
+/**
+ * Error for a cursor query() can't resume from (answered with 400)
+ *
+ * @param {string} message - Error message
+ * @returns {Error} With code INVALID_CURSOR
+ */
+function cursorError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CURSOR';
+  return error;
+}
+
+/**
+ * Decode a pagination cursor
+ *
+ * @param {string} cursor - Value from a previous page's nextCursor
+ * @returns {{ offset: number, timestamp: string }}
+ * @throws {Error} INVALID_CURSOR if malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (position && Number.isSafeInteger(position.offset) && position.offset >= 0 &&
+        typeof position.timestamp === 'string') {
+      return position;
+    }
+  } catch (error) {
+    // Fall through
+  }
+  throw cursorError('Invalid cursor');
+}
+
+/**
+ * Read a file's lines from a byte offset
+ *
+ * @param {string} filePath - File to read
+ * @param {number} start - Byte offset of a line start
+ * @yields {{ line: string, offset: number }} Each line and where it starts
+ */
+async function* linesFrom(filePath, start) {
+  let offset = start;
+  let rest = Buffer.alloc(0);
+
+  for await (const chunk of fs.createReadStream(filePath, { start })) {
+    let buffer = rest.length ? Buffer.concat([rest, chunk]) : chunk;
+    let end;
+
+    while ((end = buffer.indexOf(0x0a)) !== -1) {
+      yield { line: buffer.toString('utf8', 0, end), offset };
+      offset += end + 1;
+      buffer = buffer.subarray(end + 1);
+    }
+    rest = buffer;
+  }
+
+  if (rest.length) yield { line: rest.toString('utf8'), offset };
+  // ↑ Last line without newline (an append in progress - it won't parse)
+}
+
+/**
+ * Find where to start reading for entries at or after a time
+ *
+ * The file is in time order, so this binary-searches byte offsets
+ * instead of reading everything before `from`.
+ *
+ * @param {string} filePath - Log file
+ * @param {number} size - Its size in bytes
+ * @param {number} time - `from` (ms)
+ * @returns {Promise<number>} Offset of a line start at or before the first match
+ */
+async function seekTime(filePath, size, time) {
+  const file = await fs.promises.open(filePath, 'r');
+  const buffer = Buffer.alloc(SEEK_CHUNK_BYTES);
+  let low = 0;
+  let high = size;
+
+  try {
+    while (high - low > SEEK_CHUNK_BYTES) {
+      const middle = Math.floor((low + high) / 2);
+      const { bytesRead } = await file.read(buffer, 0, SEEK_CHUNK_BYTES, middle);
+      const chunk = buffer.subarray(0, bytesRead);
+
+      const lineStart = chunk.indexOf(0x0a) + 1;
+      const lineEnd = lineStart ? chunk.indexOf(0x0a, lineStart) : -1;
+      let entryTime = NaN;
+
+      if (lineEnd !== -1) {
+        try {
+          entryTime = Date.parse(JSON.parse(chunk.toString('utf8', lineStart, lineEnd)).timestamp);
+        } catch (error) {
+          // Torn line - treated like a match: search the lower half
+        }
+      }
+
+      if (entryTime < time) {
+        low = middle + lineStart;
+        // ↑ A line start before the first match
+      } else {
+        high = middle;
+      }
+    }
+  } finally {
+    await file.close();
+  }
+
+  return low;
+}
+
+// ============================================
+// AUDIT LOG MODEL CLASS
+// ============================================
+
+class AuditLogModel {
+  constructor() {
+    this.filePath = AUDIT_LOG_PATH;
+
+    this.writeQueue = fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+      .catch(error => log.error('Error creating audit log directory', { error }));
+    // ↑ Writes are chained on this promise so entries land in call order
+  }
+
+  /**
+   * Append an entry
+   *
+   * Never throws: a failing audit write is logged, not allowed to
+   * break authentication.
+   *
+   * @param {object} entry - Entry fields (see ENTRY FORMAT); `event` required
+   * @returns {Promise<void>} Resolves once the entry is written
+   */
+  record(entry) {
+    const line = JSON.stringify({
+      timestamp: new Date().toISOString(),
+      ...entry
+    }) + '\n';
+
+    this.writeQueue = this.writeQueue
+      .then(() => fs.promises.appendFile(this.filePath, line))
+      .catch(error => log.error('Error writing audit log', { error }));
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Wait for all pending writes
+   *
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writeQueue;
+  }
+
+  /**
+   * Query entries (oldest first)
+   *
+   * PAGINATION:
+   * - `cursor` is opaque to clients: pass back `nextCursor` from the
+   *   previous page; `nextCursor: null` means there are no more results
+   * - Internally it's the byte offset of the next match (plus its
+   *   timestamp): a page reads only from there, not the whole file
+   * - After the file was rotated (truncated) the cursor no longer points
+   *   at that entry and is rejected - start again without one
+   *
+   * @param {object} filters
+   * @param {string} [filters.deviceId] - Only this device
+   * @param {Set<string>} [filters.deviceIds] - Only these devices (e.g. one tenant's)
+   * @param {string[]} [filters.events] - Only these event types
+   * @param {Date} [filters.from] - Entries at or after this time
+   * @param {Date} [filters.to] - Entries at or before this time
+   * @param {number} [filters.limit=100] - Page size (max 1000)
+   * @param {string} [filters.cursor] - nextCursor of the previous page
+   * @returns {Promise<{ entries: object[], nextCursor: string|null }>}
+   * @throws {Error} code INVALID_CURSOR if the cursor is malformed or stale
+   */
+  async query({ deviceId, deviceIds, events, from, to, limit = 100, cursor } = {}) {
+    await this.flush();
+
+    const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+    const entries = [];
+    let nextCursor = null;
+
+    const position = cursor === undefined ? null : decodeCursor(cursor);
+
+    let size;
+    try {
+      ({ size } = await fs.promises.stat(this.filePath));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      if (position) throw cursorError('Cursor expired (audit log rotated), start again without it');
+      return { entries, nextCursor };
+      // ↑ Nothing logged yet
+    }
+
+    let start = 0;
+    if (position) {
+      if (position.offset >= size) {
+        throw cursorError('Cursor expired (audit log rotated), start again without it');
+      }
+      start = position.offset;
+    } else if (from) {
+      start = await seekTime(this.filePath, size, from.getTime());
+    }
+
+    for await (const { line, offset } of linesFrom(this.filePath, start)) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        entry = null;
+      }
+
+      if (position && offset === position.offset && (!entry || entry.timestamp !== position.timestamp)) {
+        throw cursorError('Cursor expired (audit log rotated), start again without it');
+        // ↑ Not the entry the cursor was issued for
+      }
+
+      if (!entry) continue;
+      // ↑ Skip a torn line (e.g. crash mid-append)
+
+      const time = Date.parse(entry.timestamp);
+
+      if (to && time > to.getTime()) break;
+      // ↑ File is in time order - nothing later can match
+
+      if (from && time < from.getTime()) continue;
+      if (deviceId && entry.deviceId !== deviceId) continue;
+      if (deviceIds && !deviceIds.has(entry.deviceId)) continue;
+      if (events && !events.includes(entry.event)) continue;
+
+      if (entries.length === pageSize) {
+        nextCursor = encodeCursor(offset, entry.timestamp);
+        // ↑ One more match exists - the next page starts here
+        break;
+      }
+
+      entries.push(entry);
+    }
+
+    return { entries, nextCursor };
+  }
+
+  /**
+   * Most recent matching entries (oldest first), e.g. for the CLI
+   *
+   * @param {object} filters
+   * @param {string} [filters.deviceId] - Only this device
+   * @param {Set<string>} [filters.deviceIds] - Only these devices
+   * @param {string[]} [filters.events] - Only these event types
+   * @param {number} [filters.limit=20] - How many entries
+   * @returns {Promise<object[]>} Up to `limit` entries
+   */
+  async tail({ deviceId, deviceIds, events, limit = 20 } = {}) {
+    await this.flush();
+
+    let input;
+    try {
+      input = fs.createReadStream(this.filePath, { encoding: 'utf8' });
+      await new Promise((resolve, reject) => {
+        input.once('open', resolve);
+        input.once('error', reject);
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const recent = [];
+
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+
+      if (deviceId && entry.deviceId !== deviceId) continue;
+      if (deviceIds && !deviceIds.has(entry.deviceId)) continue;
+      if (events && !events.includes(entry.event)) continue;
+
+      recent.push(entry);
+      if (recent.length > limit) recent.shift();
+      // ↑ Keep only the last `limit` matches (single pass over the file)
+    }
+
+    return recent;
+  }
+
+  /**
+   * Path of the log file (for tools that follow it)
+   *
+   * @returns {string} Absolute or configured path
+   */
+  get path() {
+    return this.filePath;
+  }
+}
+
+// ============================================
+// EXPORT SINGLETON
+// ============================================
+
+module.exports = new AuditLogModel();
+module.exports.AUDIT_EVENTS = AUDIT_EVENTS;
@@ -0,0 +1,107 @@
+/**
+ * Challenge Model
+ *
+ * RESPONSIBILITIES:
+ * 1. Issue single-use nonces for challenge-response authentication
+ * 2. Bind each nonce to the device that requested it
+ * 3. Expire unused nonces
+ *
+ * SECURITY:
+ * - A nonce is deleted the first time it's presented, valid or not
+ *   (replay protection: a captured response can never be reused)
+ * - Nonces are 128-bit random values (unguessable)
+ * - Outstanding nonces are capped so a flood of /auth/challenge
+ *   requests can't exhaust memory
+ *
+ * STORAGE:
+ * - In memory only: nonces live for seconds, and a restart simply
+ *   forces devices to ask for a new one
+ */
+
+const crypto = require('crypto');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const CHALLENGE_TTL_MS = parseInt(process.env.CHALLENGE_TTL_MS) || 60 * 1000;
+// ↑ How long a device has to answer a challenge: 60 seconds
+
+const MAX_PENDING_CHALLENGES = parseInt(process.env.MAX_PENDING_CHALLENGES) || 10000;
+// ↑ Upper bound on outstanding nonces
+
+// ============================================
+// CHALLENGE MODEL CLASS
+// ============================================
+
+class ChallengeModel {
+  constructor() {
+    this.challenges = new Map();
+    // ↑ nonce → { deviceId, expiresAt }
+
+    this.cleanupTimer = setInterval(() => this.purgeExpired(), CHALLENGE_TTL_MS);
+    this.cleanupTimer.unref();
+    // ↑ unref() = don't keep the process alive just for cleanup
+  }
+
+  /**
+   * Issue a new nonce for a device
+   *
+   * @param {string} deviceId - Device identifier (normalised)
+   * @returns {{ nonce: string, expiresAt: number }} Nonce and expiry (ms epoch)
+   * @throws {Error} If too many challenges are outstanding
+   */
+  issue(deviceId) {
+    if (this.challenges.size >= MAX_PENDING_CHALLENGES) {
+      this.purgeExpired();
+
+      if (this.challenges.size >= MAX_PENDING_CHALLENGES) {
+        throw new Error('Too many pending challenges');
+      }
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + CHALLENGE_TTL_MS;
+
+    this.challenges.set(nonce, { deviceId, expiresAt });
+
+    return { nonce, expiresAt };
+  }
+
+  /**
+   * Use up a nonce
+   *
+   * Always deletes the nonce, so each one can be tried exactly once.
+   *
+   * @param {string} nonce - Nonce returned by issue()
+   * @param {string} deviceId - Device presenting the nonce
+   * @returns {boolean} True if the nonce existed, belonged to deviceId and hadn't expired
+   */
+  consume(nonce, deviceId) {
+    const challenge = this.challenges.get(nonce);
+    if (!challenge) return false;
+
+    this.challenges.delete(nonce);
+
+    return challenge.deviceId === deviceId && challenge.expiresAt > Date.now();
+  }
+
+  /**
+   * Drop expired nonces
+   */
+  purgeExpired() {
+    const now = Date.now();
+
+    for (const [nonce, challenge] of this.challenges) {
+      if (challenge.expiresAt <= now) {
+        this.challenges.delete(nonce);
+      }
+    }
+  }
+}
+
+// ============================================
+// EXPORT SINGLETON
+// ============================================
+
+module.exports = new ChallengeModel();
@@ -5,16 +5,24 @@
  * 1. Store device credentials (deviceId + secret)
  * 2. Verify device authentication attempts
  * 3. Track device status (active, revoked, suspended)
- * 4. Log authentication history
+ * 4. Report why authentication failed (recorded by models/auditLog.js)
+ * 5. Bind client certificates to devices (mutual TLS, see lib/certificateAuthority.js)
  * 
  * SECURITY:
  * - Uses constant-time comparison (prevents timing attacks)
- * - Secrets are hashed before comparison
+ * - Only a keyed hash of each secret is stored (never the plaintext)
  * - Never logs or returns secrets in API responses
  * 
+ * IDENTIFIERS:
+ * - Devices are keyed by their canonical id (see lib/deviceId.js);
+ *   callers canonicalise ids before looking devices up
+ * 
  * STORAGE:
- * - Development: JSON file (simple, no setup)
- * - Production: Should use PostgreSQL, MongoDB, or Firebase
+ * - Pluggable adapters (see storage/index.js), chosen by STORAGE_BACKEND
+ * - json:     JSON file (simple, no setup) - default
+ * - sqlite:   Embedded SQLite database (row-level writes)
+ * - firebase: Firebase Realtime Database (multi-instance)
+ * - All devices are cached in memory, so verification never waits on storage
  */
 
 // ============================================
@@ -28,38 +36,643 @@ const crypto = require('crypto');
 // - HMAC (Hash-based Message Authentication Code)
 // - Constant-time comparison (security)
 
-const fs = require('fs').promises;
-// ↑ File system module (promise-based)
-// Used for: Reading/writing devices.json
-// .promises = Use async/await instead of callbacks
+const admin = require('firebase-admin');
+// ↑ Firebase Admin SDK
+// Used for: Revoking a device's Firebase sessions (revokeRefreshTokens)
+
+const { createStorage } = require('../storage');
+// ↑ Storage adapter factory
+// Returns JSON file, SQLite or Firebase adapter based on STORAGE_BACKEND
+
+const permissionModel = require('./permission');
+// ↑ Scope catalogue and permission templates
+
+const tenantModel = require('./tenant');
+const { DEFAULT_TENANT } = tenantModel;
+// ↑ Tenants and device groups
+
+const refreshTokenModel = require('./refreshToken');
+// ↑ Refresh token families, revoked along with the device's tokens
+
+const { canonicalDeviceId, parseDeviceId } = require('../lib/deviceId');
+// ↑ Device id validation/canonical form (MAC, optionally chip id/serial)
+
+const metrics = require('../lib/metrics');
+// ↑ Storage save latency/errors for GET /metrics
+
+const certificateAuthority = require('../lib/certificateAuthority');
+// ↑ Issues client certificates when MTLS_ENABLED=true
 
-const path = require('path');
-// ↑ Path manipulation utilities
-// Used for: Building file paths (cross-platform)
+const log = require('../lib/logger').child({ component: 'device' });
+// ↑ Structured logs (JSON lines, secrets redacted)
 
 // ============================================
 // CONSTANTS
 // ============================================
 
-const DB_PATH = path.join(__dirname, '../database/devices.json');
-// ↑ Path to device database file
-// __dirname = Directory of current file (models/)
-// '../database/devices.json' = Go up one level, then to database/
-// 
-// Result: /path/to/project/database/devices.json
-// 
-// Why use path.join()?
-// - Works on Windows (\ paths) and Linux/Mac (/ paths)
-// - Handles edge cases (double slashes, etc.)
-
 const SERVER_SECRET = process.env.SERVER_SECRET;
 // ↑ Secret key for HMAC operations
-// Used to hash secrets before comparison
+// Device secrets are stored as HMAC-SHA256(SERVER_SECRET, secret)
 // 
-// Why HMAC instead of direct comparison?
+// Why HMAC instead of a plain hash?
 // - Adds extra security layer
 // - Prevents rainbow table attacks
 // - Even if database leaks, secrets are protected
+//   (attacker also needs SERVER_SECRET, which never touches the database)
+
+const PREVIOUS_SERVER_SECRETS = (process.env.SERVER_SECRET_PREVIOUS || '')
+  .split(',')
+  .map(key => key.trim())
+  .filter(Boolean);
+// ↑ Old SERVER_SECRET values, kept only while rotating
+// 
+// ROTATING SERVER_SECRET:
+// 1. Move the current value to SERVER_SECRET_PREVIOUS, set a new SERVER_SECRET
+// 2. Each device is re-keyed to the new secret on its next successful auth
+//    (a keyed hash can't be re-keyed without the plaintext, which we only
+//     see when the device authenticates)
+// 3. Once rekeyStatus() shows no records on old keys, drop SERVER_SECRET_PREVIOUS
+
+const SECRET_ROTATION_GRACE_MS = parseInt(process.env.SECRET_ROTATION_GRACE_MS) || 24 * 60 * 60 * 1000;
+// ↑ Default time the old secret keeps working after rotateSecret(): 24 hours
+
+// Brute-force protection (per device, independent of the per-IP rate limiter)
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD) || 5;
+// ↑ Failed attempts within LOCKOUT_WINDOW_MS before the device is suspended
+
+const LOCKOUT_WINDOW_MS = parseInt(process.env.LOCKOUT_WINDOW_MS) || 15 * 60 * 1000;
+// ↑ Failure counting window: 15 minutes
+
+const LOCKOUT_DURATION_MS = parseInt(process.env.LOCKOUT_DURATION_MS) || 15 * 60 * 1000;
+// ↑ First automatic suspension: 15 minutes
+// Doubles with every further lockout: 15m → 30m → 1h → ... (capped below)
+
+const LOCKOUT_MAX_DURATION_MS = parseInt(process.env.LOCKOUT_MAX_DURATION_MS) || 24 * 60 * 60 * 1000;
+// ↑ Longest automatic suspension: 24 hours
+
+const BACKOFF_BASE_MS = parseInt(process.env.AUTH_BACKOFF_BASE_MS) || 1000;
+// ↑ Wait after a failed attempt, doubling per failure: 1s → 2s → 4s → ...
+
+const LOCKOUT_SUSPENDER = 'system:lockout';
+// ↑ `suspendedBy` value marking automatic (brute-force) suspensions
+
+const REVOCATION_DB_PATH = process.env.REVOCATION_DB_PATH || 'metadata';
+// ↑ Realtime Database node where revokeTime is published per device uid
+// (read by database rules, see revokeTokens)
+
+const SELF_HOSTED_TOKENS = process.env.TOKEN_ISSUER === 'jwt';
+// ↑ Devices get our own JWTs (see tokens/index.js), Firebase may not be set up at all
+
+const FIREBASE_TIMEOUT_MS = 5000;
+// ↑ Realtime Database writes wait forever while offline - give up after 5s
+
+const HEALTH_CHECK_TIMEOUT_MS = 2000;
+// ↑ Storage check for GET /health/ready - probes run every few seconds
+
+const AUTH_FAILURE = {
+  UNKNOWN_DEVICE: 'unknown-device',
+  INACTIVE_STATUS: 'inactive-status',
+  BACKOFF: 'backoff',
+  BAD_SECRET: 'bad-secret',
+  BAD_SIGNATURE: 'bad-signature',
+  BAD_CERTIFICATE: 'bad-certificate',
+  CERTIFICATE_REVOKED: 'certificate-revoked',
+  CERTIFICATE_EXPIRED: 'certificate-expired',
+  CERTIFICATE_REQUIRED: 'certificate-required'
+};
+// ↑ Why a verification failed (returned by verifyDevice/verifyChallengeResponse/
+//   verifyCertificate/verifyRefresh)
+
+const REQUIRE_CERTIFICATE = process.env.MTLS_REQUIRE_CERT === 'true';
+// ↑ Devices holding a (non-revoked) client certificate can't use their
+//   secret any more - a secret read out of EEPROM is then worthless
+
+const CERTIFICATE_STATES = ['valid', 'expiring', 'expired', 'revoked'];
+// ↑ As reported by listCertificates() (expiring = within the warning window)
+
+const OTA_STATES = ['offered', 'downloading', 'installing', 'installed', 'failed'];
+// ↑ device.ota.state: 'offered' is set by GET /ota/manifest,
+//   the rest are reported by the device (POST /ota/status)
+
+// ============================================
+// SECRET HASHING
+// ============================================
+
+/**
+ * Short, non-reversible identifier for a server key
+ * Stored on each record so we know which key produced its hash
+ * 
+ * @param {string} key - Server secret
+ * @returns {string} First 16 hex chars of SHA-256(key)
+ */
+function keyIdOf(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+const SERVER_KEYS = [SERVER_SECRET, ...PREVIOUS_SERVER_SECRETS]
+  .filter(Boolean)
+  .map(key => ({ id: keyIdOf(key), key }));
+// ↑ Lookup table: keyId → key (current key first)
+
+const CURRENT_KEY_ID = SERVER_SECRET ? keyIdOf(SERVER_SECRET) : null;
+
+/**
+ * Hash a device secret with a server key
+ * 
+ * @param {string} secret - Device secret (plaintext)
+ * @param {string} [keyId] - Key to use (defaults to current SERVER_SECRET)
+ * @returns {Buffer} HMAC-SHA256 digest
+ * @throws {Error} If the key is not configured
+ */
+function hashSecret(secret, keyId = CURRENT_KEY_ID) {
+  const serverKey = SERVER_KEYS.find(k => k.id === keyId);
+
+  if (!serverKey) {
+    throw new Error(keyId ? `Unknown server key: ${keyId}` : 'SERVER_SECRET is not configured');
+  }
+
+  return crypto.createHmac('sha256', serverKey.key).update(secret).digest();
+}
+
+/**
+ * Check a provided secret against a stored hash
+ * Constant-time comparison (see verifyDevice for why that matters)
+ * 
+ * @param {string} providedSecret - Secret from ESP8266
+ * @param {string} storedHashHex - Stored hash (hex)
+ * @param {string} keyId - Key that produced the stored hash
+ * @returns {boolean} True if the secret matches
+ */
+function secretMatches(providedSecret, storedHashHex, keyId) {
+  if (!storedHashHex || !SERVER_KEYS.some(k => k.id === keyId)) {
+    return false;
+    // ↑ No hash, or hashed with a key we no longer have
+  }
+
+  const providedHash = hashSecret(providedSecret, keyId);
+  const storedHash = Buffer.from(storedHashHex, 'hex');
+
+  if (storedHash.length !== providedHash.length) {
+    return false;
+    // ↑ timingSafeEqual() throws on length mismatch (corrupted record)
+  }
+
+  return crypto.timingSafeEqual(providedHash, storedHash);
+}
+
+/**
+ * Reject if a promise doesn't settle in time
+ * 
+ * @param {Promise} promise - Operation to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @returns {Promise} Result of the operation
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// ============================================
+// STATUS HELPERS
+// ============================================
+
+const STATUS_TRANSITIONS = {
+  active: ['suspended', 'revoked'],
+  suspended: ['active', 'revoked'],
+  revoked: ['active']
+};
+// ↑ Allowed status changes: current status → possible next statuses
+// (revoked → active is further restricted to security-admins in routes/admin.js)
+
+/**
+ * Change a device's status and record the transition in its history
+ * 
+ * Every status change goes through here, so `statusHistory` is complete:
+ *   [{ from, to, at, by, reason, until? }, ...]
+ * 
+ * Also maintains the status-specific fields:
+ * - suspended: suspendedAt, suspendedUntil (null = indefinite), suspendedBy, suspendReason
+ * - revoked:   revokedAt, revokedBy, revokeReason
+ * 
+ * @param {object} device - Device record (modified in place)
+ * @param {string} status - New status
+ * @param {object} [options]
+ * @param {string} [options.by] - Who made the change (admin id or system:*)
+ * @param {string} [options.reason] - Why
+ * @param {string} [options.until] - Suspension end (ISO), suspended only
+ * @throws {Error} If the transition is not allowed
+ */
+function setStatus(device, status, { by = null, reason = '', until = null } = {}) {
+  if (!STATUS_TRANSITIONS[device.status].includes(status)) {
+    throw new Error(`Cannot change status from ${device.status} to ${status}`);
+  }
+
+  const at = new Date().toISOString();
+
+  device.statusHistory = device.statusHistory || [];
+  device.statusHistory.push({
+    from: device.status,
+    to: status,
+    at,
+    by,
+    reason,
+    ...(until && { until })
+  });
+
+  delete device.suspendedAt;
+  delete device.suspendedUntil;
+  delete device.suspendedBy;
+  delete device.suspendReason;
+  delete device.revokedAt;
+  delete device.revokedBy;
+  delete device.revokeReason;
+  // ↑ Details of the previous status live on in statusHistory
+
+  if (status === 'suspended') {
+    device.suspendedAt = at;
+    device.suspendedUntil = until;
+    device.suspendedBy = by;
+    device.suspendReason = reason;
+  }
+
+  if (status === 'revoked') {
+    device.revokedAt = at;
+    device.revokedBy = by;
+    device.revokeReason = reason;
+  }
+
+  device.status = status;
+}
+
+// ============================================
+// CERTIFICATE HELPERS
+// ============================================
+
+/**
+ * What the device record keeps of an issued certificate (no key material)
+ * 
+ * @param {object} issued - Result of certificateAuthority.issueDeviceCertificate()
+ * @param {string} [issuedBy] - Admin issuing it (null at registration)
+ * @returns {object} device.certificate
+ */
+function certificateRecord(issued, issuedBy = null) {
+  return {
+    serialNumber: issued.serialNumber,
+    fingerprint: issued.fingerprint,
+    // ↑ SHA-256 of the certificate: the only one POST /auth/token accepts
+    keySource: issued.privateKey ? 'server' : 'device',
+    issuedAt: issued.issuedAt,
+    issuedBy,
+    expiresAt: issued.expiresAt,
+    revokedAt: null
+  };
+}
+
+/**
+ * Mark a device's certificate revoked (in memory - caller saves)
+ * 
+ * @param {object} device - Device record
+ * @param {object} options - { by, reason }
+ * @returns {boolean} False if there was no certificate, or it was already revoked
+ */
+function revokeCertificateRecord(device, { by = null, reason = '' } = {}) {
+  const certificate = device.certificate;
+  if (!certificate || certificate.revokedAt) return false;
+
+  certificate.revokedAt = new Date().toISOString();
+  certificate.revokedBy = by;
+  certificate.revokeReason = reason;
+  return true;
+}
+
+/**
+ * @param {object} certificate - device.certificate
+ * @param {number} warningMs - How close to expiry counts as 'expiring'
+ * @returns {string} One of CERTIFICATE_STATES
+ */
+function certificateState(certificate, warningMs) {
+  if (certificate.revokedAt) return 'revoked';
+
+  const remaining = Date.parse(certificate.expiresAt) - Date.now();
+  if (remaining <= 0) return 'expired';
+  return remaining <= warningMs ? 'expiring' : 'valid';
+}
+
+// ============================================
+// METADATA SCHEMA
+// ============================================
+
+const METADATA_SCHEMA = {
+  firmwareVersion: { maxLength: 32, pattern: /^[\w.+-]+$/, required: true },
+  hardwareVersion: { maxLength: 64, required: true },
+  location: { maxLength: 128 },
+  customerId: { maxLength: 64 },
+  serialNumber: { maxLength: 64 },
+  notes: { maxLength: 1024 },
+  provisioningBatch: { readOnly: true }
+};
+// ↑ Known metadata fields (all strings)
+// required = can be changed but not removed; readOnly = set by the server only
+
+const CUSTOM_METADATA_KEY = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+const CUSTOM_METADATA_MAX_LENGTH = 256;
+const MAX_METADATA_KEYS = 32;
+// ↑ Any other key is allowed: string/number/boolean values, string ≤ 256 chars
+
+/**
+ * Validate a metadata value against the schema
+ * 
+ * @param {string} key - Metadata field
+ * @param {*} value - New value
+ * @returns {string|null} Error message, or null if valid
+ */
+function metadataValueError(key, value) {
+  const rule = METADATA_SCHEMA[key];
+
+  if (rule) {
+    if (typeof value !== 'string' || !value) return `${key} must be a non-empty string`;
+    if (value.length > rule.maxLength) return `${key} must be at most ${rule.maxLength} characters`;
+    if (rule.pattern && !rule.pattern.test(value)) return `${key} contains invalid characters`;
+    return null;
+  }
+
+  if (!CUSTOM_METADATA_KEY.test(key)) {
+    return `Invalid metadata key: ${key} (letters, digits and _, starting with a letter)`;
+  }
+  if (!['string', 'number', 'boolean'].includes(typeof value)) {
+    return `${key} must be a string, number or boolean`;
+  }
+  if (typeof value === 'string' && value.length > CUSTOM_METADATA_MAX_LENGTH) {
+    return `${key} must be at most ${CUSTOM_METADATA_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Validate a metadata patch (JSON merge patch: null removes a key)
+ * 
+ * @param {object} current - Current metadata
+ * @param {object} patch - Changes, e.g. { location: 'Hall', oldKey: null }
+ * @returns {object} Changed fields only: { key: { from, to } } (to = undefined when removed)
+ * @throws {Error} Listing every invalid field
+ */
+function diffMetadataPatch(current, patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new Error('metadata must be an object');
+  }
+
+  const errors = [];
+  const changes = {};
+
+  for (const [key, value] of Object.entries(patch)) {
+    const rule = METADATA_SCHEMA[key];
+
+    if (rule && rule.readOnly) {
+      errors.push(`${key} is read-only`);
+    } else if (value === null) {
+      if (rule && rule.required) {
+        errors.push(`${key} cannot be removed`);
+      } else if (key in current) {
+        changes[key] = { from: current[key], to: undefined };
+      }
+    } else {
+      const error = metadataValueError(key, value);
+      if (error) {
+        errors.push(error);
+      } else if (current[key] !== value) {
+        changes[key] = { from: current[key], to: value };
+      }
+    }
+  }
+
+  const keys = new Set(Object.keys(current));
+  for (const [key, { to }] of Object.entries(changes)) {
+    if (to === undefined) keys.delete(key); else keys.add(key);
+  }
+
+  if (keys.size > MAX_METADATA_KEYS) {
+    errors.push(`At most ${MAX_METADATA_KEYS} metadata fields are allowed`);
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid metadata: ${errors.join('; ')}`);
+  }
+
+  return changes;
+}
+
+/**
+ * Apply validated changes to a device and append them to metadataHistory
+ * 
+ *   metadataHistory: [{ at, by, source, changes: { key: { from, to } } }, ...]
+ * 
+ * @param {object} device - Device record (modified in place)
+ * @param {object} changes - Result of diffMetadataPatch()
+ * @param {object} who
+ * @param {string} who.by - Admin id, CLI user or deviceId
+ * @param {string} who.source - 'admin' or 'device'
+ */
+function applyMetadataChanges(device, changes, { by, source }) {
+  for (const [key, { to }] of Object.entries(changes)) {
+    if (to === undefined) {
+      delete device.metadata[key];
+    } else {
+      device.metadata[key] = to;
+    }
+  }
+
+  if (!device.metadataHistory) device.metadataHistory = [];
+  device.metadataHistory.push({
+    at: new Date().toISOString(),
+    by,
+    source,
+    changes: Object.fromEntries(
+      Object.entries(changes).map(([key, { from, to }]) => [key, { from: from === undefined ? null : from, to: to === undefined ? null : to }])
+    )
+    // ↑ undefined (absent) → null, so removals survive JSON serialisation
+  });
+}
+
+// ============================================
+// QUERY HELPERS
+// ============================================
+
+const SORTABLE_FIELDS = [
+  'deviceId',
+  'registeredAt',
+  'lastAuthAt',
+  'suspendedAt',
+  'revokedAt',
+  'tokensRevokedAt'
+];
+// ↑ Fields queryDevices() can sort by (timestamps are ISO strings, so they sort as text)
+
+const MAX_QUERY_LIMIT = 1000;
+
+/**
+ * Encode a pagination cursor: the sort key of the last device on a page
+ * 
+ * @param {object} position - { sort, order, value, deviceId }
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * 
+ * @param {string} cursor - Value from a previous page's nextCursor
+ * @returns {object} { sort, order, value, deviceId }
+ * @throws {Error} If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (position && typeof position.deviceId === 'string') return position;
+  } catch (error) {
+    // Fall through
+  }
+  throw new Error('Invalid cursor');
+}
+
+/**
+ * Compare two devices by a field, then by deviceId (unique tie-breaker)
+ * Devices without a value (e.g. never authenticated) always sort last
+ * 
+ * @param {object} a - { value, deviceId }
+ * @param {object} b - { value, deviceId }
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {number} Negative if a comes first
+ */
+function compareSortKeys(a, b, order) {
+  const aMissing = a.value === null || a.value === undefined;
+  const bMissing = b.value === null || b.value === undefined;
+
+  if (aMissing !== bMissing) return aMissing ? 1 : -1;
+
+  const direction = order === 'desc' ? -1 : 1;
+
+  if (!aMissing && a.value !== b.value) {
+    return (a.value < b.value ? -1 : 1) * direction;
+  }
+
+  return (a.deviceId < b.deviceId ? -1 : a.deviceId > b.deviceId ? 1 : 0) * direction;
+}
+
+// ============================================
+// CHALLENGE KEYS
+// ============================================
+// 
+// Challenge-response auth (POST /auth/challenge) needs a key the server can
+// actually use, which a one-way hash can't provide. So instead of the secret
+// we store a key DERIVED from it, encrypted with SERVER_SECRET:
+// 
+//   challengeKey = HMAC-SHA256(key = secret, "esp8266-auth/challenge-key")
+//   response     = HMAC-SHA256(key = challengeKey, nonce + ":" + deviceId + ":" + timestamp)
+// 
+// - The raw secret is still never stored
+// - A leaked database alone reveals nothing (challengeKey is encrypted)
+// - Unlike hashes, encrypted keys CAN be re-keyed offline when SERVER_SECRET rotates
+
+const CHALLENGE_KEY_LABEL = 'esp8266-auth/challenge-key';
+
+/**
+ * Derive the challenge-response key from a device secret
+ * The ESP8266 performs the same derivation on its side
+ * 
+ * @param {string} secret - Device secret (plaintext)
+ * @returns {Buffer} 32-byte key
+ */
+function deriveChallengeKey(secret) {
+  return crypto.createHmac('sha256', secret).update(CHALLENGE_KEY_LABEL).digest();
+}
+
+/**
+ * AES-256 key for encrypting challenge keys at rest, derived from a server key
+ * 
+ * @param {string} keyId - Server key identifier
+ * @returns {Buffer} 32-byte encryption key
+ */
+function encryptionKeyFor(keyId) {
+  const serverKey = SERVER_KEYS.find(k => k.id === keyId);
+
+  if (!serverKey) {
+    throw new Error(keyId ? `Unknown server key: ${keyId}` : 'SERVER_SECRET is not configured');
+  }
+
+  return Buffer.from(crypto.hkdfSync('sha256', serverKey.key, '', 'esp8266-auth/challenge-key-encryption', 32));
+}
+
+/**
+ * Encrypt a challenge key with the current SERVER_SECRET (AES-256-GCM)
+ * 
+ * @param {Buffer} challengeKey - Raw challenge key
+ * @returns {object} { keyId, iv, tag, data } (hex strings)
+ */
+function encryptChallengeKey(challengeKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKeyFor(CURRENT_KEY_ID), iv);
+  const data = Buffer.concat([cipher.update(challengeKey), cipher.final()]);
+
+  return {
+    keyId: CURRENT_KEY_ID,
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    data: data.toString('hex')
+  };
+}
+
+/**
+ * Decrypt a stored challenge key
+ * 
+ * @param {object} encrypted - Output of encryptChallengeKey()
+ * @returns {Buffer|null} Raw challenge key, or null if it can't be decrypted
+ */
+function decryptChallengeKey(encrypted) {
+  if (!encrypted || !SERVER_KEYS.some(k => k.id === encrypted.keyId)) {
+    return null;
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      encryptionKeyFor(encrypted.keyId),
+      Buffer.from(encrypted.iv, 'hex')
+    );
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'hex'));
+    // ↑ GCM tag check fails if the record was tampered with
+
+    return Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'hex')), decipher.final()]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check a challenge response against a stored (encrypted) challenge key
+ * 
+ * @param {object} encrypted - Stored challenge key
+ * @param {string} message - Signed message (nonce:deviceId:timestamp)
+ * @param {string} signature - Device's HMAC (hex)
+ * @returns {boolean} True if the signature is valid
+ */
+function challengeResponseMatches(encrypted, message, signature) {
+  const challengeKey = decryptChallengeKey(encrypted);
+  if (!challengeKey) return false;
+
+  const expected = crypto.createHmac('sha256', challengeKey).update(message).digest();
+  const provided = Buffer.from(signature, 'hex');
+
+  if (provided.length !== expected.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expected, provided);
+}
 
 // ============================================
 // DEVICE MODEL CLASS
@@ -70,7 +683,10 @@ class DeviceModel {
   // CONSTRUCTOR
   // ============================================
   
-  constructor() {
+  constructor(storage = createStorage()) {
+    this.storage = storage;
+    // ↑ Persistence adapter (JSON file, SQLite, Firebase)
+
     this.devices = {};
     // ↑ In-memory storage
     // Structure: { "deviceId": { ...deviceData } }
@@ -78,14 +694,28 @@ class DeviceModel {
     // {
     //   "5C:CF:7F:12:34:56": {
     //     deviceId: "5C:CF:7F:12:34:56",
-    //     secret: "a8f5d2c9...",
+    //     secretHash: "3b9f0e...",
+    //     secretKeyId: "9c1d4e...",
     //     status: "active",
     //     ...
     //   }
     // }
     
-    this.loadDevices();
-    // ↑ Load existing devices from file on startup
+    this.loadError = null;
+    // ↑ Set if the database couldn't be read (server then runs with no devices
+    //   and GET /health/ready fails until it's fixed and restarted)
+
+    this.pendingSaves = new Set();
+    // ↑ saveDevices() calls still writing (awaited by flush() on shutdown)
+
+    this.ready = tenantModel.ready.then(() => this.loadDevices());
+    // ↑ Load existing devices from storage on startup
+    // (after tenants - registration validates them)
+    // Await `deviceModel.ready` when you need the data to be loaded
+
+    this.expiryTimer = setInterval(() => this.releaseExpiredSuspensions(), 60 * 1000);
+    this.expiryTimer.unref();
+    // ↑ End scheduled suspensions on time (unref = don't block shutdown)
   }
 
   // ============================================
@@ -93,88 +723,257 @@ class DeviceModel {
   // ============================================
   
   /**
-   * Load devices from JSON file
+   * Load devices from storage
    * Called automatically in constructor
    * 
    * Flow:
-   * 1. Try to read devices.json
-   * 2. If exists: Parse JSON and load into memory
-   * 3. If not exists: Create empty database
+   * 1. Ask the storage adapter for all devices
+   * 2. If found: Load into memory
+   * 3. If JSON file doesn't exist: Create empty database
    * 4. If error: Log and continue with empty database
    */
   async loadDevices() {
     try {
-      const data = await fs.readFile(DB_PATH, 'utf8');
-      // ↑ Read file as UTF-8 string
-      // Async operation - doesn't block server startup
-      
-      this.devices = JSON.parse(data);
-      // ↑ Parse JSON string into JavaScript object
-      // If malformed JSON: Throws error (caught by catch block)
+      this.devices = await this.storage.load();
+      // ↑ Async operation - doesn't block server startup
+      // If malformed data: Throws error (caught by catch block)
       
-      console.log(`✓ Loaded ${Object.keys(this.devices).length} devices from database`);
+      log.info('Devices loaded', { count: Object.keys(this.devices).length, backend: this.storage.name });
       // ↑ Log success
       // Object.keys(this.devices).length = Count of devices
+
+      for (const device of Object.values(this.devices)) {
+        device.groups = device.groups || [];
+      }
+      // ↑ Firebase storage drops empty arrays: `groups: []` comes back missing
+
+      await this.migrateDeviceIds();
+      // ↑ One-time upgrade of records stored under non-canonical ids
+
+      await this.migratePlaintextSecrets();
+      // ↑ One-time upgrade of databases created before secrets were hashed
+
+      await this.assignDefaultTenant();
+      // ↑ One-time upgrade of databases created before tenants existed
+
+      await this.rekeyChallengeKeys();
+      // ↑ Re-encrypt challenge keys after a SERVER_SECRET rotation
       
     } catch (error) {
       if (error.code === 'ENOENT') {
         // ↑ ENOENT = Error NO ENTry (file doesn't exist)
-        console.log('⚠ No device database found, creating new one');
+        log.warn('No device database found, creating new one', { backend: this.storage.name });
         this.devices = {};
         await this.saveDevices();
         // ↑ Create empty database file
       } else {
         // ↑ Other errors (permission denied, disk full, etc.)
-        console.error('Error loading devices:', error);
+        log.error('Error loading devices', { error });
+        this.loadError = error;
         // Continue with empty database rather than crashing
       }
     }
   }
 
   /**
-   * Save devices to JSON file
-   * Called after any database modification
+   * Re-key devices stored under a non-canonical id
    * 
-   * Why save immediately?
-   * - Prevents data loss if server crashes
-   * - Simple persistence without database setup
+   * Older versions stored ids as sent, so "5c-cf-7f-12-34-56" was a
+   * different device from "5C:CF:7F:12:34:56" (and could never log in).
+   * Such records are moved to their canonical id. Left in place, with an
+   * error logged:
+   * - ids no enabled scheme accepts (enable it in DEVICE_ID_SCHEMES)
+   * - ids whose canonical form is already taken (resolve by hand)
    * 
-   * Performance note:
-   * - File I/O is slow
-   * - For production with many devices, use real database
+   * A device that did log in under its old id gets a new Firebase uid.
    */
-  async saveDevices() {
-    try {
-      const dir = path.dirname(DB_PATH);
-      // ↑ Get directory path: /path/to/project/database
-      
-      await fs.mkdir(dir, { recursive: true });
-      // ↑ Create directory if it doesn't exist
-      // recursive: true = Create parent directories too
-      // Example: Creates both 'database' and 'database/subdir' if needed
-      
-      await fs.writeFile(
-        DB_PATH, 
-        JSON.stringify(this.devices, null, 2)
-        // ↑ Convert JavaScript object to JSON string
-        // null = No replacer function
-        // 2 = Indent with 2 spaces (pretty-print)
-      );
-      
-    } catch (error) {
-      console.error('Error saving devices:', error);
-      // ↑ Log but don't crash
-      // In-memory data still available
-      // Will retry on next save
+  async migrateDeviceIds() {
+    let migrated = 0;
+
+    for (const [storedId, device] of Object.entries(this.devices)) {
+      const deviceId = canonicalDeviceId(storedId);
+
+      if (deviceId === storedId) continue;
+
+      if (!deviceId) {
+        log.error('Device id not in a recognised format, left as is', { deviceId: storedId });
+        continue;
+      }
+
+      if (this.devices[deviceId]) {
+        log.error('Device id conflicts with an existing device, left as is', { deviceId: storedId, canonicalId: deviceId });
+        continue;
+      }
+
+      device.deviceId = deviceId;
+      this.devices[deviceId] = device;
+      delete this.devices[storedId];
+      migrated++;
+
+      log.warn('Device id canonicalised', { from: storedId, to: deviceId });
     }
+
+    if (migrated === 0) return;
+
+    await this.saveDevices();
+    // ↑ Full write: removes the old keys from storage
+    log.info('Device ids migrated to canonical form', { count: migrated });
   }
 
-  // ============================================
-  // DEVICE REGISTRATION
-  // ============================================
-  
   /**
-   * Register a new device
+   * Put devices registered before tenants existed into the default tenant
+   */
+  async assignDefaultTenant() {
+    const untenanted = Object.values(this.devices).filter(device => !device.tenantId);
+    if (untenanted.length === 0) return;
+
+    for (const device of untenanted) {
+      device.tenantId = DEFAULT_TENANT;
+    }
+
+    await this.saveDevices();
+    log.info('Devices moved into the default tenant', { count: untenanted.length, tenantId: DEFAULT_TENANT });
+  }
+
+  /**
+   * Replace plaintext secrets with keyed hashes
+   * 
+   * Older versions stored `secret` in clear text. On load, every such record
+   * is converted to `secretHash` + `secretKeyId` and the plaintext is removed.
+   * Runs on every start but only does work while old records exist.
+   */
+  async migratePlaintextSecrets() {
+    const plaintext = Object.values(this.devices).filter(device => device.secret);
+
+    if (plaintext.length === 0) return;
+
+    for (const device of plaintext) {
+      device.secretHash = hashSecret(device.secret).toString('hex');
+      device.secretKeyId = CURRENT_KEY_ID;
+      device.challengeKey = encryptChallengeKey(deriveChallengeKey(device.secret));
+      delete device.secret;
+      // ↑ Plaintext gone from memory; saveDevices() removes it from storage
+    }
+
+    await this.saveDevices();
+    // ↑ Full write so no plaintext copy survives in the file/table
+
+    log.info('Plaintext device secrets migrated to hashes', { count: plaintext.length });
+  }
+
+  /**
+   * Re-encrypt challenge keys that use an old SERVER_SECRET
+   * 
+   * Unlike secret hashes, these can be moved to the new key without the
+   * device's help, as long as the old key is still in SERVER_SECRET_PREVIOUS.
+   */
+  async rekeyChallengeKeys() {
+    let rekeyed = 0;
+
+    for (const device of Object.values(this.devices)) {
+      for (const holder of [device, device.previousSecret]) {
+        if (!holder || !holder.challengeKey || holder.challengeKey.keyId === CURRENT_KEY_ID) continue;
+
+        const challengeKey = decryptChallengeKey(holder.challengeKey);
+        if (!challengeKey) continue;
+        // ↑ Old key not configured anymore - leave as is
+
+        holder.challengeKey = encryptChallengeKey(challengeKey);
+        rekeyed++;
+      }
+    }
+
+    if (rekeyed === 0) return;
+
+    await this.saveDevices();
+    log.info('Challenge keys re-encrypted with current SERVER_SECRET', { count: rekeyed });
+  }
+
+  /**
+   * Save devices to storage
+   * Called after any database modification
+   * 
+   * Why save immediately?
+   * - Prevents data loss if server crashes
+   * - Simple persistence without database setup
+   * 
+   * Performance note:
+   * - Pass a deviceId to write only that record
+   * - SQLite/Firebase adapters then update a single row/node
+   * - JSON adapter always rewrites the whole file
+   * 
+   * @param {string} [deviceId] - Only persist this device (if adapter supports it)
+   * @returns {Promise<void>} Never rejects (errors are logged)
+   */
+  saveDevices(deviceId) {
+    const save = this.writeDevices(deviceId).finally(() => this.pendingSaves.delete(save));
+    this.pendingSaves.add(save);
+    // ↑ Many callers don't await (e.g. lastAuthAt updates) - tracked so
+    //   shutdown can wait for them
+
+    return save;
+  }
+
+  /**
+   * Perform one save (see saveDevices)
+   *
+   * @param {string} [deviceId] - Only persist this device
+   */
+  async writeDevices(deviceId) {
+    const endTimer = metrics.storageSaveDuration.startTimer({ backend: this.storage.name });
+
+    try {
+      if (deviceId && this.storage.saveRecord && this.devices[deviceId]) {
+        await this.storage.saveRecord(this.devices[deviceId]);
+        // ↑ Row-level write (SQLite, Firebase)
+      } else {
+        await this.storage.saveAll(this.devices);
+        // ↑ Full write (JSON file, or adapter without row-level support)
+      }
+      
+    } catch (error) {
+      log.error('Error saving devices', { error, backend: this.storage.name });
+      metrics.storageSaveErrors.inc({ backend: this.storage.name });
+      // ↑ Log but don't crash
+      // In-memory data still available
+      // Will retry on next save
+    } finally {
+      endTimer();
+    }
+  }
+
+  /**
+   * Wait for every pending save (graceful shutdown)
+   */
+  async flush() {
+    while (this.pendingSaves.size > 0) {
+      await Promise.all(this.pendingSaves);
+      // ↑ Loop: picks up saves started while waiting
+    }
+  }
+
+  /**
+   * Readiness check: devices loaded and storage reachable
+   *
+   * @throws {Error} If the database failed to load, is still loading
+   *                 or the storage backend doesn't answer in time
+   */
+  async checkHealth() {
+    await withTimeout(this.ready, HEALTH_CHECK_TIMEOUT_MS);
+
+    if (this.loadError) {
+      throw new Error(`Device database failed to load: ${this.loadError.message}`);
+    }
+
+    await withTimeout(this.storage.check(), HEALTH_CHECK_TIMEOUT_MS);
+  }
+
+  // ============================================
+  // DEVICE REGISTRATION
+  // ============================================
+  
+  /**
+   * Register a new device
    * 
    * WHEN TO CALL:
    * - During manufacturing process
@@ -182,28 +981,98 @@ class DeviceModel {
    * - From admin API endpoint
    * 
    * FLOW:
-   * 1. Check if device already exists
+   * 1. Canonicalise the id, check if device already exists
    * 2. Generate cryptographically secure random secret
    * 3. Store device with metadata
    * 4. Save to disk
    * 5. Return credentials (ONLY TIME secret is returned!)
    * 
-   * @param {string} deviceId - Unique device identifier (MAC address)
+   * @param {string} deviceId - Unique device identifier (MAC address, any format - see lib/deviceId.js)
    * @param {object} metadata - Additional device information
-   * @returns {Promise<object>} Device credentials
-   * @throws {Error} If device already registered
+   * @param {object} [access] - Token permissions (see models/permission.js)
+   * @param {string} [access.permissionTemplate] - Template name
+   * @param {string[]} [access.permissions] - Explicit scopes (override the template)
+   * @param {string} [access.tenantId='default'] - Tenant (see models/tenant.js)
+   * @param {string[]} [access.groups] - Groups within that tenant
+   * @param {string} [access.publicKey] - Device's EC P-256 public key (PEM) for its
+   *   client certificate (MTLS_ENABLED; without it the server generates the key pair)
+   * @returns {Promise<object>} Device credentials (+ clientCertificate when MTLS_ENABLED)
+   * @throws {Error} If the id is invalid, device already registered, template/scopes/tenant/groups
+   *   are unknown, or a publicKey is given that can't be used
    */
-  async registerDevice(deviceId, metadata = {}) {
+  async registerDevice(rawDeviceId, metadata = {}, { permissionTemplate = null, permissions = null, tenantId, groups, publicKey } = {}) {
     // ============================================
     // VALIDATION
     // ============================================
     
+    const deviceId = parseDeviceId(rawDeviceId);
+    // ↑ Stored key is always canonical: "5c-cf-7f-12-34-56" → "5C:CF:7F:12:34:56"
+
     if (this.devices[deviceId]) {
       throw new Error('Device already registered');
       // ↑ Prevent duplicate registrations
       // Each device should be registered only once
     }
 
+    const access = {
+      ...this.validateAccess({ permissionTemplate, permissions }),
+      ...tenantModel.validateMembership({ tenantId: tenantId || undefined, groups })
+    };
+    // ↑ Reject unknown templates/scopes/tenants/groups before anything is stored
+
+    diffMetadataPatch({}, metadata);
+    // ↑ Same metadata rules as updateMetadata()
+
+    const { device, secret } = this.createDeviceRecord(deviceId, metadata, access);
+
+    const clientCertificate = certificateAuthority.MTLS_ENABLED || publicKey
+      ? certificateAuthority.issueDeviceCertificate(deviceId, { publicKey })
+      : null;
+    // ↑ Throws for a publicKey while MTLS is off, or one that isn't EC P-256
+
+    if (clientCertificate) {
+      device.certificate = certificateRecord(clientCertificate);
+    }
+
+    // ============================================
+    // SAVE TO DATABASE
+    // ============================================
+    
+    this.devices[deviceId] = device;
+    // ↑ Add to in-memory database
+    
+    await this.saveDevices(deviceId);
+    // ↑ Persist to disk
+    
+    log.info('Device registered', { deviceId });
+
+    // ============================================
+    // RETURN CREDENTIALS
+    // ============================================
+    
+    return {
+      deviceId,
+      secret,
+      // ↑ ⚠️ SECURITY WARNING!
+      // This is the ONLY time the secret is returned
+      // Only its hash is stored, so it can't be recovered later
+      // Must be flashed to ESP8266 immediately
+      // If lost, device must be re-registered (new secret)
+
+      clientCertificate: clientCertificate || undefined
+      // ↑ Certificate + CA certificate (+ private key, also returned only once)
+    };
+  }
+
+  /**
+   * Build a new device record with a fresh secret (not stored yet)
+   * 
+   * @param {string} deviceId - Unique device identifier (MAC address)
+   * @param {object} metadata - Additional device information
+   * @param {object} access - Validated { permissionTemplate, permissions, tenantId, groups }
+   * @returns {{ device: object, secret: string }} Record and plaintext secret
+   */
+  createDeviceRecord(deviceId, metadata, access) {
     // ============================================
     // GENERATE SECRET
     // ============================================
@@ -236,9 +1105,16 @@ class DeviceModel {
       // ↑ Unique identifier (MAC address)
       // Example: "5C:CF:7F:12:34:56"
       
-      secret,
-      // ↑ Random secret (generated above)
-      // ⚠️ NEVER log this or include in API responses!
+      secretHash: hashSecret(secret).toString('hex'),
+      // ↑ Keyed hash of the secret (generated above)
+      // The plaintext secret is NEVER stored
+      
+      secretKeyId: CURRENT_KEY_ID,
+      // ↑ Which SERVER_SECRET produced the hash (for key rotation)
+      
+      challengeKey: encryptChallengeKey(deriveChallengeKey(secret)),
+      // ↑ Key for challenge-response auth, encrypted at rest
+      // (see CHALLENGE KEYS above)
       
       status: 'active',
       // ↑ Device status
@@ -263,6 +1139,16 @@ class DeviceModel {
       // - Usage analytics
       // - Detecting anomalies (too many auths = hack attempt?)
       // - Billing (per-auth pricing)
+
+      permissionTemplate: access.permissionTemplate,
+      permissions: access.permissions,
+      // ↑ Scopes embedded in the device's tokens
+      // null/null = "default" template (see models/permission.js)
+
+      tenantId: access.tenantId,
+      groups: access.groups,
+      // ↑ Owning customer and its device groups (see models/tenant.js)
+      // tenantId is also embedded in the device's tokens
       
       metadata: {
         firmwareVersion: metadata.firmwareVersion || 'unknown',
@@ -275,38 +1161,329 @@ class DeviceModel {
         // Example: "ESP-12E", "ESP-12F", "NodeMCU v3"
         // Useful for: Troubleshooting, feature compatibility
         
-        ...metadata
-        // ↑ Spread operator - include any additional metadata
+        ...Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== null))
+        // ↑ Include any additional metadata (validated by diffMetadataPatch)
         // Example: location, customer_id, serial_number, etc.
+        // null = not set, as in a metadata patch
       }
     };
 
+    return { device, secret };
+  }
+
+  /**
+   * Register many devices at once (factory provisioning)
+   * 
+   * ATOMIC: every entry is validated first, and all new devices are
+   * written in a single storage operation. If anything fails, nothing
+   * is registered.
+   * 
+   * DUPLICATES (already registered, or repeated in the batch):
+   * - skipDuplicates = true:  reported in `skipped`, the rest is registered
+   * - skipDuplicates = false: the whole batch is rejected
+   * 
+   * @param {object[]} entries - [{ deviceId, metadata, permissionTemplate?, permissions?, tenantId?, groups? }]
+   *   (deviceIds in any accepted format, see lib/deviceId.js)
+   * @param {object} [options]
+   * @param {boolean} [options.skipDuplicates=true]
+   * @param {string} [options.batchId] - Stored as metadata.provisioningBatch
+   * @returns {Promise<{ registered: object[], skipped: object[] }>}
+   *   registered: [{ deviceId, secret, clientCertificate? }] (ONLY TIME the secrets
+   *   and private keys are returned; certificates when MTLS_ENABLED)
+   *   skipped: [{ deviceId, reason }]
+   * @throws {Error} If an entry is invalid, duplicates aren't allowed, or the write fails
+   */
+  async registerDevices(entries, { skipDuplicates = true, batchId = null } = {}) {
     // ============================================
-    // SAVE TO DATABASE
+    // VALIDATE EVERYTHING FIRST
     // ============================================
-    
-    this.devices[deviceId] = device;
-    // ↑ Add to in-memory database
-    
-    await this.saveDevices();
-    // ↑ Persist to disk
-    
-    console.log(`✓ Device registered: ${deviceId}`);
+
+    const accepted = [];
+    const skipped = [];
+    const errors = [];
+    const seen = new Set();
+
+    for (const entry of entries) {
+      const deviceId = canonicalDeviceId(entry.deviceId);
+
+      if (!deviceId) {
+        errors.push(`${entry.deviceId}: invalid deviceId`);
+        continue;
+      }
+
+      if (this.devices[deviceId] || seen.has(deviceId)) {
+        skipped.push({
+          deviceId,
+          reason: this.devices[deviceId] ? 'already-registered' : 'duplicate-in-batch'
+        });
+        continue;
+      }
+      seen.add(deviceId);
+
+      try {
+        diffMetadataPatch({}, entry.metadata || {});
+        accepted.push({
+          ...entry,
+          deviceId,
+          access: {
+            ...this.validateAccess({
+              permissionTemplate: entry.permissionTemplate,
+              permissions: entry.permissions
+            }),
+            ...tenantModel.validateMembership({ tenantId: entry.tenantId || undefined, groups: entry.groups })
+          }
+        });
+      } catch (error) {
+        errors.push(`${deviceId}: ${error.message}`);
+      }
+    }
+
+    if (errors.length) {
+      throw new Error(`Invalid entries - ${errors.join('; ')}`);
+    }
+
+    if (skipped.length && !skipDuplicates) {
+      throw new Error(`Duplicate devices - ${skipped.map(s => `${s.deviceId} (${s.reason})`).join(', ')}`);
+    }
 
     // ============================================
-    // RETURN CREDENTIALS
+    // CREATE AND SAVE IN ONE WRITE
     // ============================================
-    
+
+    const created = accepted.map(({ deviceId, metadata, access }) => {
+      const { device, secret } = this.createDeviceRecord(
+        deviceId,
+        batchId ? { ...metadata, provisioningBatch: batchId } : metadata,
+        access
+      );
+
+      if (!certificateAuthority.MTLS_ENABLED) {
+        return { device, credentials: { deviceId, secret } };
+      }
+
+      const clientCertificate = certificateAuthority.issueDeviceCertificate(deviceId);
+      device.certificate = certificateRecord(clientCertificate);
+      return { device, credentials: { deviceId, secret, clientCertificate } };
+    });
+    // ↑ Everything that can fail happens before the first device is added
+
+    for (const { device } of created) {
+      this.devices[device.deviceId] = device;
+    }
+    const registered = created.map(({ credentials }) => credentials);
+
+    try {
+      await this.storage.saveAll(this.devices);
+      // ↑ Single write - not saveDevices(), which swallows errors
+
+    } catch (error) {
+      for (const { deviceId } of registered) {
+        delete this.devices[deviceId];
+      }
+      // ↑ Roll back so memory matches storage
+      throw new Error(`Failed to save devices: ${error.message}`);
+    }
+
+    log.info('Devices provisioned', { count: registered.length, skipped: skipped.length, batchId });
+
+    return { registered, skipped };
+  }
+
+  // ============================================
+  // PERMISSIONS
+  // ============================================
+
+  /**
+   * Validate a template name and/or explicit scope list
+   * 
+   * @param {object} access
+   * @param {string|null} [access.permissionTemplate] - Template name
+   * @param {string[]|null} [access.permissions] - Explicit scopes
+   * @returns {{ permissionTemplate: string|null, permissions: string[]|null }}
+   * @throws {Error} If the template or a scope is unknown
+   */
+  validateAccess({ permissionTemplate = null, permissions = null } = {}) {
+    if (permissionTemplate !== null && !permissionModel.getTemplate(permissionTemplate)) {
+      throw new Error(`Unknown permission template: ${permissionTemplate}`);
+    }
+
     return {
-      deviceId,
-      secret
-      // ↑ ⚠️ SECURITY WARNING!
-      // This is the ONLY time the secret is returned
-      // Must be flashed to ESP8266 immediately
-      // If lost, device must be re-registered (new secret)
+      permissionTemplate,
+      permissions: permissions === null ? null : permissionModel.validateScopes(permissions)
     };
   }
 
+  /**
+   * Change which scopes a device's tokens carry
+   * 
+   * Takes effect on the next token - already issued tokens keep their
+   * scopes until they expire (use revokeTokens() to cut them short).
+   * 
+   * @param {string} deviceId - Device identifier
+   * @param {object} access - Fields to change (omitted fields stay as they are)
+   * @param {string|null} [access.permissionTemplate] - Template name, null = default
+   * @param {string[]|null} [access.permissions] - Explicit scopes, null = use template
+   * @returns {Promise<object>} Updated device (no secrets)
+   * @throws {Error} If device not found, or template/scopes are unknown
+   */
+  async setPermissions(deviceId, access) {
+    return (await this.setPermissionsForDevices([deviceId], access))[0];
+  }
+
+  /**
+   * Change the permissions of many devices (e.g. a whole group) in one write
+   * 
+   * @param {string[]} deviceIds - Devices to change
+   * @param {object} access - Same as setPermissions()
+   * @returns {Promise<object[]>} Updated devices (no secrets)
+   * @throws {Error} If a device isn't found, or template/scopes are unknown
+   *   (nothing is changed then)
+   */
+  async setPermissionsForDevices(deviceIds, access) {
+    const updates = deviceIds.map(deviceId => {
+      const device = this.devices[deviceId];
+      if (!device) {
+        throw new Error('Device not found');
+      }
+
+      return {
+        device,
+        changes: this.validateAccess({
+          permissionTemplate: access.permissionTemplate !== undefined
+            ? access.permissionTemplate
+            : device.permissionTemplate || null,
+          permissions: access.permissions !== undefined
+            ? access.permissions
+            : device.permissions || null
+        })
+      };
+    });
+    // ↑ Validate everything before changing anything
+
+    for (const { device, changes } of updates) {
+      device.permissionTemplate = changes.permissionTemplate;
+      device.permissions = changes.permissions;
+    }
+
+    if (deviceIds.length === 1) {
+      await this.saveDevices(deviceIds[0]);
+      log.info('Permissions updated', { deviceId: deviceIds[0] });
+    } else if (deviceIds.length) {
+      await this.saveDevices();
+      log.info('Permissions updated', { count: deviceIds.length });
+    }
+
+    return deviceIds.map(deviceId => this.getDevice(deviceId));
+  }
+
+  /**
+   * Scopes and deviceType to embed in a device's token
+   * 
+   * @param {string} deviceId - Device identifier
+   * @returns {{ scopes: string[], deviceType: string, source: string }|null}
+   */
+  resolvePermissions(deviceId) {
+    const device = this.devices[deviceId];
+    return device ? permissionModel.resolve(device) : null;
+  }
+
+  /**
+   * Count devices assigned to a template (to refuse deleting one in use)
+   * 
+   * @param {string} templateName - Template name
+   * @returns {number} Number of devices
+   */
+  countTemplateUsage(templateName) {
+    return Object.values(this.devices)
+      .filter(device => device.permissionTemplate === templateName)
+      .length;
+  }
+
+  // ============================================
+  // TENANTS AND GROUPS
+  // ============================================
+
+  /**
+   * Replace a device's groups (within its tenant)
+   * 
+   * @param {string} deviceId - Device identifier
+   * @param {string[]} groups - Group names, [] = no groups
+   * @returns {Promise<object>} Updated device (no secrets)
+   * @throws {Error} If device not found or a group doesn't exist in its tenant
+   */
+  async setGroups(deviceId, groups) {
+    const device = this.devices[deviceId];
+    if (!device) {
+      throw new Error('Device not found');
+    }
+
+    device.groups = tenantModel.validateMembership({ tenantId: device.tenantId, groups }).groups;
+    await this.saveDevices(deviceId);
+
+    log.info('Groups updated', { deviceId, groups: device.groups });
+    return this.getDevice(deviceId);
+  }
+
+  /**
+   * Ids of a tenant's devices
+   * 
+   * @param {string} tenantId - Tenant id
+   * @returns {string[]} Device ids
+   */
+  devicesInTenant(tenantId) {
+    return Object.values(this.devices)
+      .filter(device => device.tenantId === tenantId)
+      .map(device => device.deviceId);
+  }
+
+  /**
+   * Ids of the devices in a group
+   * 
+   * @param {string} tenantId - Tenant id
+   * @param {string} group - Group name
+   * @returns {string[]} Device ids
+   */
+  devicesInGroup(tenantId, group) {
+    return Object.values(this.devices)
+      .filter(device => device.tenantId === tenantId && device.groups.includes(group))
+      .map(device => device.deviceId);
+  }
+
+  /**
+   * Take every device out of a group (before the group is deleted)
+   * 
+   * @param {string} tenantId - Tenant id
+   * @param {string} group - Group name
+   * @returns {Promise<number>} Devices that were in the group
+   */
+  async removeGroupFromDevices(tenantId, group) {
+    const deviceIds = this.devicesInGroup(tenantId, group);
+    if (deviceIds.length === 0) return 0;
+
+    for (const deviceId of deviceIds) {
+      const device = this.devices[deviceId];
+      device.groups = device.groups.filter(name => name !== group);
+    }
+
+    await this.saveDevices();
+    return deviceIds.length;
+  }
+
+  /**
+   * Count devices per tenant
+   * 
+   * @returns {object} tenantId → count
+   */
+  countByTenant() {
+    const counts = {};
+
+    for (const device of Object.values(this.devices)) {
+      counts[device.tenantId] = (counts[device.tenantId] || 0) + 1;
+    }
+
+    return counts;
+  }
+
   // ============================================
   // AUTHENTICATION VERIFICATION
   // ============================================
@@ -341,7 +1518,8 @@ class DeviceModel {
    * 
    * @param {string} deviceId - Device identifier
    * @param {string} providedSecret - Secret from ESP8266
-   * @returns {object|null} Device if valid, null if invalid
+   * @returns {{ device: object|null, reason: string|null }}
+   *   Device if valid; otherwise null and an AUTH_FAILURE reason (for the audit log)
    */
   verifyDevice(deviceId, providedSecret) {
     // ============================================
@@ -351,76 +1529,540 @@ class DeviceModel {
     const device = this.devices[deviceId];
     
     if (!device) {
-      console.log(`❌ Auth failed: Unknown device ${deviceId}`);
+      log.warn('Auth failed: unknown device', { deviceId });
       // ↑ Device not in database
       // Possible reasons:
       // - Never registered
       // - Typo in deviceId
       // - Wrong database environment
-      return null;
+      return { device: null, reason: AUTH_FAILURE.UNKNOWN_DEVICE };
     }
 
     // ============================================
     // STEP 2: CHECK STATUS
     // ============================================
     
+    this.releaseExpiredSuspension(device);
+    // ↑ Automatic suspension over? Back to active
+    
     if (device.status !== 'active') {
-      console.log(`❌ Auth failed: Device ${deviceId} status is ${device.status}`);
+      log.warn('Auth failed: device not active', { deviceId, status: device.status });
       // ↑ Device exists but not allowed to authenticate
       // Possible statuses:
       // - 'revoked': Security breach, stolen device
-      // - 'suspended': Payment issue, temporary ban
-      return null;
+      // - 'suspended': Payment issue, temporary ban, too many failed attempts
+      return { device: null, reason: AUTH_FAILURE.INACTIVE_STATUS };
+    }
+
+    if (this.requiresCertificate(device)) {
+      log.warn('Auth failed: device must use its client certificate', { deviceId });
+      return { device: null, reason: AUTH_FAILURE.CERTIFICATE_REQUIRED };
+    }
+
+    if (this.lockoutRemaining(deviceId) > 0) {
+      log.warn('Auth failed: device backing off after failed attempts', { deviceId });
+      // ↑ Rejected WITHOUT checking the secret - guesses during
+      //   the backoff window are wasted
+      return { device: null, reason: AUTH_FAILURE.BACKOFF };
     }
 
     // ============================================
     // STEP 3: VERIFY SECRET (CONSTANT-TIME)
     // ============================================
     
-    // Hash the provided secret
-    const hash1 = crypto
-      .createHmac('sha256', SERVER_SECRET)
-      // ↑ Create HMAC with SHA-256 algorithm
-      // HMAC = Hash-based Message Authentication Code
-      // SERVER_SECRET = Key from .env (adds extra security layer)
-      
-      .update(providedSecret)
-      // ↑ Input the secret to hash
-      
-      .digest();
-      // ↑ Generate the hash (returns Buffer)
+    const matchesCurrent = secretMatches(providedSecret, device.secretHash, device.secretKeyId);
+    // ↑ Hashes provided secret with the key that hashed the stored one,
+    //   then compares in constant time (see secretMatches)
     
-    // Hash the stored secret
-    const hash2 = crypto
-      .createHmac('sha256', SERVER_SECRET)
-      .update(device.secret)
-      .digest();
-
-    // Compare hashes (constant-time)
-    if (!crypto.timingSafeEqual(hash1, hash2)) {
-      // ↑ timingSafeEqual() compares ALL bytes
-      // Always takes same time (prevents timing attacks)
-      // Returns true only if hashes are IDENTICAL
-      
-      console.log(`❌ Auth failed: Invalid secret for device ${deviceId}`);
+    const previous = device.previousSecret;
+    const matchesPrevious = !matchesCurrent
+      && previous
+      && Date.parse(previous.expiresAt) > Date.now()
+      && secretMatches(providedSecret, previous.secretHash, previous.secretKeyId);
+    // ↑ Old secret still accepted during the rotation grace period
+    // (see rotateSecret)
+    
+    if (!matchesCurrent && !matchesPrevious) {
+      log.warn('Auth failed: invalid secret', { deviceId });
       // ↑ Secret doesn't match
       // Possible reasons:
       // - Wrong secret flashed to ESP8266
       // - Attacker guessing
       // - Corrupted EEPROM on ESP8266
-      return null;
+      // - Old secret used after rotation grace period ended
+      
+      this.recordAuthFailure(device);
+      return { device: null, reason: AUTH_FAILURE.BAD_SECRET };
+    }
+
+    this.clearAuthFailures(device);
+
+    if (matchesPrevious) {
+      log.warn('Auth with previous secret', { deviceId, graceExpiresAt: previous.expiresAt });
+      // ↑ New secret not flashed yet - still allowed, but worth watching
+    }
+
+    if (matchesCurrent && previous) {
+      delete device.previousSecret;
+      // ↑ Device proved it has the new secret - end grace period early
+      
+      this.saveDevices(deviceId);
     }
 
     // ============================================
-    // STEP 4: SUCCESS
+    // STEP 4: RE-KEY IF HASHED WITH AN OLD SERVER_SECRET
     // ============================================
     
-    console.log(`✓ Auth verified: Device ${deviceId}`);
-    return device;
+    if (matchesCurrent && device.secretKeyId !== CURRENT_KEY_ID) {
+      device.secretHash = hashSecret(providedSecret).toString('hex');
+      device.secretKeyId = CURRENT_KEY_ID;
+      // ↑ We hold the verified plaintext right now - the only moment
+      //   a keyed hash can be moved to the new key
+      
+      this.saveDevices(deviceId);
+      // ↑ Not awaited: verification stays synchronous
+      // saveDevices() logs its own errors
+      
+      log.info('Secret hash re-keyed', { deviceId });
+    }
+
+    if (matchesCurrent && !decryptChallengeKey(device.challengeKey)) {
+      device.challengeKey = encryptChallengeKey(deriveChallengeKey(providedSecret));
+      // ↑ Devices registered before challenge-response existed (or whose
+      //   challenge key used a dropped SERVER_SECRET) get one now
+      
+      this.saveDevices(deviceId);
+    }
+
+    // ============================================
+    // STEP 5: SUCCESS
+    // ============================================
+    
+    log.debug('Auth verified', { deviceId });
+    return { device, reason: null };
     // ↑ Return full device object
     // Caller can access metadata, status, etc.
   }
 
+  /**
+   * Verify a challenge response (secret never sent over the wire)
+   * 
+   * The caller (routes/auth.js) is responsible for the nonce:
+   * issuing it, binding it to deviceId, expiry and single use.
+   * This method only checks the signature against the device's key.
+   * 
+   * @param {string} deviceId - Device identifier
+   * @param {string} message - Signed message: `${nonce}:${deviceId}:${timestamp}`
+   * @param {string} signature - HMAC-SHA256(challengeKey, message) as hex
+   * @returns {{ device: object|null, reason: string|null }} Same as verifyDevice()
+   */
+  verifyChallengeResponse(deviceId, message, signature) {
+    const device = this.devices[deviceId];
+
+    if (!device) {
+      log.warn('Challenge failed: unknown device', { deviceId });
+      return { device: null, reason: AUTH_FAILURE.UNKNOWN_DEVICE };
+    }
+
+    this.releaseExpiredSuspension(device);
+
+    if (device.status !== 'active') {
+      log.warn('Challenge failed: device not active', { deviceId, status: device.status });
+      return { device: null, reason: AUTH_FAILURE.INACTIVE_STATUS };
+    }
+
+    if (this.requiresCertificate(device)) {
+      log.warn('Challenge failed: device must use its client certificate', { deviceId });
+      return { device: null, reason: AUTH_FAILURE.CERTIFICATE_REQUIRED };
+    }
+
+    if (this.lockoutRemaining(deviceId) > 0) {
+      log.warn('Challenge failed: device backing off after failed attempts', { deviceId });
+      return { device: null, reason: AUTH_FAILURE.BACKOFF };
+    }
+
+    const matchesCurrent = challengeResponseMatches(device.challengeKey, message, signature);
+
+    const previous = device.previousSecret;
+    const matchesPrevious = !matchesCurrent
+      && previous
+      && Date.parse(previous.expiresAt) > Date.now()
+      && challengeResponseMatches(previous.challengeKey, message, signature);
+    // ↑ Same rotation grace period as verifyDevice()
+
+    if (!matchesCurrent && !matchesPrevious) {
+      log.warn('Challenge failed: invalid response', { deviceId });
+      // ↑ Besides a wrong key, also happens for devices registered before
+      //   challenge-response existed that haven't used /auth/token since
+      
+      this.recordAuthFailure(device);
+      return { device: null, reason: AUTH_FAILURE.BAD_SIGNATURE };
+    }
+
+    this.clearAuthFailures(device);
+
+    if (matchesCurrent && previous) {
+      delete device.previousSecret;
+      this.saveDevices(deviceId);
+      // ↑ New secret confirmed - end grace period early
+    }
+
+    log.debug('Challenge verified', { deviceId });
+    return { device, reason: null };
+  }
+
+  // ============================================
+  // CLIENT CERTIFICATES (MUTUAL TLS)
+  // ============================================
+
+  /**
+   * Verify a client certificate presented over the HTTPS listener
+   * 
+   * The TLS layer has already checked the chain (our CA) and validity
+   * period; this checks the certificate is the one bound to the device
+   * and not revoked. No failure counting: a certificate can't be guessed,
+   * and a lockout would let anyone holding an old one lock the device out.
+   * 
+   * @param {string} deviceId - Canonical id (the certificate's CN)
+   * @param {string} fingerprint - SHA-256 of the presented certificate (hex)
+   * @returns {{ device: object|null, reason: string|null }} Same as verifyDevice()
+   */
+  verifyCertificate(deviceId, fingerprint) {
+    const device = this.devices[deviceId];
+
+    if (!device) {
+      log.warn('Certificate auth failed: unknown device', { deviceId });
+      return { device: null, reason: AUTH_FAILURE.UNKNOWN_DEVICE };
+    }
+
+    this.releaseExpiredSuspension(device);
+
+    if (device.status !== 'active') {
+      log.warn('Certificate auth failed: device not active', { deviceId, status: device.status });
+      return { device: null, reason: AUTH_FAILURE.INACTIVE_STATUS };
+    }
+
+    const certificate = device.certificate;
+
+    if (!certificate || certificate.fingerprint !== fingerprint) {
+      log.warn('Certificate auth failed: not the certificate bound to the device', { deviceId });
+      // ↑ Replaced by a newer one, or issued by the CA for another server
+      return { device: null, reason: AUTH_FAILURE.BAD_CERTIFICATE };
+    }
+
+    if (certificate.revokedAt) {
+      log.warn('Certificate auth failed: certificate revoked', { deviceId, serialNumber: certificate.serialNumber });
+      return { device: null, reason: AUTH_FAILURE.CERTIFICATE_REVOKED };
+    }
+
+    if (Date.parse(certificate.expiresAt) <= Date.now()) {
+      log.warn('Certificate auth failed: certificate expired', { deviceId, expiresAt: certificate.expiresAt });
+      return { device: null, reason: AUTH_FAILURE.CERTIFICATE_EXPIRED };
+    }
+
+    log.debug('Certificate verified', { deviceId });
+    return { device, reason: null };
+  }
+
+  /**
+   * Check that a device may renew its token with a refresh token
+   * (POST /auth/refresh)
+   * 
+   * The refresh token itself was checked by models/refreshToken.js; this
+   * applies the device checks a login would. No failure counting: a
+   * refresh token can't be guessed.
+   * 
+   * @param {string} deviceId - Canonical device id
+   * @param {object} family - Family returned by refreshTokenModel.verify()
+   * @returns {{ device: object|null, reason: string|null }} Same as verifyDevice()
+   */
+  verifyRefresh(deviceId, family) {
+    const device = this.devices[deviceId];
+
+    if (!device) {
+      log.warn('Refresh failed: unknown device', { deviceId });
+      return { device: null, reason: AUTH_FAILURE.UNKNOWN_DEVICE };
+    }
+
+    this.releaseExpiredSuspension(device);
+
+    if (device.status !== 'active') {
+      log.warn('Refresh failed: device not active', { deviceId, status: device.status });
+      return { device: null, reason: AUTH_FAILURE.INACTIVE_STATUS };
+      // ↑ Suspended devices keep their family: usable again after reactivation
+    }
+
+    if (this.requiresCertificate(device) && family.createdVia !== 'certificate') {
+      log.warn('Refresh failed: device must use its client certificate', { deviceId });
+      return { device: null, reason: AUTH_FAILURE.CERTIFICATE_REQUIRED };
+      // ↑ A family started with the secret or a challenge would otherwise
+      //   outlive the switch to certificates by up to REFRESH_FAMILY_MAX_DAYS
+    }
+
+    return { device, reason: null };
+  }
+
+  /**
+   * Must this device authenticate with its certificate (MTLS_REQUIRE_CERT)?
+   * 
+   * @param {object} device - Device record
+   * @returns {boolean} True if secret/challenge auth is refused
+   */
+  requiresCertificate(device) {
+    return REQUIRE_CERTIFICATE && Boolean(device.certificate) && !device.certificate.revokedAt;
+    // ↑ Revoking the certificate is the way back to the secret
+  }
+
+  /**
+   * Issue a new client certificate (renewal, lost key, device-generated key)
+   * 
+   * The previous certificate stops working at once: only the new
+   * fingerprint is bound to the device.
+   * 
+   * @param {string} deviceId - Device identifier
+   * @param {object} [options]
+   * @param {string} [options.publicKey] - Device's EC P-256 public key (PEM)
+   * @param {string} [options.issuedBy] - Admin issuing it
+   * @returns {Promise<object>} { deviceId, ...certificate } - private key included
+   *   (ONLY TIME it is returned) unless a publicKey was given
+   * @throws {Error} If device not found or revoked, MTLS disabled, or the key is unsupported
+   */
+  async issueCertificate(deviceId, { publicKey, issuedBy = null } = {}) {
+    const device = this.devices[deviceId];
+
+    if (!device) {
+      throw new Error('Device not found');
+    }
+
+    if (device.status === 'revoked') {
+      throw new Error('Cannot issue a certificate to a revoked device');
+      // ↑ Same rule as rotateSecret()
+    }
+
+    const issued = certificateAuthority.issueDeviceCertificate(deviceId, { publicKey });
+    const previous = device.certificate;
+
+    device.certificate = certificateRecord(issued, issuedBy);
+    await this.saveDevices(deviceId);
+
+    log.info('Certificate reissued', { deviceId, serialNumber: issued.serialNumber, replaced: previous ? previous.serialNumber : null });
+
+    return { deviceId, ...issued };
+  }
+
+  /**
+   * Revoke a device's client certificate (the device stays active)
+   * 
+   * @param {string} deviceId - Device identifier
+   * @param {object} [options]
+   * @param {string} [options.reason] - Why revoked
+   * @param {string} [options.revokedBy] - Admin performing the revocation
+   * @returns {Promise<object>} The revoked device.certificate
+   * @throws {Error} If device not found or it has no unrevoked certificate
+   */
+  async revokeCertificate(deviceId, { reason = '', revokedBy = null } = {}) {
+    const device = this.devices[deviceId];
+
+    if (!device) {
+      throw new Error('Device not found');
+    }
+
+    if (!revokeCertificateRecord(device, { by: revokedBy, reason })) {
+      throw new Error('Device has no certificate to revoke');
+    }
+
+    await this.saveDevices(deviceId);
+
+    log.warn('Certificate revoked', { deviceId, serialNumber: device.certificate.serialNumber, reason });
+
+    return { ...device.certificate };
+  }
+
+  /**
+   * Client certificates with their expiry state (GET /admin/certificates)
+   * 
+   * @param {object} [filters]
+   * @param {string} [filters.tenantId] - Only this tenant's devices
+   * @param {string[]} [filters.states] - Only these CERTIFICATE_STATES
+   * @param {number} [filters.expiringWithinDays=30] - Warning window for 'expiring'
+   * @returns {object[]} [{ deviceId, tenantId, status, state, daysLeft, ...certificate }],
+   *   soonest expiry first
+   */
+  listCertificates({ tenantId, states, expiringWithinDays = 30 } = {}) {
+    const warningMs = expiringWithinDays * 24 * 60 * 60 * 1000;
+
+    return Object.values(this.devices)
+      .filter(device => device.certificate && (!tenantId || device.tenantId === tenantId))
+      .map(device => ({
+        deviceId: device.deviceId,
+        tenantId: device.tenantId,
+        status: device.status,
+        state: certificateState(device.certificate, warningMs),
+        daysLeft: Math.floor((Date.parse(device.certificate.expiresAt) - Date.now()) / (24 * 60 * 60 * 1000)),
+        ...device.certificate
+      }))
+      .filter(entry => !states || states.includes(entry.state))
+      .sort((a, b) => Date.parse(a.expiresAt) - Date.parse(b.expiresAt));
+  }
+
+  // ============================================
+  // BRUTE-FORCE PROTECTION
+  // ============================================
+  
+  /**
+   * How long a device must wait before its next attempt is considered
+   * 
+   * Used by routes/auth.js to answer 429 + Retry-After, and by the
+   * verify methods themselves (so no code path can skip it).
+   * 
+   * @param {string} deviceId - Device identifier
+   * @returns {number} Milliseconds remaining (0 = may try now)
+   */
+  lockoutRemaining(deviceId) {
+    const device = this.devices[deviceId];
+    if (!device) return 0;
+
+    const now = Date.now();
+    const waits = [0];
+
+    if (device.authFailures && device.authFailures.backoffUntil) {
+      waits.push(Date.parse(device.authFailures.backoffUntil) - now);
+    }
+
+    if (device.status === 'suspended' && device.suspendedBy === LOCKOUT_SUSPENDER) {
+      waits.push(Date.parse(device.suspendedUntil) - now);
+    }
+
+    return Math.max(...waits);
+  }
+
+  /**
+   * Count a failed attempt; back off, and suspend after too many
+   * 
+   * RECORD FIELDS (visible in GET /admin/devices/:deviceId):
+   *   authFailures: {
+   *     count,            Failures in the current window
+   *     windowStartedAt,  When the current window began
+   *     lastFailureAt,
+   *     backoffUntil,     No attempts accepted before this
+   *     lockCount         Consecutive lockouts (drives suspension length)
+   *   }
+   * 
+   * @param {object} device - Device record
+   */
+  recordAuthFailure(device) {
+    const now = Date.now();
+    const failures = device.authFailures || { count: 0, lockCount: 0 };
+
+    if (!failures.windowStartedAt || now - Date.parse(failures.windowStartedAt) > LOCKOUT_WINDOW_MS) {
+      failures.count = 0;
+      failures.windowStartedAt = new Date(now).toISOString();
+      // ↑ Window expired - start counting again
+    }
+
+    failures.count += 1;
+    failures.lastFailureAt = new Date(now).toISOString();
+    failures.backoffUntil = new Date(now + BACKOFF_BASE_MS * 2 ** (failures.count - 1)).toISOString();
+    // ↑ Exponential backoff: 1s, 2s, 4s, 8s, ...
+
+    device.authFailures = failures;
+
+    if (failures.count >= LOCKOUT_THRESHOLD) {
+      const duration = Math.min(LOCKOUT_DURATION_MS * 2 ** failures.lockCount, LOCKOUT_MAX_DURATION_MS);
+
+      setStatus(device, 'suspended', {
+        by: LOCKOUT_SUSPENDER,
+        reason: `${failures.count} failed authentication attempts`,
+        until: new Date(now + duration).toISOString()
+      });
+
+      failures.lockCount += 1;
+      failures.count = 0;
+      failures.windowStartedAt = null;
+      // ↑ Fresh window once the suspension ends
+
+      log.warn('Device locked', { deviceId: device.deviceId, until: device.suspendedUntil });
+
+      // Optional: Send alert
+      // sendAlert('DEVICE_LOCKED', { deviceId: device.deviceId });
+    }
+
+    this.saveDevices(device.deviceId);
+    // ↑ Not awaited: verification stays synchronous
+  }
+
+  /**
+   * Reset failure tracking after a successful authentication
+   * 
+   * @param {object} device - Device record
+   */
+  clearAuthFailures(device) {
+    if (!device.authFailures) return;
+
+    delete device.authFailures;
+    this.saveDevices(device.deviceId);
+  }
+
+  /**
+   * Reactivate a device whose suspension has run out
+   * Covers automatic lockouts and manual suspensions with an end date
+   * 
+   * @param {object} device - Device record
+   * @returns {boolean} True if the device was reactivated
+   */
+  releaseExpiredSuspension(device) {
+    if (device.status !== 'suspended' || !device.suspendedUntil) return false;
+    if (Date.parse(device.suspendedUntil) > Date.now()) return false;
+
+    setStatus(device, 'active', { by: 'system:expiry', reason: 'Suspension expired' });
+    // ↑ authFailures.lockCount is kept: another lockout will last longer
+
+    this.saveDevices(device.deviceId);
+    log.info('Suspension expired', { deviceId: device.deviceId });
+    return true;
+  }
+
+  /**
+   * Reactivate every device whose suspension has run out
+   * Runs periodically so listings don't show stale suspensions
+   * (verification also checks lazily, so timing here isn't critical)
+   */
+  releaseExpiredSuspensions() {
+    for (const device of Object.values(this.devices)) {
+      this.releaseExpiredSuspension(device);
+    }
+  }
+
+  /**
+   * Unlock a device (admin action)
+   * Clears failure counters and lifts an automatic suspension
+   * 
+   * @param {string} deviceId - Device identifier
+   * @param {string} [unlockedBy] - Admin performing the unlock
+   * @returns {Promise<object>} Device info (without secrets)
+   * @throws {Error} If device not found
+   */
+  async unlockDevice(deviceId, unlockedBy = null) {
+    const device = this.devices[deviceId];
+
+    if (!device) {
+      throw new Error('Device not found');
+    }
+
+    if (device.status === 'suspended' && device.suspendedBy === LOCKOUT_SUSPENDER) {
+      setStatus(device, 'active', { by: unlockedBy, reason: 'Unlocked' });
+    }
+    // ↑ Manual suspensions and revocations are NOT lifted by unlock
+
+    delete device.authFailures;
+
+    await this.saveDevices(deviceId);
+
+    log.info('Device unlocked', { deviceId, by: unlockedBy });
+
+    return this.getDevice(deviceId);
+  }
+
   // ============================================
   // AUTHENTICATION LOGGING
   // ============================================
@@ -434,24 +2076,234 @@ class DeviceModel {
    * - Detecting inactive devices
    * - Usage analytics
    * 
+   * FIRMWARE VERSION:
+   * - The version the device reports is saved to metadata.firmwareVersion
+   * - A change is recorded in metadataHistory (source 'device'), so a
+   *   re-flash shows up with its date
+   * - Invalid versions are ignored (authentication still succeeds)
+   * 
    * @param {string} deviceId - Device identifier
+   * @param {object} [report] - What the device reported with its token request
+   * @param {string} [report.firmwareVersion] - Firmware version
    */
-  async updateLastAuth(deviceId) {
+  async updateLastAuth(deviceId, { firmwareVersion } = {}) {
     if (this.devices[deviceId]) {
       this.devices[deviceId].lastAuthAt = new Date().toISOString();
       // ↑ Update last auth time
       
       this.devices[deviceId].authCount += 1;
       // ↑ Increment counter
+
+      if (firmwareVersion !== undefined && firmwareVersion !== this.devices[deviceId].metadata.firmwareVersion) {
+        if (metadataValueError('firmwareVersion', firmwareVersion)) {
+          log.warn('Ignoring invalid firmwareVersion reported by device', { deviceId });
+        } else {
+          applyMetadataChanges(this.devices[deviceId], {
+            firmwareVersion: { from: this.devices[deviceId].metadata.firmwareVersion, to: firmwareVersion }
+          }, { by: deviceId, source: 'device' });
+        }
+      }
+
+      const { ota } = this.devices[deviceId];
+      if (ota && ota.state !== 'installed' && firmwareVersion === ota.version) {
+        ota.state = 'installed';
+        ota.updatedAt = new Date().toISOString();
+        // ↑ Booted into the offered version - the update worked even if
+        //   the device never reported it
+      }
       
-      await this.saveDevices();
-      // ↑ Persist changes
+      await this.saveDevices(deviceId);
+      // ↑ Persist changes (single record)
       
       // Optional: Log to analytics service
       // analytics.track('device_auth', { deviceId, timestamp: new Date() });
     }
   }
 
+  // ============================================
+  // METADATA
+  // ============================================
+
+  /**
+   * Update a device's metadata
+   * 
+   * JSON merge patch semantics: listed keys are set, `null` removes a key,
+   * everything else is left alone. Validated against METADATA_SCHEMA;
+   * every change is appended to metadataHistory.
+   * 
+   * @param {string} deviceId - Device identifier
+   * @param {object} patch - e.g. { location: 'Warehouse 2', customerId: null }
+   * @param {string} [updatedBy] - Admin id
+   * @returns {Promise<{ device: object, changes: object }>} Updated device (no secrets)
+   *   and the applied changes ({ key: { from, to } }, empty if nothing changed)
+   * @throws {Error} If device not found or the patch is invalid
+   */
+  async updateMetadata(deviceId, patch, updatedBy = null) {
+    const device = this.devices[deviceId];
+    if (!device) {
+      throw new Error('Device not found');
+    }
+
+    const changes = diffMetadataPatch(device.metadata, patch);
+
+    if (Object.keys(changes).length) {
+      applyMetadataChanges(device, changes, { by: updatedBy, source: 'admin' });
+      await this.saveDevices(deviceId);
+      log.info('Metadata updated', { deviceId, fields: Object.keys(changes) });
+    }
+
+    return { device: this.getDevice(deviceId), changes };
+  }
+
+  // ============================================
+  // OTA UPDATE STATE
+  // ============================================
+
+  /**
+   * Record where a device is in a firmware update (device.ota)
+   * 
+   * device.ota = { releaseId, version, state, attempts, updatedAt, error? }
+   * - A new releaseId starts over (attempts = 0)
+   * - attempts counts downloads of the same release
+   * - Nothing is written if the state didn't change
+   * 
+   * @param {string} deviceId - Device identifier
+   * @param {object} update
+   * @param {string} update.releaseId - OTA release id
+   * @param {string} update.version - Version of that release
+   * @param {string} update.state - One of OTA_STATES
+   * @param {string} [update.error] - Failure description (state 'failed')
+   * @returns {Promise<object>} device.ota
+   * @throws {Error} If device not found or state unknown
+   */
+  async setOtaState(deviceId, { releaseId, version, state, error = null }) {
+    const device = this.devices[deviceId];
+    if (!device) {
+      throw new Error('Device not found');
+    }
+
+    if (!OTA_STATES.includes(state)) {
+      throw new Error(`state must be one of: ${OTA_STATES.join(', ')}`);
+    }
+
+    const current = device.ota && device.ota.releaseId === releaseId ? device.ota : null;
+
+    if (current && current.state === state && state !== 'downloading' && current.error === (error || undefined)) {
+      return current;
+    }
+
+    device.ota = {
+      releaseId,
+      version,
+      state,
+      attempts: (current ? current.attempts : 0) + (state === 'downloading' ? 1 : 0),
+      updatedAt: new Date().toISOString(),
+      ...(error ? { error: String(error).slice(0, 256) } : {})
+    };
+
+    await this.saveDevices(deviceId);
+    return device.ota;
+  }
+
+  /**
+   * Count devices per update state for a release
+   * 
+   * @param {string} releaseId - OTA release id
+   * @param {string} [tenantId] - Only count this tenant's devices
+   * @returns {object} state → count, e.g. { offered: 40, installed: 12 }
+   */
+  countOtaStates(releaseId, tenantId = null) {
+    const counts = {};
+
+    for (const device of Object.values(this.devices)) {
+      if (tenantId && device.tenantId !== tenantId) continue;
+
+      if (device.ota && device.ota.releaseId === releaseId) {
+        counts[device.ota.state] = (counts[device.ota.state] || 0) + 1;
+      }
+    }
+
+    return counts;
+  }
+
+  // ============================================
+  // SECRET ROTATION
+  // ============================================
+  
+  /**
+   * Issue a new secret for an existing device
+   * 
+   * WHEN TO USE:
+   * - Secret lost, leaked or suspected compromised
+   * - Routine credential rotation
+   * 
+   * GRACE PERIOD:
+   * - The old secret keeps working until graceExpiresAt
+   * - Gives time to push the new secret to the ESP8266 (OTA, serial, ...)
+   * - Ends early as soon as the device authenticates with the new secret
+   * - Use gracePeriodMs = 0 for a leaked secret (old one stops immediately)
+   * 
+   * @param {string} deviceId - Device identifier
+   * @param {object} options
+   * @param {number} [options.gracePeriodMs] - How long the old secret stays valid
+   *   (defaults to SECRET_ROTATION_GRACE_MS, 24 hours)
+   * @param {string} [options.reason] - Why rotated (for audit trail)
+   * @param {string} [options.rotatedBy] - Admin who requested the rotation
+   * @returns {Promise<object>} { deviceId, secret, graceExpiresAt }
+   * @throws {Error} If device not found or revoked
+   */
+  async rotateSecret(deviceId, { gracePeriodMs = SECRET_ROTATION_GRACE_MS, reason = '', rotatedBy = null } = {}) {
+    const device = this.devices[deviceId];
+
+    if (!device) {
+      throw new Error('Device not found');
+    }
+
+    if (device.status === 'revoked') {
+      throw new Error('Cannot rotate secret of a revoked device');
+      // ↑ Revoked devices must stay locked out
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    // ↑ Same 256-bit random secret as registerDevice()
+
+    const now = new Date();
+    const graceExpiresAt = new Date(now.getTime() + gracePeriodMs).toISOString();
+
+    device.previousSecret = {
+      secretHash: device.secretHash,
+      secretKeyId: device.secretKeyId,
+      challengeKey: device.challengeKey,
+      expiresAt: graceExpiresAt
+    };
+    // ↑ Only ONE previous secret is kept
+    // Rotating again during a grace period drops the oldest secret
+
+    device.secretHash = hashSecret(secret).toString('hex');
+    device.secretKeyId = CURRENT_KEY_ID;
+    device.challengeKey = encryptChallengeKey(deriveChallengeKey(secret));
+
+    device.secretRotations = device.secretRotations || [];
+    device.secretRotations.push({
+      rotatedAt: now.toISOString(),
+      rotatedBy,
+      reason,
+      graceExpiresAt
+    });
+    // ↑ Rotation history (never contains secrets or hashes)
+
+    await this.saveDevices(deviceId);
+
+    log.info('Secret rotated', { deviceId, graceExpiresAt });
+
+    return {
+      deviceId,
+      secret,
+      // ↑ ⚠️ Like registerDevice(), the ONLY time this secret is returned
+      graceExpiresAt
+    };
+  }
+
   // ============================================
   // DEVICE REVOCATION
   // ============================================
@@ -468,35 +2320,264 @@ class DeviceModel {
    * EFFECT:
    * - Device status → 'revoked'
    * - Future auth attempts will fail
-   * - Existing tokens remain valid until expiration (1 hour)
+   * - Client certificate (if any) revoked - reactivating doesn't restore it
+   * - Firebase refresh tokens revoked (no new ID tokens for the device)
+   * - tokensRevokedAt set: ID tokens issued before it are rejected by
+   *   POST /auth/verify and middleware/deviceAuth.js straight away
+   * - revokeTime published to the Realtime Database; rules that compare
+   *   it with `auth.token.auth_time` reject existing ID tokens too (see README)
    * 
    * @param {string} deviceId - Device to revoke
    * @param {string} reason - Why revoked (for audit log)
+   * @param {string} [revokedBy] - Admin performing the revocation
+   * @returns {Promise<{ firebaseSessionsRevoked: boolean }>} Whether the
+   *   Firebase call succeeded (false = retry with revokeTokens())
    */
-  async revokeDevice(deviceId, reason = '') {
+  async revokeDevice(deviceId, reason = '', revokedBy = null) {
     if (!this.devices[deviceId]) {
       throw new Error('Device not found');
     }
 
-    this.devices[deviceId].status = 'revoked';
+    setStatus(this.devices[deviceId], 'revoked', { by: revokedBy, reason });
     // ↑ Change status to revoked
-    
-    this.devices[deviceId].revokedAt = new Date().toISOString();
-    // ↑ Record when revoked
-    
-    this.devices[deviceId].revokeReason = reason;
-    // ↑ Store reason for audit trail
-    // Example: "Device stolen", "Security breach", "Customer request"
-    
-    await this.saveDevices();
+    // Sets revokedAt/revokedBy/revokeReason and appends to statusHistory
+    // Reason example: "Device stolen", "Security breach", "Customer request"
+    // Throws if already revoked
 
-    console.log(`⚠️ Device revoked: ${deviceId} - Reason: ${reason}`);
+    revokeCertificateRecord(this.devices[deviceId], { by: revokedBy, reason });
+    // ↑ Client certificate too: it stays revoked if the device is reactivated
+    
+    log.warn('Device revoked', { deviceId, reason });
     
     // Optional: Send alert
     // sendAlert('DEVICE_REVOKED', { deviceId, reason });
     
-    // Optional: Invalidate existing tokens
-    // (Not possible with Firebase - tokens valid until expiration)
+    return this.revokeTokens(deviceId);
+    // ↑ Cut off existing sessions (also persists the record)
+  }
+
+  /**
+   * Invalidate every token issued to a device so far
+   * 
+   * 1. Records tokensRevokedAt on the device (our revocation list)
+   *    and revokes its refresh tokens
+   * 2. Calls Firebase revokeRefreshTokens(uid) so the device can't
+   *    refresh its ID token
+   * 3. Publishes revokeTime under REVOCATION_DB_PATH for database rules
+   * (steps 2 and 3 are skipped with TOKEN_ISSUER=jwt and no Firebase app)
+   * 
+   * Safe to call again (e.g. if the Firebase call failed).
+   * 
+   * @param {string} deviceId - Device identifier
+   * @returns {Promise<{ firebaseSessionsRevoked: boolean }>}
+   * @throws {Error} If device not found
+   */
+  async revokeTokens(deviceId) {
+    const device = this.devices[deviceId];
+
+    if (!device) {
+      throw new Error('Device not found');
+    }
+
+    device.tokensRevokedAt = new Date().toISOString();
+    // ↑ Any token with auth_time before this is rejected by isTokenRevoked()
+    // Kept after reactivation: only tokens issued later become valid
+    
+    await this.saveDevices(deviceId);
+    await refreshTokenModel.revokeDevice(deviceId, { reason: 'tokens-revoked' });
+
+    return { firebaseSessionsRevoked: await this.revokeFirebaseSessions(device) };
+  }
+
+  /**
+   * Revoke a device's Firebase sessions and publish its revokeTime
+   * (steps 2 and 3 of revokeTokens)
+   * 
+   * @param {object} device - Device record with tokensRevokedAt set
+   * @returns {Promise<boolean>} False if a Firebase call failed (retry later)
+   */
+  async revokeFirebaseSessions(device) {
+    const { deviceId } = device;
+    let firebaseSessionsRevoked = true;
+
+    if (SELF_HOSTED_TOKENS && admin.apps.length === 0) {
+      return true;
+      // ↑ No Firebase sessions exist - the revocation list is all there is
+    }
+
+    try {
+      await admin.auth().revokeRefreshTokens(deviceId);
+      // ↑ uid of a device's Firebase user = its deviceId (see routes/auth.js)
+
+    } catch (error) {
+      if (error.code !== 'auth/user-not-found') {
+        // ↑ user-not-found = device never exchanged a custom token, nothing to revoke
+        log.error('Error revoking Firebase sessions', { deviceId, error: error.message });
+        firebaseSessionsRevoked = false;
+        // ↑ Local revocation list still protects our own services
+      }
+    }
+
+    try {
+      await withTimeout(
+        admin.database()
+          .ref(`${REVOCATION_DB_PATH}/${deviceId}`)
+          .set({ revokeTime: Math.floor(Date.parse(device.tokensRevokedAt) / 1000) }),
+        FIREBASE_TIMEOUT_MS
+      );
+      // ↑ Lets database rules reject ID tokens issued before the revocation:
+      //   auth.token.auth_time > root.child('metadata').child(auth.uid).child('revokeTime').val()
+
+    } catch (error) {
+      log.error('Error publishing revocation', { deviceId, error: error.message });
+      firebaseSessionsRevoked = false;
+    }
+
+    return firebaseSessionsRevoked;
+  }
+
+  /**
+   * Revoke many devices at once (e.g. a whole group)
+   * 
+   * Statuses are changed and saved in one write; Firebase sessions are
+   * then revoked in parallel. Already revoked devices are skipped.
+   * 
+   * @param {string[]} deviceIds - Devices to revoke
+   * @param {string} reason - Why revoked (for audit log)
+   * @param {string} [revokedBy] - Admin performing the revocation
+   * @returns {Promise<{ revoked: object[], skipped: object[] }>}
+   *   revoked: [{ deviceId, firebaseSessionsRevoked }], skipped: [{ deviceId, reason }]
+   */
+  async revokeDevices(deviceIds, reason = '', revokedBy = null) {
+    const revokedAt = new Date().toISOString();
+    const toRevoke = [];
+    const skipped = [];
+
+    for (const deviceId of deviceIds) {
+      const device = this.devices[deviceId];
+
+      if (!device || device.status === 'revoked') {
+        skipped.push({ deviceId, reason: device ? 'already-revoked' : 'not-found' });
+        continue;
+      }
+
+      setStatus(device, 'revoked', { by: revokedBy, reason });
+      revokeCertificateRecord(device, { by: revokedBy, reason });
+      device.tokensRevokedAt = revokedAt;
+      toRevoke.push(device);
+    }
+
+    if (toRevoke.length) {
+      await this.saveDevices();
+      log.warn('Devices revoked', { count: toRevoke.length, reason });
+    }
+
+    for (const device of toRevoke) {
+      await refreshTokenModel.revokeDevice(device.deviceId, { reason: 'tokens-revoked', revokedBy });
+    }
+
+    const revoked = await Promise.all(toRevoke.map(async device => ({
+      deviceId: device.deviceId,
+      firebaseSessionsRevoked: await this.revokeFirebaseSessions(device)
+    })));
+
+    return { revoked, skipped };
+  }
+
+  /**
+   * Check a Firebase ID token against the revocation list
+   * 
+   * @param {string} deviceId - Token uid
+   * @param {number} authTime - Token `auth_time` (or `iat`), in SECONDS
+   * @returns {boolean} True if the token was issued before tokensRevokedAt
+   */
+  isTokenRevoked(deviceId, authTime) {
+    const device = this.devices[deviceId];
+    if (!device || !device.tokensRevokedAt) return false;
+
+    return authTime * 1000 < Date.parse(device.tokensRevokedAt);
+  }
+
+  // ============================================
+  // SUSPENSION & REACTIVATION
+  // ============================================
+  
+  /**
+   * Suspend a device (temporary, reversible)
+   * 
+   * WHEN TO USE:
+   * - Payment issue, maintenance, investigation
+   * - Anything that isn't a security incident (use revokeDevice for those)
+   * 
+   * @param {string} deviceId - Device identifier
+   * @param {object} [options]
+   * @param {string} [options.reason] - Why suspended
+   * @param {string} [options.until] - ISO time when the device reactivates
+   *   automatically (omit for an indefinite suspension)
+   * @param {string} [options.suspendedBy] - Admin performing the action
+   * @returns {Promise<object>} Device info (without secrets)
+   * @throws {Error} If device not found, not active, or `until` is in the past
+   */
+  async suspendDevice(deviceId, { reason = '', until = null, suspendedBy = null } = {}) {
+    const device = this.devices[deviceId];
+
+    if (!device) {
+      throw new Error('Device not found');
+    }
+
+    if (device.status !== 'active') {
+      throw new Error(`Cannot suspend a device with status ${device.status}`);
+      // ↑ Already suspended: reactivate first to change the terms
+    }
+
+    if (until && Date.parse(until) <= Date.now()) {
+      throw new Error('Suspension end must be in the future');
+    }
+
+    setStatus(device, 'suspended', {
+      by: suspendedBy,
+      reason,
+      until: until ? new Date(until).toISOString() : null
+    });
+
+    await this.saveDevices(deviceId);
+
+    log.warn('Device suspended', { deviceId, until: device.suspendedUntil, reason });
+
+    return this.getDevice(deviceId);
+  }
+
+  /**
+   * Return a suspended or revoked device to active
+   * 
+   * ⚠️ Reactivating a revoked device: its secret may be compromised -
+   * consider rotateSecret() right after.
+   * 
+   * @param {string} deviceId - Device identifier
+   * @param {object} [options]
+   * @param {string} [options.reason] - Why reactivated
+   * @param {string} [options.reactivatedBy] - Admin performing the action
+   * @returns {Promise<object>} Device info (without secrets)
+   * @throws {Error} If device not found or already active
+   */
+  async reactivateDevice(deviceId, { reason = '', reactivatedBy = null } = {}) {
+    const device = this.devices[deviceId];
+
+    if (!device) {
+      throw new Error('Device not found');
+    }
+
+    setStatus(device, 'active', { by: reactivatedBy, reason });
+    // ↑ Throws for active → active
+
+    delete device.authFailures;
+    // ↑ Fresh start - don't let old failures trigger an instant lockout
+
+    await this.saveDevices(deviceId);
+
+    log.info('Device reactivated', { deviceId, reason });
+
+    return this.getDevice(deviceId);
   }
 
   // ============================================
@@ -516,12 +2597,14 @@ class DeviceModel {
     const device = this.devices[deviceId];
     if (!device) return null;
 
-    // Destructure to exclude secret
-    const { secret, ...safeDevice } = device;
-    // ↑ ...safeDevice = All fields EXCEPT secret
+    // Destructure to exclude secret material
+    const { secret, secretHash, secretKeyId, previousSecret, challengeKey, ...safeDevice } = device;
+    // ↑ ...safeDevice = All fields EXCEPT secret/hash
+    // Hashes are not secrets, but they're useless to API clients
+    // and shouldn't leave the server
     // 
-    // Before: { deviceId, secret, status, ... }
-    // After:  { deviceId, status, ... }  (no secret)
+    // Before: { deviceId, secretHash, status, ... }
+    // After:  { deviceId, status, ... }  (no secret material)
     
     return safeDevice;
   }
@@ -544,6 +2627,162 @@ class DeviceModel {
     // map() = Transform each device using getDevice()
     // Result: Array of devices without secrets
   }
+
+  /**
+   * Filter, sort and paginate devices (GET /admin/devices)
+   * 
+   * PAGINATION:
+   * - `cursor` is opaque: pass back `nextCursor` from the previous page
+   * - It holds the sort key of the last device returned, so pages stay
+   *   consistent when devices are added or removed in between
+   * - Keep the same filters and sort for every page
+   * 
+   * @param {object} [filters]
+   * @param {string} [filters.tenantId] - Only this tenant's devices
+   * @param {string[]} [filters.groups] - Only devices in one of these groups
+   * @param {string[]} [filters.statuses] - Only these statuses
+   * @param {string[]} [filters.firmwareVersions] - Only these metadata.firmwareVersion values
+   * @param {string[]} [filters.hardwareVersions] - Only these metadata.hardwareVersion values
+   * @param {object} [filters.metadata] - Exact metadata matches, e.g. { location: 'Hall' }
+   * @param {Date} [filters.lastAuthBefore] - Last seen before this time
+   *   (includes devices that never authenticated - "not seen in 7 days")
+   * @param {Date} [filters.lastAuthAfter] - Last seen at or after this time
+   * @param {string} [filters.text] - Free-text search (see searchDevices)
+   * @param {string} [filters.sort='deviceId'] - One of SORTABLE_FIELDS
+   * @param {string} [filters.order='asc'] - 'asc' or 'desc'
+   * @param {number} [filters.limit=100] - Page size (max 1000)
+   * @param {string} [filters.cursor] - nextCursor of the previous page
+   * @returns {{ devices: object[], total: number, nextCursor: string|null }}
+   *   total = matching devices across all pages
+   * @throws {Error} On an unknown sort field or invalid cursor
+   */
+  queryDevices({
+    tenantId,
+    groups,
+    statuses,
+    firmwareVersions,
+    hardwareVersions,
+    metadata,
+    lastAuthBefore,
+    lastAuthAfter,
+    text,
+    sort = 'deviceId',
+    order = 'asc',
+    limit = 100,
+    cursor
+  } = {}) {
+    if (!SORTABLE_FIELDS.includes(sort)) {
+      throw new Error(`Cannot sort by ${sort} (expected one of: ${SORTABLE_FIELDS.join(', ')})`);
+    }
+
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (after && (after.sort !== sort || after.order !== order)) {
+      throw new Error('Cursor was created with a different sort order');
+    }
+
+    // ============================================
+    // FILTER
+    // ============================================
+
+    const candidates = text ? this.searchDevices(text) : this.listDevices();
+
+    const matches = candidates.filter(device => {
+      const meta = device.metadata || {};
+      const lastAuth = device.lastAuthAt ? Date.parse(device.lastAuthAt) : null;
+
+      if (tenantId && device.tenantId !== tenantId) return false;
+      if (groups && !groups.some(group => device.groups.includes(group))) return false;
+      if (statuses && !statuses.includes(device.status)) return false;
+      if (firmwareVersions && !firmwareVersions.includes(meta.firmwareVersion)) return false;
+      if (hardwareVersions && !hardwareVersions.includes(meta.hardwareVersion)) return false;
+
+      if (metadata && Object.entries(metadata).some(([key, value]) => String(meta[key]) !== String(value))) {
+        return false;
+      }
+
+      if (lastAuthBefore && lastAuth !== null && lastAuth >= lastAuthBefore.getTime()) return false;
+      // ↑ Never authenticated (null) counts as "not seen since"
+      if (lastAuthAfter && (lastAuth === null || lastAuth < lastAuthAfter.getTime())) return false;
+
+      return true;
+    });
+
+    // ============================================
+    // SORT AND PAGINATE
+    // ============================================
+
+    const keyOf = device => ({ value: device[sort], deviceId: device.deviceId });
+
+    matches.sort((a, b) => compareSortKeys(keyOf(a), keyOf(b), order));
+
+    const start = after
+      ? matches.findIndex(device => compareSortKeys(keyOf(device), after, order) > 0)
+      : 0;
+    // ↑ First device that sorts after the cursor position
+
+    const pageSize = Math.min(Math.max(limit, 1), MAX_QUERY_LIMIT);
+    const devices = start === -1 ? [] : matches.slice(start, start + pageSize);
+    const last = devices[devices.length - 1];
+    const hasMore = start !== -1 && start + pageSize < matches.length;
+
+    return {
+      devices,
+      total: matches.length,
+      nextCursor: hasMore ? encodeCursor({ sort, order, ...keyOf(last) }) : null
+    };
+  }
+
+  /**
+   * Find devices whose deviceId or metadata contains some text
+   * 
+   * Case-insensitive; searches metadata values, not keys.
+   * Example: searchDevices('line 3') → every device with location "Line 3"
+   * 
+   * @param {string} text - Text to look for
+   * @returns {Array} Matching devices (no secrets)
+   */
+  searchDevices(text) {
+    const needle = String(text).toLowerCase();
+
+    return this.listDevices().filter(device =>
+      [device.deviceId, ...Object.values(device.metadata || {})]
+        .some(value => value !== null && value !== undefined && String(value).toLowerCase().includes(needle))
+    );
+  }
+
+  /**
+   * Count devices per server key (for SERVER_SECRET rotation)
+   * 
+   * @returns {object} { currentKeyId, byKeyId: { keyId: count }, pendingRekey }
+   */
+  rekeyStatus() {
+    const byKeyId = {};
+
+    for (const device of Object.values(this.devices)) {
+      byKeyId[device.secretKeyId] = (byKeyId[device.secretKeyId] || 0) + 1;
+    }
+
+    const total = Object.keys(this.devices).length;
+
+    return {
+      currentKeyId: CURRENT_KEY_ID,
+      byKeyId,
+      pendingRekey: total - (byKeyId[CURRENT_KEY_ID] || 0)
+      // ↑ When 0, SERVER_SECRET_PREVIOUS can be removed
+    };
+  }
+
+  // ============================================
+  // LIFECYCLE
+  // ============================================
+
+  /**
+   * Release storage resources (database handles, etc.)
+   * Call on shutdown, after the last write
+   */
+  async close() {
+    await this.storage.close();
+  }
 }
 
 // ============================================
@@ -551,6 +2790,10 @@ class DeviceModel {
 // ============================================
 
 module.exports = new DeviceModel();
+module.exports.SORTABLE_FIELDS = SORTABLE_FIELDS;
+module.exports.MAX_METADATA_KEYS = MAX_METADATA_KEYS;
+module.exports.metadataValueError = metadataValueError;
+module.exports.CERTIFICATE_STATES = CERTIFICATE_STATES;
 // ↑ Export a single instance (singleton pattern)
 // 
 // Why singleton?
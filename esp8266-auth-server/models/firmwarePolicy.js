@@ -0,0 +1,313 @@
+/**
+ * Firmware Policy Model
+ *
+ * RESPONSIBILITIES:
+ * 1. Store firmware rules: minimum version and/or blocked versions,
+ *    globally, per hardware version and per device group
+ * 2. Evaluate a device's firmware at token issuance
+ *
+ * POLICY FORMAT:
+ * {
+ *   "global": {
+ *     "minVersion": "1.2.0",            (optional)
+ *     "blockedVersions": ["1.3.0"],     (optional)
+ *     "action": "restrict",             ("deny" or "restrict", default "deny")
+ *     "targetVersion": "1.4.2"          (optional - version devices should update to)
+ *   },
+ *   "hardware": {
+ *     "ESP-12F": { ...same fields }     (replaces the global rule for this hardware)
+ *   },
+ *   "groups": {
+ *     "acme/kitchen": { ...same fields } (tenant/group - replaces both for its devices)
+ *   }
+ * }
+ *
+ * A device in several groups with rules gets the rule of the first group
+ * listed in device.groups.
+ *
+ * ACTIONS on a violation:
+ * - deny:     no token (403)
+ * - restrict: token limited to the "ota:update" scope, so the device can
+ *             only fetch a firmware update
+ *
+ * VERSIONS:
+ * - Compared numerically: 1.10.0 > 1.9.3, pre-releases (1.2.0-beta) < 1.2.0
+ * - A version that can't be parsed (e.g. "unknown") fails a minVersion rule
+ *
+ * STORAGE:
+ * - database/firmware-policy.json (FIRMWARE_POLICY_PATH to override)
+ */
+
+const path = require('path');
+const JsonFileStorage = require('../storage/jsonFileStorage');
+const log = require('../lib/logger').child({ component: 'firmware-policy' });
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const POLICY_ACTIONS = ['deny', 'restrict'];
+
+const OTA_SCOPE = 'ota:update';
+// ↑ Only scope of a restricted token (see models/permission.js)
+
+const VERSION_PATTERN = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+// ↑ 1, 1.2, 1.2.3, v1.2.3, 1.2.3-beta.1, 1.2.3+build.5
+
+// ============================================
+// VERSION HELPERS
+// ============================================
+
+/**
+ * Parse a version string
+ *
+ * @param {string} version - e.g. "1.2.3-beta"
+ * @returns {{ parts: number[], prerelease: string|null }|null} null if unparseable
+ */
+function parseVersion(version) {
+  const match = VERSION_PATTERN.exec(String(version).trim());
+  if (!match) return null;
+
+  return {
+    parts: [match[1], match[2], match[3]].map(part => Number(part || 0)),
+    prerelease: match[4] || null
+  };
+}
+
+/**
+ * Compare two versions
+ *
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number|null} Negative if a < b, 0 if equal, positive if a > b;
+ *   null if either can't be parsed
+ */
+function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  if (!left || !right) return null;
+
+  for (let i = 0; i < 3; i++) {
+    if (left.parts[i] !== right.parts[i]) return left.parts[i] - right.parts[i];
+  }
+
+  if (left.prerelease === right.prerelease) return 0;
+  if (!left.prerelease) return 1;
+  // ↑ 1.2.0 > 1.2.0-beta
+  if (!right.prerelease) return -1;
+
+  return left.prerelease < right.prerelease ? -1 : 1;
+}
+
+/**
+ * Validate and normalise a rule
+ *
+ * @param {object} rule - { minVersion?, blockedVersions?, action?, targetVersion? }
+ * @returns {object} Clean rule
+ * @throws {Error} If a field is invalid
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error('Rule must be an object');
+  }
+
+  const { minVersion, blockedVersions = [], action = 'deny', targetVersion } = rule;
+
+  if (minVersion !== undefined && minVersion !== null && !parseVersion(minVersion)) {
+    throw new Error(`Invalid minVersion: ${minVersion}`);
+  }
+
+  if (!Array.isArray(blockedVersions) || blockedVersions.some(v => typeof v !== 'string' || !v)) {
+    throw new Error('blockedVersions must be an array of version strings');
+  }
+
+  if (!minVersion && !blockedVersions.length) {
+    throw new Error('Rule needs minVersion and/or blockedVersions');
+  }
+
+  if (!POLICY_ACTIONS.includes(action)) {
+    throw new Error(`action must be one of: ${POLICY_ACTIONS.join(', ')}`);
+  }
+
+  if (targetVersion !== undefined && targetVersion !== null) {
+    if (!parseVersion(targetVersion)) {
+      throw new Error(`Invalid targetVersion: ${targetVersion}`);
+    }
+    if (blockedVersions.includes(targetVersion)) {
+      throw new Error('targetVersion is in blockedVersions');
+    }
+    if (minVersion && compareVersions(targetVersion, minVersion) < 0) {
+      throw new Error('targetVersion is below minVersion');
+    }
+  }
+
+  return {
+    minVersion: minVersion || null,
+    blockedVersions: [...new Set(blockedVersions)],
+    action,
+    targetVersion: targetVersion || null
+  };
+}
+
+// ============================================
+// FIRMWARE POLICY MODEL CLASS
+// ============================================
+
+class FirmwarePolicyModel {
+  constructor(storage = new JsonFileStorage(
+    process.env.FIRMWARE_POLICY_PATH || path.join(__dirname, '../database/firmware-policy.json')
+  )) {
+    this.storage = storage;
+
+    this.policy = { global: null, hardware: {}, groups: {} };
+    // ↑ No rules = every firmware allowed
+
+    this.ready = this.loadPolicy();
+  }
+
+  async loadPolicy() {
+    try {
+      const stored = await this.storage.load();
+      this.policy = { global: stored.global || null, hardware: stored.hardware || {}, groups: stored.groups || {} };
+
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error('Error loading firmware policy', { error });
+      }
+      // ENOENT = no policy yet
+    }
+  }
+
+  async savePolicy() {
+    try {
+      await this.storage.saveAll(this.policy);
+    } catch (error) {
+      log.error('Error saving firmware policy', { error });
+    }
+  }
+
+  /**
+   * @returns {object} Current policy ({ global, hardware, groups })
+   */
+  getPolicy() {
+    return this.policy;
+  }
+
+  /**
+   * Set (or clear, with null) the global rule or a hardware rule
+   *
+   * @param {string|null} hardwareVersion - null = global rule
+   * @param {object|null} rule - Rule, or null to remove it
+   * @param {string} [updatedBy] - Admin id
+   * @returns {Promise<object|null>} Saved rule
+   * @throws {Error} If the rule is invalid
+   */
+  async setRule(hardwareVersion, rule, updatedBy = null) {
+    if (hardwareVersion === null) {
+      const saved = rule === null ? null : this.stampRule(rule, updatedBy);
+      this.policy.global = saved;
+      await this.savePolicy();
+
+      log.info('Firmware policy updated', { rule: 'global' });
+      return saved;
+    }
+
+    return this.storeRule(this.policy.hardware, hardwareVersion, rule, updatedBy, `hardware ${hardwareVersion}`);
+  }
+
+  /**
+   * Set (or clear, with null) the rule for a device group
+   *
+   * @param {string} tenantId - Tenant id
+   * @param {string} group - Group name
+   * @param {object|null} rule - Rule, or null to remove it
+   * @param {string} [updatedBy] - Admin id
+   * @returns {Promise<object|null>} Saved rule
+   * @throws {Error} If the rule is invalid
+   */
+  async setGroupRule(tenantId, group, rule, updatedBy = null) {
+    return this.storeRule(this.policy.groups, `${tenantId}/${group}`, rule, updatedBy, `group ${tenantId}/${group}`);
+  }
+
+  /**
+   * Validate a rule and add updatedAt/updatedBy
+   */
+  stampRule(rule, updatedBy) {
+    return { ...validateRule(rule), updatedAt: new Date().toISOString(), updatedBy };
+  }
+
+  /**
+   * Set or delete a keyed rule (hardware or group) and save
+   */
+  async storeRule(rules, key, rule, updatedBy, label) {
+    const saved = rule === null ? null : this.stampRule(rule, updatedBy);
+
+    if (saved) {
+      rules[key] = saved;
+    } else {
+      delete rules[key];
+    }
+
+    await this.savePolicy();
+
+    log.info('Firmware policy updated', { rule: label });
+    return saved;
+  }
+
+  /**
+   * Check a firmware version against the policy
+   *
+   * @param {object} firmware
+   * @param {string} [firmware.firmwareVersion] - Version the device runs
+   * @param {string} [firmware.hardwareVersion] - Selects a hardware rule
+   * @param {string} [firmware.tenantId] - With groups, selects a group rule
+   * @param {string[]} [firmware.groups] - Device groups
+   * @returns {object} { allowed: true } or
+   *   { allowed: false, action, reason, rule, minVersion, targetVersion }
+   *   reason = 'below-minimum', 'blocked-version' or 'unknown-version'
+   *   rule = 'global', 'hardware:<hardwareVersion>' or 'group:<tenantId>/<group>'
+   */
+  evaluate({ firmwareVersion, hardwareVersion, tenantId, groups = [] } = {}) {
+    const groupKey = groups
+      .map(group => `${tenantId}/${group}`)
+      .find(key => this.policy.groups[key]);
+    const hardwareRule = hardwareVersion && this.policy.hardware[hardwareVersion];
+
+    const rule = (groupKey && this.policy.groups[groupKey]) || hardwareRule || this.policy.global;
+
+    if (!rule) return { allowed: true };
+
+    let reason = null;
+
+    if (firmwareVersion && rule.blockedVersions.includes(firmwareVersion)) {
+      reason = 'blocked-version';
+    } else if (rule.minVersion) {
+      const comparison = firmwareVersion ? compareVersions(firmwareVersion, rule.minVersion) : null;
+      if (comparison === null) reason = 'unknown-version';
+      else if (comparison < 0) reason = 'below-minimum';
+    }
+
+    if (!reason) return { allowed: true };
+
+    return {
+      allowed: false,
+      action: rule.action,
+      reason,
+      rule: groupKey ? `group:${groupKey}` : hardwareRule ? `hardware:${hardwareVersion}` : 'global',
+      minVersion: rule.minVersion,
+      targetVersion: rule.targetVersion || rule.minVersion
+      // ↑ Without an explicit target, the minimum is the version to reach
+    };
+  }
+}
+
+// ============================================
+// EXPORT SINGLETON
+// ============================================
+
+module.exports = new FirmwarePolicyModel();
+module.exports.OTA_SCOPE = OTA_SCOPE;
+module.exports.compareVersions = compareVersions;
+module.exports.parseVersion = parseVersion;
+module.exports.POLICY_ACTIONS = POLICY_ACTIONS;
+module.exports.VERSION_PATTERN = VERSION_PATTERN;
@@ -0,0 +1,491 @@
+/**
+ * OTA Release Model
+ *
+ * RESPONSIBILITIES:
+ * 1. Store firmware releases: the binary (database/firmware/<id>.bin) plus
+ *    its SHA-256/MD5 checksums and signature
+ * 2. Staged rollouts: a percentage of the fleet and/or named device groups
+ * 3. Pick the update (if any) for a device's hardware and firmware version
+ *
+ * RELEASE RECORD:
+ * {
+ *   "id": "1.4.0-3f2a9c1b",                 (version + start of the checksum)
+ *   "version": "1.4.0",
+ *   "hardwareVersions": ["ESP-12F"],        (empty = every hardware version)
+ *   "minFromVersion": "1.0.0",              (optional - oldest version that may jump to this one)
+ *   "size": 412016, "sha256": "...", "md5": "...",
+ *   "signature": "<base64>", "signatureAlgorithm": "RSA-SHA256",
+ *   "status": "active",                     (active, paused or withdrawn)
+ *   "rollout": { "percentage": 10, "groups": ["acme/beta-testers"] },
+ *   ...
+ * }
+ *
+ * ROLLOUT:
+ * - A device is in a release's rollout if it belongs to one of the groups
+ *   or falls in the first `percentage` of the fleet
+ * - Groups are "tenant/group", or just "group" for that group name in
+ *   every tenant (see models/tenant.js)
+ * - The fleet split is a stable hash of release id + deviceId, so raising
+ *   10% → 50% keeps the first 10% and adds more devices
+ * - New releases start at 0%: nothing is offered until the rollout is set
+ * - Devices the firmware policy restricts get any release the policy
+ *   accepts, whatever the rollout (see models/firmwarePolicy.js)
+ *
+ * SIGNATURES:
+ * - With OTA_SIGNING_KEY_PATH (PEM private key, RSA or EC) the server signs
+ *   every upload; a signature sent with the upload must match that key
+ * - Without it, the upload must carry a signature made by the build
+ *   pipeline (stored as-is, assumed RSA-SHA256)
+ * - Devices verify the signature with the public key built into their firmware
+ *   (GET /admin/ota/signing-key)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const JsonFileStorage = require('../storage/jsonFileStorage');
+const firmwarePolicy = require('./firmwarePolicy');
+const log = require('../lib/logger').child({ component: 'ota' });
+const { compareVersions, parseVersion } = firmwarePolicy;
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const FIRMWARE_DIR = process.env.OTA_FIRMWARE_DIR || path.join(__dirname, '../database/firmware');
+
+const RELEASE_STATUSES = ['active', 'paused', 'withdrawn'];
+// ↑ Only active releases are offered; withdrawn ones lose their binary
+
+const VERSION_PATTERN = /^[\w.+-]{1,32}$/;
+// ↑ Same rule as metadata.firmwareVersion (models/device.js)
+
+const ROLLOUT_GROUP_PATTERN = /^(?:[a-z0-9][a-z0-9_-]{0,63}\/)?[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+// ↑ "tenant/group" or "group" (tenant id and group name rules of models/tenant.js)
+
+// ============================================
+// SIGNING KEY
+// ============================================
+
+/**
+ * Load the OTA signing key (OTA_SIGNING_KEY_PATH), if configured
+ *
+ * @returns {{ privateKey: KeyObject, publicKey: KeyObject, algorithm: string }|null}
+ * @throws {Error} If the file can't be read or holds an unsupported key
+ */
+function loadSigningKey() {
+  if (!process.env.OTA_SIGNING_KEY_PATH) return null;
+
+  const privateKey = crypto.createPrivateKey(require('fs').readFileSync(process.env.OTA_SIGNING_KEY_PATH));
+  const algorithm = { rsa: 'RSA-SHA256', ec: 'ECDSA-SHA256' }[privateKey.asymmetricKeyType];
+
+  if (!algorithm) {
+    throw new Error(`Unsupported OTA signing key type: ${privateKey.asymmetricKeyType} (use RSA or EC)`);
+  }
+
+  return { privateKey, publicKey: crypto.createPublicKey(privateKey), algorithm };
+}
+
+const SIGNING_KEY = loadSigningKey();
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Stable rollout bucket (0-99) of a device for a release
+ *
+ * @param {string} releaseId - Release id
+ * @param {string} deviceId - Device id
+ * @returns {number} Bucket; the device is in a P% rollout if bucket < P
+ */
+function rolloutBucket(releaseId, deviceId) {
+  return crypto.createHash('sha256')
+    .update(`${releaseId}:${deviceId}`)
+    .digest()
+    .readUInt32BE(0) % 100;
+}
+
+/**
+ * Validate and normalise rollout settings
+ *
+ * @param {object} rollout - { percentage?, groups? }
+ * @param {object} [current] - Current rollout (omitted fields are kept)
+ * @returns {{ percentage: number, groups: string[] }}
+ * @throws {Error} If a field is invalid
+ */
+function validateRollout({ percentage, groups } = {}, current = { percentage: 0, groups: [] }) {
+  const next = { ...current };
+
+  if (percentage !== undefined) {
+    if (!Number.isInteger(percentage) || percentage < 0 || percentage > 100) {
+      throw new Error('percentage must be an integer from 0 to 100');
+    }
+    next.percentage = percentage;
+  }
+
+  if (groups !== undefined) {
+    if (!Array.isArray(groups) || groups.some(group => typeof group !== 'string' || !ROLLOUT_GROUP_PATTERN.test(group))) {
+      throw new Error('groups must be an array of "tenant/group" or "group" names');
+    }
+    next.groups = [...new Set(groups)];
+  }
+
+  return next;
+}
+
+/**
+ * Do two hardware version lists overlap? (empty list = every hardware version)
+ */
+function hardwareOverlaps(a, b) {
+  return !a.length || !b.length || a.some(hardware => b.includes(hardware));
+}
+
+// ============================================
+// OTA RELEASE MODEL CLASS
+// ============================================
+
+class OtaReleaseModel {
+  constructor(storage = new JsonFileStorage(
+    process.env.OTA_RELEASES_PATH || path.join(__dirname, '../database/ota-releases.json')
+  )) {
+    this.storage = storage;
+
+    this.releases = {};
+    // ↑ id → release record
+
+    this.ready = this.loadReleases();
+  }
+
+  async loadReleases() {
+    try {
+      this.releases = await this.storage.load();
+      log.info('OTA releases loaded', { count: Object.keys(this.releases).length });
+
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error('Error loading OTA releases', { error });
+      }
+      // ENOENT = no releases yet
+    }
+  }
+
+  async saveReleases() {
+    try {
+      await this.storage.saveAll(this.releases);
+    } catch (error) {
+      log.error('Error saving OTA releases', { error });
+    }
+  }
+
+  /**
+   * @param {string} releaseId - Release id
+   * @returns {string} Path of the release's binary
+   */
+  firmwarePath(releaseId) {
+    return path.join(FIRMWARE_DIR, `${releaseId}.bin`);
+  }
+
+  /**
+   * @returns {{ algorithm: string, publicKey: string }|null} Public half of
+   *   the signing key (PEM), to build into the firmware
+   */
+  signingKey() {
+    return SIGNING_KEY && {
+      algorithm: SIGNING_KEY.algorithm,
+      publicKey: SIGNING_KEY.publicKey.export({ type: 'spki', format: 'pem' })
+    };
+  }
+
+  /**
+   * Store a new release
+   *
+   * @param {Buffer} binary - Firmware image
+   * @param {object} release
+   * @param {string} release.version - Firmware version
+   * @param {string[]} [release.hardwareVersions] - Hardware it runs on (empty = all)
+   * @param {string} [release.minFromVersion] - Oldest version allowed to update to it
+   * @param {string} [release.notes] - Release notes
+   * @param {object} [release.rollout] - { percentage, groups } (default: nobody)
+   * @param {string} [release.signature] - Base64 signature from the build pipeline
+   * @param {string} [release.sha256] - Expected checksum (upload integrity check)
+   * @param {string} [createdBy] - Admin id
+   * @returns {Promise<object>} Release record
+   * @throws {Error} On invalid fields, checksum/signature mismatch or a clashing release
+   */
+  async createRelease(binary, {
+    version,
+    hardwareVersions = [],
+    minFromVersion = null,
+    notes = '',
+    rollout,
+    signature,
+    sha256: expectedSha256
+  } = {}, createdBy = null) {
+    if (!Buffer.isBuffer(binary) || binary.length === 0) {
+      throw new Error('Missing firmware image (send it as application/octet-stream)');
+    }
+
+    if (typeof version !== 'string' || !VERSION_PATTERN.test(version) || !parseVersion(version)) {
+      throw new Error('version must be a version number such as 1.4.0');
+    }
+
+    if (!Array.isArray(hardwareVersions) || hardwareVersions.some(hw => typeof hw !== 'string' || !hw || hw.length > 64)) {
+      throw new Error('hardwareVersions must be an array of hardware versions');
+    }
+
+    if (minFromVersion !== null && !parseVersion(minFromVersion)) {
+      throw new Error(`Invalid minFromVersion: ${minFromVersion}`);
+    }
+
+    const sha256 = crypto.createHash('sha256').update(binary).digest('hex');
+
+    if (expectedSha256 && expectedSha256.toLowerCase() !== sha256) {
+      throw new Error('SHA-256 mismatch - upload corrupted?');
+    }
+
+    const clash = Object.values(this.releases).find(release =>
+      release.status !== 'withdrawn' &&
+      release.version === version &&
+      hardwareOverlaps(release.hardwareVersions, hardwareVersions)
+    );
+    if (clash) {
+      throw new Error(`Release ${clash.id} already provides ${version} for this hardware`);
+    }
+
+    let signatureAlgorithm = 'RSA-SHA256';
+
+    if (SIGNING_KEY) {
+      if (signature && !crypto.verify('sha256', binary, SIGNING_KEY.publicKey, Buffer.from(signature, 'base64'))) {
+        throw new Error('Signature does not match the OTA signing key');
+      }
+      signature = crypto.sign('sha256', binary, SIGNING_KEY.privateKey).toString('base64');
+      signatureAlgorithm = SIGNING_KEY.algorithm;
+    } else if (!signature) {
+      throw new Error('Missing firmware signature (X-Firmware-Signature), or set OTA_SIGNING_KEY_PATH');
+    }
+
+    const id = `${version}-${sha256.slice(0, 8)}`;
+
+    const release = {
+      id,
+      version,
+      hardwareVersions: [...new Set(hardwareVersions)],
+      minFromVersion,
+      notes: String(notes),
+      size: binary.length,
+      sha256,
+      md5: crypto.createHash('md5').update(binary).digest('hex'),
+      // ↑ ESP8266httpUpdate checks the x-MD5 response header
+      signature,
+      signatureAlgorithm,
+      status: 'active',
+      rollout: validateRollout(rollout || {}),
+      createdAt: new Date().toISOString(),
+      createdBy
+    };
+
+    await fs.mkdir(FIRMWARE_DIR, { recursive: true });
+    await fs.writeFile(this.firmwarePath(id), binary);
+
+    this.releases[id] = release;
+    await this.saveReleases();
+
+    log.info('OTA release stored', { releaseId: id, size: binary.length });
+    return release;
+  }
+
+  /**
+   * @returns {object[]} All releases, newest first
+   */
+  listReleases() {
+    return Object.values(this.releases)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * @param {string} releaseId - Release id
+   * @returns {object|null} Release or null
+   */
+  getRelease(releaseId) {
+    return this.releases[releaseId] || null;
+  }
+
+  /**
+   * Change a release's rollout, or pause/resume it
+   *
+   * @param {string} releaseId - Release id
+   * @param {object} changes
+   * @param {number} [changes.percentage] - 0-100
+   * @param {string[]} [changes.groups] - Device groups ("tenant/group" or "group")
+   * @param {boolean} [changes.paused] - Stop/resume offering the release
+   * @param {string} [updatedBy] - Admin id
+   * @returns {Promise<object>} Updated release
+   * @throws {Error} If not found, withdrawn, or a field is invalid
+   */
+  async updateRollout(releaseId, { percentage, groups, paused } = {}, updatedBy = null) {
+    const release = this.releases[releaseId];
+    if (!release) {
+      throw new Error('Release not found');
+    }
+
+    if (release.status === 'withdrawn') {
+      throw new Error('Release has been withdrawn');
+    }
+
+    if (paused !== undefined && typeof paused !== 'boolean') {
+      throw new Error('paused must be true or false');
+    }
+
+    release.rollout = validateRollout({ percentage, groups }, release.rollout);
+    if (paused !== undefined) release.status = paused ? 'paused' : 'active';
+    release.updatedAt = new Date().toISOString();
+    release.updatedBy = updatedBy;
+
+    await this.saveReleases();
+
+    log.info('OTA rollout updated', { releaseId, status: release.status, percentage: release.rollout.percentage });
+    return release;
+  }
+
+  /**
+   * Withdraw a release: never offered again, binary deleted
+   *
+   * The record stays, so device update states keep pointing at something.
+   *
+   * @param {string} releaseId - Release id
+   * @param {string} [reason] - Why (bricked devices, bad build, ...)
+   * @param {string} [withdrawnBy] - Admin id
+   * @returns {Promise<object>} Withdrawn release
+   * @throws {Error} If not found or already withdrawn
+   */
+  async withdrawRelease(releaseId, reason = '', withdrawnBy = null) {
+    const release = this.releases[releaseId];
+    if (!release) {
+      throw new Error('Release not found');
+    }
+
+    if (release.status === 'withdrawn') {
+      throw new Error('Release has already been withdrawn');
+    }
+
+    release.status = 'withdrawn';
+    release.withdrawnAt = new Date().toISOString();
+    release.withdrawnBy = withdrawnBy;
+    release.withdrawReason = reason;
+
+    await fs.rm(this.firmwarePath(releaseId), { force: true });
+    await this.saveReleases();
+
+    log.info('OTA release withdrawn', { releaseId });
+    return release;
+  }
+
+  /**
+   * Can a release be installed on a device running a given version?
+   *
+   * Checks status, hardware, version ordering and minFromVersion - not the rollout.
+   *
+   * @param {object} release - Release record
+   * @param {object} device - Device record
+   * @param {string} [currentVersion] - Firmware the device runs (unknown = any)
+   * @returns {boolean}
+   */
+  isCompatible(release, device, currentVersion) {
+    if (release.status !== 'active') return false;
+
+    const { hardwareVersion } = device.metadata;
+    if (release.hardwareVersions.length && !release.hardwareVersions.includes(hardwareVersion)) {
+      return false;
+    }
+
+    const comparison = currentVersion ? compareVersions(release.version, currentVersion) : null;
+    if (comparison !== null && comparison <= 0) return false;
+    // ↑ Only newer versions; an unknown current version can't be compared
+
+    if (release.minFromVersion) {
+      const fromComparison = currentVersion ? compareVersions(currentVersion, release.minFromVersion) : null;
+      if (fromComparison === null || fromComparison < 0) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Is a device part of a release's rollout?
+   *
+   * @param {object} release - Release record
+   * @param {object} device - Device record
+   * @returns {boolean}
+   */
+  inRollout(release, device) {
+    const inGroup = device.groups.some(group =>
+      release.rollout.groups.includes(group) ||
+      release.rollout.groups.includes(`${device.tenantId}/${group}`)
+    );
+
+    return inGroup || rolloutBucket(release.id, device.deviceId) < release.rollout.percentage;
+  }
+
+  /**
+   * Must a device update? (the firmware policy rejects its current version)
+   *
+   * @param {object} device - Device record
+   * @param {string} [currentVersion] - Firmware the device runs
+   * @returns {boolean}
+   */
+  isUpdateMandatory(device, currentVersion) {
+    const { tenantId, groups } = device;
+    const { hardwareVersion } = device.metadata;
+
+    return !firmwarePolicy.evaluate({ firmwareVersion: currentVersion, hardwareVersion, tenantId, groups }).allowed;
+  }
+
+  /**
+   * May a device get a release? Normally only if the rollout includes it;
+   * when the update is mandatory, any release the policy accepts.
+   *
+   * Checks the rollout / policy only - combine with isCompatible().
+   *
+   * @param {object} release - Release record
+   * @param {object} device - Device record
+   * @param {boolean} mandatory - See isUpdateMandatory()
+   * @returns {boolean}
+   */
+  isOffered(release, device, mandatory) {
+    if (!mandatory) return this.inRollout(release, device);
+
+    const { tenantId, groups } = device;
+    const { hardwareVersion } = device.metadata;
+
+    return firmwarePolicy.evaluate({ firmwareVersion: release.version, hardwareVersion, tenantId, groups }).allowed;
+  }
+
+  /**
+   * Find the update to offer a device: the newest compatible release it
+   * is offered (see isOffered())
+   *
+   * @param {object} device - Device record
+   * @param {string} [currentVersion] - Firmware the device runs
+   * @returns {{ release: object, mandatory: boolean }|null} null = up to date
+   */
+  findUpdate(device, currentVersion) {
+    const mandatory = this.isUpdateMandatory(device, currentVersion);
+
+    const candidates = Object.values(this.releases)
+      .filter(release => this.isCompatible(release, device, currentVersion))
+      .filter(release => this.isOffered(release, device, mandatory))
+      .sort((a, b) => compareVersions(b.version, a.version));
+
+    return candidates.length ? { release: candidates[0], mandatory } : null;
+  }
+}
+
+// ============================================
+// EXPORT SINGLETON
+// ============================================
+
+module.exports = new OtaReleaseModel();
+module.exports.RELEASE_STATUSES = RELEASE_STATUSES;
+module.exports.VERSION_PATTERN = VERSION_PATTERN;
+module.exports.ROLLOUT_GROUP_PATTERN = ROLLOUT_GROUP_PATTERN;
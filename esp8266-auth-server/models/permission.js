@@ -0,0 +1,264 @@
+/**
+ * Permission Model
+ *
+ * RESPONSIBILITIES:
+ * 1. Define the scope catalogue (every permission a token may carry)
+ * 2. Manage permission templates (named scope sets, e.g. "sensor", "relay")
+ * 3. Resolve the scopes embedded in a device's token
+ *
+ * RESOLUTION ORDER (first match wins):
+ * 1. device.permissions          - explicit per-device scopes
+ * 2. device.permissionTemplate   - scopes of the assigned template
+ * 3. "default" template          - everything else
+ *
+ * STORAGE:
+ * - Templates live in database/permission-templates.json
+ *   (PERMISSION_TEMPLATES_PATH to override)
+ * - Built-in templates are created on first start and can be edited
+ */
+
+const path = require('path');
+const JsonFileStorage = require('../storage/jsonFileStorage');
+const log = require('../lib/logger').child({ component: 'permission' });
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const SCOPE_CATALOGUE = {
+  'switches:read': 'Read switch/relay state',
+  'switches:write': 'Change switch/relay state',
+  'telemetry:read': 'Read telemetry data',
+  'telemetry:write': 'Publish telemetry data',
+  'config:read': 'Read device configuration',
+  'ota:update': 'Download firmware updates',
+  // ↑ Also the only scope of tokens restricted by the firmware policy
+  ...Object.fromEntries(
+    (process.env.EXTRA_SCOPES || '')
+      .split(',')
+      .map(scope => scope.trim())
+      .filter(Boolean)
+      .map(scope => [scope, 'Custom scope (EXTRA_SCOPES)'])
+  )
+};
+// ↑ scope → description
+// Add application-specific scopes with EXTRA_SCOPES=scope1,scope2
+
+const DEFAULT_TEMPLATE = 'default';
+
+const BUILT_IN_TEMPLATES = {
+  default: {
+    description: 'Devices without an explicit template',
+    deviceType: 'esp8266',
+    scopes: ['switches:read', 'switches:write']
+    // ↑ Same scopes every device got before templates existed
+  },
+  sensor: {
+    description: 'Sensors: publish telemetry only',
+    deviceType: 'esp8266',
+    scopes: ['telemetry:write']
+  },
+  relay: {
+    description: 'Relays: switch access only',
+    deviceType: 'esp8266',
+    scopes: ['switches:read', 'switches:write']
+  }
+};
+
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// ============================================
+// VALIDATION HELPERS
+// ============================================
+
+/**
+ * Check a scope list against the catalogue
+ *
+ * @param {string[]} scopes - Scopes to validate
+ * @returns {string[]} The scopes, de-duplicated
+ * @throws {Error} If not an array of known scopes
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.some(scope => typeof scope !== 'string')) {
+    throw new Error('scopes must be an array of strings');
+  }
+
+  const unknown = scopes.filter(scope => !SCOPE_CATALOGUE[scope]);
+  if (unknown.length) {
+    throw new Error(`Unknown scope(s): ${unknown.join(', ')}`);
+  }
+
+  return [...new Set(scopes)];
+}
+
+// ============================================
+// PERMISSION MODEL CLASS
+// ============================================
+
+class PermissionModel {
+  constructor(storage = new JsonFileStorage(
+    process.env.PERMISSION_TEMPLATES_PATH || path.join(__dirname, '../database/permission-templates.json')
+  )) {
+    this.storage = storage;
+
+    this.templates = { ...BUILT_IN_TEMPLATES };
+    // ↑ name → { description, deviceType, scopes, updatedAt?, updatedBy? }
+
+    this.ready = this.loadTemplates();
+  }
+
+  /**
+   * Load templates from disk, creating the file with the built-ins on first start
+   */
+  async loadTemplates() {
+    try {
+      this.templates = await this.storage.load();
+      log.info('Permission templates loaded', { count: Object.keys(this.templates).length });
+
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        await this.saveTemplates();
+      } else {
+        log.error('Error loading permission templates', { error });
+        // Continue with built-in templates
+      }
+    }
+
+    if (!this.templates[DEFAULT_TEMPLATE]) {
+      this.templates[DEFAULT_TEMPLATE] = BUILT_IN_TEMPLATES[DEFAULT_TEMPLATE];
+      // ↑ Resolution always needs a fallback
+    }
+  }
+
+  async saveTemplates() {
+    try {
+      await this.storage.saveAll(this.templates);
+    } catch (error) {
+      log.error('Error saving permission templates', { error });
+    }
+  }
+
+  /**
+   * @returns {object} Scope catalogue (scope → description)
+   */
+  listScopes() {
+    return SCOPE_CATALOGUE;
+  }
+
+  /**
+   * @returns {object[]} All templates, with their names
+   */
+  listTemplates() {
+    return Object.entries(this.templates).map(([name, template]) => ({ name, ...template }));
+  }
+
+  /**
+   * @param {string} name - Template name
+   * @returns {object|null} Template or null
+   */
+  getTemplate(name) {
+    return this.templates[name] ? { name, ...this.templates[name] } : null;
+  }
+
+  /**
+   * Create or replace a template
+   *
+   * Devices using the template get the new scopes on their next token.
+   *
+   * @param {string} name - Template name (lowercase, digits, - and _)
+   * @param {object} template
+   * @param {string[]} template.scopes - Scopes from the catalogue
+   * @param {string} [template.description]
+   * @param {string} [template.deviceType='esp8266'] - deviceType claim
+   * @param {string} [updatedBy] - Admin id
+   * @returns {Promise<object>} Saved template
+   * @throws {Error} If the name or scopes are invalid
+   */
+  async saveTemplate(name, { scopes, description = '', deviceType = 'esp8266' } = {}, updatedBy = null) {
+    if (!TEMPLATE_NAME_PATTERN.test(name)) {
+      throw new Error('Template name must be 1-64 lowercase letters, digits, - or _');
+    }
+
+    if (typeof deviceType !== 'string' || !deviceType) {
+      throw new Error('deviceType must be a non-empty string');
+    }
+
+    this.templates[name] = {
+      description: String(description),
+      deviceType,
+      scopes: validateScopes(scopes),
+      updatedAt: new Date().toISOString(),
+      updatedBy
+    };
+
+    await this.saveTemplates();
+
+    log.info('Permission template saved', { name });
+    return this.getTemplate(name);
+  }
+
+  /**
+   * Delete a template
+   *
+   * @param {string} name - Template name
+   * @param {number} usedBy - Devices currently assigned to it (checked by caller)
+   * @throws {Error} If it's the default template, unknown, or still in use
+   */
+  async deleteTemplate(name, usedBy = 0) {
+    if (name === DEFAULT_TEMPLATE) {
+      throw new Error('The default template cannot be deleted');
+    }
+
+    if (!this.templates[name]) {
+      throw new Error('Template not found');
+    }
+
+    if (usedBy > 0) {
+      throw new Error(`Template is assigned to ${usedBy} device(s)`);
+    }
+
+    delete this.templates[name];
+    await this.saveTemplates();
+
+    log.info('Permission template deleted', { name });
+  }
+
+  /**
+   * Resolve the token scopes and deviceType for a device record
+   *
+   * @param {object} device - Device record
+   * @returns {{ scopes: string[], deviceType: string, source: string }}
+   *   source = 'device' or 'template:<name>'
+   */
+  resolve(device) {
+    const templateName = this.templates[device.permissionTemplate]
+      ? device.permissionTemplate
+      : DEFAULT_TEMPLATE;
+    // ↑ A template deleted from the file falls back to default
+    const template = this.templates[templateName];
+
+    if (Array.isArray(device.permissions)) {
+      return {
+        scopes: device.permissions.filter(scope => SCOPE_CATALOGUE[scope]),
+        // ↑ Drop scopes removed from the catalogue since assignment
+        deviceType: template.deviceType,
+        source: 'device'
+      };
+    }
+
+    return {
+      scopes: template.scopes.filter(scope => SCOPE_CATALOGUE[scope]),
+      deviceType: template.deviceType,
+      source: `template:${templateName}`
+    };
+  }
+}
+
+// ============================================
+// EXPORT SINGLETON
+// ============================================
+
+module.exports = new PermissionModel();
+module.exports.DEFAULT_TEMPLATE = DEFAULT_TEMPLATE;
+module.exports.validateScopes = validateScopes;
+module.exports.TEMPLATE_NAME_PATTERN = TEMPLATE_NAME_PATTERN;
@@ -0,0 +1,455 @@
+/**
+ * Refresh Token Model
+ *
+ * RESPONSIBILITIES:
+ * 1. Issue a refresh token with every device token (routes/auth.js), so
+ *    devices renew through POST /auth/refresh instead of resending their
+ *    secret (or redoing challenge-response) every hour
+ * 2. Rotate it on every use: each refresh returns a new refresh token and
+ *    the presented one stops working
+ * 3. Detect reuse: presenting an already rotated token means it was copied
+ *    (or replayed) - the whole family is revoked, and both the thief and
+ *    the device must authenticate with their credentials again
+ *
+ * FAMILIES:
+ * - A family starts at a credential login (secret, challenge, certificate)
+ *   and holds one valid token at a time; rotations stay in the family
+ * - Bound to the device: the token only works with its own deviceId, and
+ *   not after the device's tokens were revoked (tokensRevokedAt)
+ * - A token expires REFRESH_TOKEN_TTL_DAYS after it was issued (unused),
+ *   the family REFRESH_FAMILY_MAX_DAYS after the login - then the device
+ *   authenticates with its credentials again
+ * - At most MAX_FAMILIES_PER_DEVICE active families per device: a new
+ *   login revokes the oldest ("superseded")
+ *
+ * TOKEN FORMAT:
+ * - "<familyId>.<secret>" (32 + 64 hex characters)
+ * - Only SHA-256(secret) is stored, like a password hash - 256 random
+ *   bits need no salt or slow hash
+ *
+ * STORAGE:
+ * - Same backend as the devices (STORAGE_BACKEND, see storage/index.js):
+ *   database/refresh-tokens.json (REFRESH_TOKENS_PATH), table refresh_tokens
+ *   or authServer/refreshTokens (FIREBASE_REFRESH_TOKENS_PATH)
+ * - One record per family: { familyId, deviceId, tokenHash, usedHashes, generation, ... };
+ *   SQLite and Firebase write only the families that changed
+ * - Revoked and expired families are kept REFRESH_TOKEN_TTL_DAYS for
+ *   GET /admin/devices/:deviceId/refresh-tokens, then deleted
+ */
+
+const crypto = require('crypto');
+const { createStorage } = require('../storage');
+const log = require('../lib/logger').child({ component: 'refresh-token' });
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const REFRESH_TOKENS_ENABLED = process.env.REFRESH_TOKENS_ENABLED !== 'false';
+// ↑ Issued unless explicitly turned off; POST /auth/refresh then answers 403
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * DAY_MS;
+// ↑ A device offline longer than 30 days logs in with its credentials again
+
+const FAMILY_MAX_AGE_MS = (parseInt(process.env.REFRESH_FAMILY_MAX_DAYS) || 90) * DAY_MS;
+// ↑ Credentials are used at least every 90 days, however often the device refreshes
+
+const MAX_FAMILIES_PER_DEVICE = parseInt(process.env.REFRESH_MAX_FAMILIES_PER_DEVICE) || 5;
+// ↑ Devices that reboot without keeping their refresh token start new families
+
+const REUSE_HISTORY = 100;
+// ↑ Rotated token hashes remembered per family for reuse detection
+//   (~4 days of hourly refreshes; older tokens are simply "unknown")
+
+const FAMILY_STATES = ['active', 'expired', 'revoked'];
+
+const TOKEN_PATTERN = /^([0-9a-f]{32})\.([0-9a-f]{64})$/;
+
+const FAMILY_DEFAULTS = {
+  createdVia: null,
+  usedHashes: [],
+  lastUsedAt: null,
+  lastUsedIp: null,
+  revokedAt: null,
+  revokedReason: null,
+  revokedBy: null
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * @param {string} secret - Secret part of a refresh token
+ * @returns {string} SHA-256, hex
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Constant-time comparison of two hex hashes
+ */
+function sameHash(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.length === b.length &&
+    crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+// ============================================
+// REFRESH TOKEN MODEL CLASS
+// ============================================
+
+class RefreshTokenModel {
+  constructor(storage = createStorage('refreshTokens')) {
+    this.storage = storage;
+
+    this.families = {};
+    // ↑ familyId → {
+    //     familyId, deviceId, createdAt, createdVia, expiresAt,
+    //     generation, tokenHash, tokenIssuedAt, tokenExpiresAt, usedHashes,
+    //     lastUsedAt, lastUsedIp, revokedAt, revokedReason, revokedBy
+    //   }
+
+    this.pendingSaves = new Set();
+    // ↑ saveFamilies() calls still writing (awaited by flush() on shutdown)
+
+    this.ready = this.loadFamilies();
+  }
+
+  async loadFamilies() {
+    try {
+      const families = await this.storage.load();
+
+      for (const family of Object.values(families)) {
+        this.families[family.familyId] = { ...FAMILY_DEFAULTS, ...family };
+        // ↑ Firebase drops nulls and empty arrays
+      }
+      log.info('Refresh token families loaded', { count: Object.keys(this.families).length });
+
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error('Error loading refresh tokens', { error });
+      }
+    }
+  }
+
+  /**
+   * Persist changed families
+   *
+   * @param {string[]} familyIds - Families created, updated or deleted
+   * @returns {Promise<void>} Never rejects (errors are logged)
+   */
+  saveFamilies(familyIds) {
+    const save = this.writeFamilies(familyIds).finally(() => this.pendingSaves.delete(save));
+    this.pendingSaves.add(save);
+
+    return save;
+  }
+
+  /**
+   * Perform one save (see saveFamilies)
+   *
+   * @param {string[]} familyIds - Families created, updated or deleted
+   */
+  async writeFamilies(familyIds) {
+    try {
+      if (this.storage.saveRecord) {
+        for (const familyId of familyIds) {
+          if (this.families[familyId]) {
+            await this.storage.saveRecord(this.families[familyId]);
+          } else {
+            await this.storage.deleteRecord(familyId);
+            // ↑ Purged
+          }
+        }
+      } else {
+        await this.storage.saveAll(this.families);
+        // ↑ JSON file: rewritten whole (the adapter serializes its writes)
+      }
+
+    } catch (error) {
+      log.error('Error saving refresh tokens', { error, backend: this.storage.name });
+    }
+  }
+
+  /**
+   * Wait for every pending save (graceful shutdown)
+   */
+  async flush() {
+    while (this.pendingSaves.size > 0) {
+      await Promise.all(this.pendingSaves);
+    }
+  }
+
+  /**
+   * Release storage resources (after flush())
+   */
+  async close() {
+    await this.storage.close();
+  }
+
+  /**
+   * @param {object} family - Family record
+   * @returns {string} One of FAMILY_STATES
+   */
+  familyState(family) {
+    if (family.revokedAt) return 'revoked';
+
+    const now = Date.now();
+    if (now >= Date.parse(family.tokenExpiresAt) || now >= Date.parse(family.expiresAt)) return 'expired';
+
+    return 'active';
+  }
+
+  /**
+   * Give a family a new current token
+   *
+   * @param {object} family - Family record (mutated)
+   * @returns {{ refreshToken: string, refreshExpiresIn: number }}
+   */
+  newToken(family) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+
+    family.tokenHash = hashSecret(secret);
+    family.tokenIssuedAt = new Date(now).toISOString();
+    family.tokenExpiresAt = new Date(Math.min(now + TOKEN_TTL_MS, Date.parse(family.expiresAt))).toISOString();
+    // ↑ Never outlives its family
+
+    return {
+      refreshToken: `${family.familyId}.${secret}`,
+      // ↑ ⚠️ Only returned here - never stored
+      refreshExpiresIn: Math.floor((Date.parse(family.tokenExpiresAt) - now) / 1000)
+    };
+  }
+
+  /**
+   * Start a family after a credential login
+   *
+   * @param {string} deviceId - Canonical device id
+   * @param {object} [options]
+   * @param {string} [options.via] - Login flow: secret, challenge or certificate
+   * @returns {{ refreshToken: string, refreshExpiresIn: number }}
+   */
+  issue(deviceId, { via = null } = {}) {
+    const purged = this.purgeEnded();
+
+    const active = Object.values(this.families)
+      .filter(family => family.deviceId === deviceId && this.familyState(family) === 'active')
+      .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+
+    const superseded = active.slice(0, Math.max(active.length - MAX_FAMILIES_PER_DEVICE + 1, 0));
+    for (const family of superseded) {
+      this.revokeFamily(family, { reason: 'superseded' });
+    }
+
+    const now = Date.now();
+    const familyId = crypto.randomBytes(16).toString('hex');
+    const family = {
+      familyId,
+      deviceId,
+      createdAt: new Date(now).toISOString(),
+      createdVia: via,
+      expiresAt: new Date(now + FAMILY_MAX_AGE_MS).toISOString(),
+      generation: 1,
+      usedHashes: [],
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null,
+      revokedReason: null,
+      revokedBy: null
+    };
+
+    const token = this.newToken(family);
+    this.families[familyId] = family;
+    this.saveFamilies([...purged, ...superseded.map(old => old.familyId), familyId]);
+
+    return token;
+  }
+
+  /**
+   * Check a presented refresh token (doesn't rotate it - see rotate())
+   *
+   * A token that was already rotated revokes its family on the spot.
+   *
+   * @param {string} refreshToken - Token from the device
+   * @param {string} deviceId - Canonical deviceId the device claims
+   * @returns {{ family: object|null, reason: string|null }} The family, or why
+   *   the token is refused: unknown-refresh-token, refresh-token-reused,
+   *   refresh-token-revoked, refresh-token-expired
+   */
+  verify(refreshToken, deviceId) {
+    const match = TOKEN_PATTERN.exec(refreshToken);
+    const family = match && this.families[match[1]];
+
+    if (!family || family.deviceId !== deviceId) {
+      return { family: null, reason: 'unknown-refresh-token' };
+      // ↑ Another device's token is as good as a made-up one
+    }
+
+    const hash = hashSecret(match[2]);
+
+    if (!sameHash(hash, family.tokenHash)) {
+      if (!family.usedHashes.some(used => sameHash(hash, used))) {
+        return { family: null, reason: 'unknown-refresh-token' };
+      }
+
+      if (!family.revokedAt) {
+        this.revokeFamily(family, { reason: 'reuse-detected' });
+        this.saveFamilies([family.familyId]);
+        log.warn('Refresh token reused, family revoked', { deviceId, familyId: family.familyId });
+        // ↑ Either the device or someone holding a copy had already refreshed with it
+      }
+      return { family: null, reason: 'refresh-token-reused' };
+    }
+
+    const state = this.familyState(family);
+
+    if (state !== 'active') {
+      return { family: null, reason: `refresh-token-${state}` };
+    }
+
+    return { family, reason: null };
+  }
+
+  /**
+   * Replace a family's current token (POST /auth/refresh)
+   *
+   * @param {object} family - Family returned by verify()
+   * @param {string} refreshToken - The token that was verified
+   * @param {string} [ip] - Client IP
+   * @returns {{ refreshToken: string, refreshExpiresIn: number }|null} New
+   *   token, or null if the presented one was used meanwhile (concurrent
+   *   refresh = reuse, the family is revoked)
+   */
+  rotate(family, refreshToken, ip = null) {
+    const presented = hashSecret(refreshToken.split('.')[1]);
+
+    if (!sameHash(presented, family.tokenHash) || family.revokedAt) {
+      if (!family.revokedAt) {
+        this.revokeFamily(family, { reason: 'reuse-detected' });
+        this.saveFamilies([family.familyId]);
+        log.warn('Refresh token used twice concurrently, family revoked', { deviceId: family.deviceId, familyId: family.familyId });
+      }
+      return null;
+    }
+
+    family.usedHashes = [...family.usedHashes, family.tokenHash].slice(-REUSE_HISTORY);
+    family.generation += 1;
+    family.lastUsedAt = new Date().toISOString();
+    family.lastUsedIp = ip;
+
+    const token = this.newToken(family);
+    this.saveFamilies([family.familyId]);
+
+    return token;
+  }
+
+  /**
+   * Mark a family revoked (caller saves)
+   *
+   * @param {object} family - Family record (mutated)
+   * @param {object} options
+   * @param {string} options.reason - e.g. reuse-detected, superseded, tokens-revoked, admin
+   * @param {string} [options.revokedBy] - Admin id
+   */
+  revokeFamily(family, { reason, revokedBy = null }) {
+    family.revokedAt = new Date().toISOString();
+    family.revokedReason = reason;
+    family.revokedBy = revokedBy;
+  }
+
+  /**
+   * Revoke a device's active families - all of them, or one
+   *
+   * @param {string} deviceId - Canonical device id
+   * @param {object} [options]
+   * @param {string} [options.familyId] - Only this family
+   * @param {string} [options.reason='admin'] - Stored as revokedReason
+   * @param {string} [options.revokedBy] - Admin id
+   * @returns {Promise<string[]>} Revoked familyIds
+   * @throws {Error} If familyId is given but isn't one of the device's families
+   */
+  async revokeDevice(deviceId, { familyId, reason = 'admin', revokedBy = null } = {}) {
+    if (familyId !== undefined) {
+      const family = this.families[familyId];
+      if (!family || family.deviceId !== deviceId) {
+        throw new Error('Refresh token family not found');
+      }
+    }
+
+    const revoked = Object.values(this.families)
+      .filter(family => family.deviceId === deviceId && !family.revokedAt)
+      .filter(family => familyId === undefined || family.familyId === familyId);
+
+    for (const family of revoked) {
+      this.revokeFamily(family, { reason, revokedBy });
+    }
+
+    if (revoked.length) {
+      await this.saveFamilies(revoked.map(family => family.familyId));
+      log.info('Refresh tokens revoked', { deviceId, count: revoked.length, reason });
+    }
+
+    return revoked.map(family => family.familyId);
+  }
+
+  /**
+   * A device's families, newest first (no hashes)
+   *
+   * @param {string} deviceId - Canonical device id
+   * @returns {object[]} { familyId, state, createdAt, createdVia, expiresAt, generation,
+   *   tokenIssuedAt, tokenExpiresAt, lastUsedAt, lastUsedIp, revokedAt, revokedReason, revokedBy }
+   */
+  listFamilies(deviceId) {
+    return Object.values(this.families)
+      .filter(family => family.deviceId === deviceId)
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+      .map(family => ({
+        familyId: family.familyId,
+        state: this.familyState(family),
+        createdAt: family.createdAt,
+        createdVia: family.createdVia,
+        expiresAt: family.expiresAt,
+        generation: family.generation,
+        // ↑ Tokens issued in this family so far (1 + refreshes)
+        tokenIssuedAt: family.tokenIssuedAt,
+        tokenExpiresAt: family.tokenExpiresAt,
+        lastUsedAt: family.lastUsedAt,
+        lastUsedIp: family.lastUsedIp,
+        revokedAt: family.revokedAt,
+        revokedReason: family.revokedReason,
+        revokedBy: family.revokedBy
+      }));
+  }
+
+  /**
+   * Delete families that ended (revoked or expired) over REFRESH_TOKEN_TTL_DAYS ago
+   * (caller saves)
+   *
+   * @returns {string[]} Deleted familyIds
+   */
+  purgeEnded() {
+    const cutoff = Date.now() - TOKEN_TTL_MS;
+    const purged = [];
+
+    for (const [familyId, family] of Object.entries(this.families)) {
+      const endedAt = family.revokedAt
+        ? Date.parse(family.revokedAt)
+        : Math.min(Date.parse(family.tokenExpiresAt), Date.parse(family.expiresAt));
+
+      if (endedAt < cutoff) {
+        delete this.families[familyId];
+        purged.push(familyId);
+      }
+    }
+
+    return purged;
+  }
+}
+
+module.exports = new RefreshTokenModel();
+module.exports.REFRESH_TOKENS_ENABLED = REFRESH_TOKENS_ENABLED;
+module.exports.FAMILY_STATES = FAMILY_STATES;
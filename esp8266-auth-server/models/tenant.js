@@ -0,0 +1,265 @@
+/**
+ * Tenant Model
+ *
+ * RESPONSIBILITIES:
+ * 1. Keep the list of tenants (customers) and each tenant's device groups
+ * 2. Validate a device's tenant and group membership
+ *
+ * MODEL:
+ * - Every device belongs to exactly one tenant (device.tenantId)
+ *   and any number of that tenant's groups (device.groups)
+ * - Group names are unique within a tenant; "kitchen" in tenant A and
+ *   "kitchen" in tenant B are different groups
+ * - The "default" tenant always exists; devices registered before tenants
+ *   existed are moved into it on load (models/device.js)
+ *
+ * ADMIN SCOPING (middleware/adminAuth.js):
+ * - An admin bound to a tenant only sees and changes that tenant's devices
+ * - Admins without a tenant see everything and manage fleet-wide settings
+ *
+ * STORAGE:
+ * - database/tenants.json (TENANTS_PATH to override)
+ *   { "acme": { "name": "Acme Corp", "groups": { "kitchen": { "description": "..." } } } }
+ */
+
+const path = require('path');
+const JsonFileStorage = require('../storage/jsonFileStorage');
+const log = require('../lib/logger').child({ component: 'tenant' });
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const DEFAULT_TENANT = 'default';
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+// ↑ Ends up in token claims and database rule paths - keep it simple
+
+const GROUP_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+const MAX_GROUPS_PER_DEVICE = 16;
+
+// ============================================
+// TENANT MODEL CLASS
+// ============================================
+
+class TenantModel {
+  constructor(storage = new JsonFileStorage(
+    process.env.TENANTS_PATH || path.join(__dirname, '../database/tenants.json')
+  )) {
+    this.storage = storage;
+
+    this.tenants = {};
+    // ↑ tenantId → { name, groups: { name → { description, createdAt, createdBy } }, createdAt, createdBy }
+
+    this.ready = this.loadTenants();
+  }
+
+  /**
+   * Load tenants from disk, creating the default tenant on first start
+   */
+  async loadTenants() {
+    try {
+      this.tenants = await this.storage.load();
+      log.info('Tenants loaded', { count: Object.keys(this.tenants).length });
+
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.error('Error loading tenants', { error });
+      }
+    }
+
+    if (!this.tenants[DEFAULT_TENANT]) {
+      this.tenants[DEFAULT_TENANT] = {
+        name: 'Default',
+        groups: {},
+        createdAt: new Date().toISOString(),
+        createdBy: null
+      };
+      await this.saveTenants();
+    }
+  }
+
+  async saveTenants() {
+    try {
+      await this.storage.saveAll(this.tenants);
+    } catch (error) {
+      log.error('Error saving tenants', { error });
+    }
+  }
+
+  /**
+   * @returns {object[]} All tenants, with their ids (groups as a list of names)
+   */
+  listTenants() {
+    return Object.keys(this.tenants).map(tenantId => this.getTenant(tenantId));
+  }
+
+  /**
+   * @param {string} tenantId - Tenant id
+   * @returns {object|null} Tenant (groups as a list of names) or null
+   */
+  getTenant(tenantId) {
+    const tenant = this.tenants[tenantId];
+    if (!tenant) return null;
+
+    return { tenantId, ...tenant, groups: Object.keys(tenant.groups) };
+  }
+
+  /**
+   * Create a tenant, or rename an existing one
+   *
+   * @param {string} tenantId - Tenant id (lowercase letters, digits, - and _)
+   * @param {object} tenant
+   * @param {string} [tenant.name] - Display name (defaults to the id)
+   * @param {string} [updatedBy] - Admin id
+   * @returns {Promise<object>} Saved tenant
+   * @throws {Error} If the id or name is invalid
+   */
+  async saveTenant(tenantId, { name } = {}, updatedBy = null) {
+    if (!TENANT_ID_PATTERN.test(tenantId)) {
+      throw new Error('Tenant id must be 1-64 lowercase letters, digits, - or _');
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 128)) {
+      throw new Error('name must be a non-empty string (max 128 characters)');
+    }
+
+    const existing = this.tenants[tenantId];
+
+    if (existing) {
+      if (name !== undefined) existing.name = name.trim();
+      existing.updatedAt = new Date().toISOString();
+      existing.updatedBy = updatedBy;
+    } else {
+      this.tenants[tenantId] = {
+        name: name ? name.trim() : tenantId,
+        groups: {},
+        createdAt: new Date().toISOString(),
+        createdBy: updatedBy
+      };
+    }
+
+    await this.saveTenants();
+
+    log.info('Tenant saved', { tenantId });
+    return this.getTenant(tenantId);
+  }
+
+  /**
+   * @param {string} tenantId - Tenant id
+   * @returns {object[]} The tenant's groups, with their names
+   * @throws {Error} If the tenant doesn't exist
+   */
+  listGroups(tenantId) {
+    const tenant = this.tenants[tenantId];
+    if (!tenant) {
+      throw new Error('Tenant not found');
+    }
+
+    return Object.entries(tenant.groups).map(([name, group]) => ({ name, ...group }));
+  }
+
+  /**
+   * @param {string} tenantId - Tenant id
+   * @param {string} name - Group name
+   * @returns {boolean} True if the group exists
+   */
+  hasGroup(tenantId, name) {
+    return Boolean(this.tenants[tenantId] && this.tenants[tenantId].groups[name]);
+  }
+
+  /**
+   * Create a group, or update its description
+   *
+   * @param {string} tenantId - Tenant id
+   * @param {string} name - Group name (letters, digits, _ . -)
+   * @param {object} group
+   * @param {string} [group.description]
+   * @param {string} [updatedBy] - Admin id
+   * @returns {Promise<object>} Saved group
+   * @throws {Error} If the tenant doesn't exist or the name is invalid
+   */
+  async saveGroup(tenantId, name, { description } = {}, updatedBy = null) {
+    const tenant = this.tenants[tenantId];
+    if (!tenant) {
+      throw new Error('Tenant not found');
+    }
+
+    if (!GROUP_NAME_PATTERN.test(name)) {
+      throw new Error('Group name must be 1-64 letters, digits, _ . or -');
+    }
+
+    const existing = tenant.groups[name];
+    const now = new Date().toISOString();
+
+    tenant.groups[name] = existing
+      ? { ...existing, description: description !== undefined ? String(description) : existing.description, updatedAt: now, updatedBy }
+      : { description: description !== undefined ? String(description) : '', createdAt: now, createdBy: updatedBy };
+
+    await this.saveTenants();
+
+    log.info('Group saved', { tenantId, group: name });
+    return { name, ...tenant.groups[name] };
+  }
+
+  /**
+   * Delete a group (the caller removes it from its devices)
+   *
+   * @param {string} tenantId - Tenant id
+   * @param {string} name - Group name
+   * @throws {Error} If the tenant or group doesn't exist
+   */
+  async deleteGroup(tenantId, name) {
+    if (!this.hasGroup(tenantId, name)) {
+      throw new Error('Group not found');
+    }
+
+    delete this.tenants[tenantId].groups[name];
+    await this.saveTenants();
+
+    log.info('Group deleted', { tenantId, group: name });
+  }
+
+  /**
+   * Validate a device's tenant and groups
+   *
+   * @param {object} membership
+   * @param {string} [membership.tenantId='default'] - Tenant id
+   * @param {string[]} [membership.groups=[]] - Group names in that tenant
+   * @returns {{ tenantId: string, groups: string[] }} Groups de-duplicated
+   * @throws {Error} If the tenant or a group doesn't exist
+   */
+  validateMembership({ tenantId = DEFAULT_TENANT, groups = [] } = {}) {
+    if (!this.tenants[tenantId]) {
+      throw new Error(`Unknown tenant: ${tenantId}`);
+    }
+
+    if (!Array.isArray(groups) || groups.some(group => typeof group !== 'string')) {
+      throw new Error('groups must be an array of group names');
+    }
+
+    const unique = [...new Set(groups)];
+
+    if (unique.length > MAX_GROUPS_PER_DEVICE) {
+      throw new Error(`A device can be in at most ${MAX_GROUPS_PER_DEVICE} groups`);
+    }
+
+    const unknown = unique.filter(group => !this.hasGroup(tenantId, group));
+    if (unknown.length) {
+      throw new Error(`Unknown group(s) in tenant ${tenantId}: ${unknown.join(', ')}`);
+    }
+
+    return { tenantId, groups: unique };
+  }
+}
+
+// ============================================
+// EXPORT SINGLETON
+// ============================================
+
+module.exports = new TenantModel();
+module.exports.DEFAULT_TENANT = DEFAULT_TENANT;
+module.exports.GROUP_NAME_PATTERN = GROUP_NAME_PATTERN;
+module.exports.TENANT_ID_PATTERN = TENANT_ID_PATTERN;
+module.exports.MAX_GROUPS_PER_DEVICE = MAX_GROUPS_PER_DEVICE;
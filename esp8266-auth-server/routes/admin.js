@@ -1,26 +1,255 @@
 /**
  * Admin Routes
- * Device management endpoints (protected - add auth middleware in production)
+ * Device management endpoints
+ *
+ * All routes require admin authentication (see middleware/adminAuth.js).
+ * Minimum role per route:
+ * - viewer:          GET /admin/devices, GET /admin/devices/:deviceId,
+ *                    GET /admin/scopes, GET /admin/permission-templates,
+ *                    GET /admin/firmware-policy, GET /admin/firmware-policy/evaluate,
+ *                    GET /admin/ota/releases[/:releaseId], GET /admin/ota/signing-key,
+ *                    GET /admin/tenants, GET /admin/tenants/:tenantId/groups,
+ *                    GET /admin/certificates, GET /admin/ca, GET /admin/token-keys,
+ *                    GET /admin/devices/:deviceId/refresh-tokens
+ * - operator:        POST /admin/register, POST /admin/provision,
+ *                    POST /admin/suspend, POST /admin/reactivate,
+ *                    POST /admin/devices/:deviceId/rotate-secret,
+ *                    POST /admin/devices/:deviceId/certificate,
+ *                    PATCH /admin/devices/:deviceId,
+ *                    PUT /admin/devices/:deviceId/permissions,
+ *                    PUT /admin/devices/:deviceId/groups,
+ *                    PUT/DELETE /admin/tenants/:tenantId/groups/:group,
+ *                    PUT /admin/tenants/:tenantId/groups/:group/permissions,
+ *                    PATCH /admin/ota/releases/:releaseId,
+ *                    POST /admin/devices/:deviceId/unlock, GET /admin/audit
+ * - security-admin:  POST /admin/revoke, POST /admin/devices/:deviceId/revoke-tokens,
+ *                    DELETE /admin/devices/:deviceId/certificate,
+ *                    DELETE /admin/devices/:deviceId/refresh-tokens[/:familyId],
+ *                    POST /admin/tenants/:tenantId/groups/:group/revoke,
+ *                    PUT/DELETE /admin/permission-templates/:name,
+ *                    PUT/DELETE /admin/firmware-policy/global,
+ *                    PUT/DELETE /admin/firmware-policy/hardware/:hardwareVersion,
+ *                    PUT/DELETE /admin/tenants/:tenantId/groups/:group/firmware-policy,
+ *                    PUT /admin/tenants/:tenantId,
+ *                    POST /admin/ota/releases, DELETE /admin/ota/releases/:releaseId,
+ *                    GET /admin/rekey-status, POST /admin/token-keys/rotate,
+ *                    POST /admin/reactivate for a revoked device
+ *
+ * TENANTS (see models/tenant.js):
+ * Admins bound to a tenant only see that tenant's devices (others are
+ * "not found") and groups. Fleet-wide settings - permission templates,
+ * hardware/global firmware rules, OTA releases, tenants, token signing
+ * keys - need an admin without a tenant.
+ *
+ * VALIDATION (see middleware/validate.js):
+ * Every body, query string and URL parameter is checked against the
+ * schema next to its route; bad input gets a 400 with code
+ * "validation_failed" and one entry per problem in `details`.
+ * Unknown body fields are rejected.
  */
 
 const express = require('express');
 const router = express.Router();
 const deviceModel = require('../models/device');
+const { SORTABLE_FIELDS, MAX_METADATA_KEYS, CERTIFICATE_STATES, metadataValueError } = deviceModel;
+const permissionModel = require('../models/permission');
+const { TEMPLATE_NAME_PATTERN } = permissionModel;
+const firmwarePolicy = require('../models/firmwarePolicy');
+const { POLICY_ACTIONS, VERSION_PATTERN } = firmwarePolicy;
+const otaReleaseModel = require('../models/otaRelease');
+const { RELEASE_STATUSES, ROLLOUT_GROUP_PATTERN } = otaReleaseModel;
+const tenantModel = require('../models/tenant');
+const { TENANT_ID_PATTERN, GROUP_NAME_PATTERN, MAX_GROUPS_PER_DEVICE } = tenantModel;
+const refreshTokenModel = require('../models/refreshToken');
+const auditLog = require('../models/auditLog');
+const { AUDIT_EVENTS } = auditLog;
+const {
+  authenticateAdmin, requireRole, hasRole, canAccessTenant, requireAllTenants
+} = require('../middleware/adminAuth');
+const { validate, sendValidationError } = require('../middleware/validate');
+const { ERROR_CODES } = require('../lib/schema');
+const { CREDENTIAL_FORMATS, newBatchId, parseManifest, renderCredentials } = require('../lib/provisioning');
+const { canonicalDeviceId, parseDeviceId } = require('../lib/deviceId');
+const certificateAuthority = require('../lib/certificateAuthority');
+const { TOKEN_ISSUER, listSigningKeys, rotateSigningKey } = require('../tokens');
+const log = require('../lib/logger').child({ component: 'admin' });
+
+// Field rules shared by several routes (see lib/schema.js)
+const DEVICE_ID = { type: 'deviceId', required: true };
+const REASON = { type: 'string', maxLength: 512 };
+const DESCRIPTION = { type: 'string', maxLength: 256 };
+const TENANT_ID = { type: 'string', pattern: TENANT_ID_PATTERN, format: '1-64 lowercase letters, digits, - or _' };
+const GROUP_NAME = { type: 'string', pattern: GROUP_NAME_PATTERN, format: '1-64 letters, digits, ., - or _' };
+const GROUPS = { type: 'array', items: GROUP_NAME, maxItems: MAX_GROUPS_PER_DEVICE };
+const TEMPLATE_NAME = { type: 'string', pattern: TEMPLATE_NAME_PATTERN, format: '1-64 lowercase letters, digits, - or _' };
+const SCOPES = { type: 'array', items: { type: 'string', required: true } };
+const FIRMWARE_VERSION = { type: 'string', maxLength: 32 };
+const HARDWARE_VERSION = { type: 'string', maxLength: 64 };
+const POLICY_VERSION = { type: 'string', pattern: VERSION_PATTERN, format: 'a version such as 1.2.3' };
+const RELEASE_ID = { type: 'string', pattern: /^[\w.+-]{1,64}$/, format: 'a release id such as 1.4.0-3f2a9c1b' };
+const ROLLOUT_GROUPS = {
+  type: 'array',
+  items: { type: 'string', pattern: ROLLOUT_GROUP_PATTERN, format: 'a "tenant/group" or "group" name' }
+};
+const PAGE_LIMIT = { type: 'integer', min: 1, max: 1000 };
+const PUBLIC_KEY = { type: 'string', maxLength: 4096 };
+// ↑ PEM; key type checked by lib/certificateAuthority.js
+const FAMILY_ID = { type: 'string', pattern: /^[0-9a-f]{32}$/, format: '32 hex characters' };
+
+const ACCESS = {
+  permissionTemplate: { ...TEMPLATE_NAME, nullable: true },
+  permissions: { ...SCOPES, nullable: true }
+};
+// ↑ null = back to the default template / to the template's scopes
+
+const FIRMWARE_RULE = {
+  minVersion: { ...POLICY_VERSION, nullable: true },
+  blockedVersions: { type: 'array', items: { type: 'string', required: true, maxLength: 32 } },
+  action: { type: 'string', enum: POLICY_ACTIONS },
+  targetVersion: { ...POLICY_VERSION, nullable: true }
+};
+// ↑ Body of every PUT .../firmware-policy route (rule checks: models/firmwarePolicy.js)
+
+/**
+ * Metadata object rule (value rules: METADATA_SCHEMA in models/device.js)
+ * 
+ * @param {boolean} patch - null values allowed (they remove a field)
+ * @returns {object} Field rule
+ */
+function metadataRule(patch) {
+  return {
+    type: 'object',
+    maxKeys: MAX_METADATA_KEYS,
+    values: {
+      type: ['string', 'number', 'boolean'],
+      nullable: patch,
+      check: (value, key) => metadataValueError(key, value)
+    }
+  };
+}
+
+router.use(authenticateAdmin);
+// ↑ Every admin route needs valid credentials
+
+/**
+ * Is a device hidden from this admin (registered in another tenant)?
+ * Hidden devices are reported as "Device not found".
+ * 
+ * @param {object} req - Express request (after authenticateAdmin)
+ * @param {string} deviceId - Device identifier
+ * @returns {boolean} True if the device exists but the admin can't access it
+ */
+function hiddenFromAdmin(req, deviceId) {
+  const device = deviceModel.getDevice(deviceId);
+  return Boolean(device) && !canAccessTenant(req.admin, device.tenantId);
+}
+
+/**
+ * Tenant a new device goes into: tenant admins can only use their own
+ * 
+ * @param {object} req - Express request (after authenticateAdmin)
+ * @param {string} [tenantId] - Requested tenant
+ * @returns {string|undefined} Tenant id (undefined = default tenant)
+ * @throws {Error} If a tenant admin asks for another tenant
+ */
+function tenantForNewDevice(req, tenantId) {
+  if (!req.admin.tenantId) return tenantId;
+
+  if (tenantId !== undefined && tenantId !== req.admin.tenantId) {
+    throw new Error(`Tenant admins can only register devices in tenant ${req.admin.tenantId}`);
+  }
+
+  return req.admin.tenantId;
+}
+
+router.param('deviceId', (req, res, next, rawDeviceId) => {
+  let deviceId;
+  try {
+    deviceId = parseDeviceId(rawDeviceId);
+  } catch (error) {
+    return sendValidationError(res, [
+      { location: 'params', field: 'deviceId', code: ERROR_CODES.INVALID_FORMAT, message: error.message }
+    ]);
+  }
+
+  req.params.deviceId = deviceId;
+  // ↑ Handlers see the canonical id: /devices/5ccf7f123456 = /devices/5C:CF:7F:12:34:56
+
+  if (hiddenFromAdmin(req, deviceId)) {
+    return res.status(req.method === 'GET' ? 404 : 400).json({ error: 'Device not found' });
+    // ↑ Same answers as for a device that doesn't exist
+  }
+  next();
+});
+
+router.param('tenantId', validate({ params: { tenantId: TENANT_ID } }));
+router.param('group', validate({ params: { group: GROUP_NAME } }));
+router.param('name', validate({ params: { name: TEMPLATE_NAME } }));
+router.param('hardwareVersion', validate({ params: { hardwareVersion: HARDWARE_VERSION } }));
+router.param('releaseId', validate({ params: { releaseId: RELEASE_ID } }));
+router.param('familyId', validate({ params: { familyId: FAMILY_ID } }));
+// ↑ URL parameter formats, checked before any route that uses them
+
+router.param('tenantId', (req, res, next, tenantId) => {
+  if (!canAccessTenant(req.admin, tenantId)) {
+    return res.status(404).json({ error: 'Tenant not found' });
+  }
+  next();
+});
 
 /**
  * POST /admin/register
  * 
  * Register a new device (manufacturing process)
+ * 
+ * Request body:
+ * {
+ *   "deviceId": "5C:CF:7F:12:34:56",
+ *   "metadata": { ... },                    (optional)
+ *   "permissionTemplate": "sensor",         (optional - default template if omitted)
+ *   "permissions": ["telemetry:write"],     (optional - overrides the template)
+ *   "tenantId": "acme",                     (optional - "default", or the admin's tenant)
+ *   "groups": ["kitchen"],                  (optional - groups of that tenant)
+ *   "publicKey": "-----BEGIN PUBLIC KEY..." (optional, MTLS_ENABLED - device-generated key
+ *                                            for its client certificate)
+ * }
+ * 
+ * With MTLS_ENABLED the response also has `device.clientCertificate`
+ * (certificate, CA certificate and - without publicKey - the private key).
  */
-router.post('/register', async (req, res) => {
+router.post('/register', requireRole('operator'), validate({
+  body: {
+    deviceId: DEVICE_ID,
+    metadata: metadataRule(false),
+    ...ACCESS,
+    tenantId: TENANT_ID,
+    groups: GROUPS,
+    publicKey: PUBLIC_KEY
+  }
+}), async (req, res) => {
   try {
-    const { deviceId, metadata } = req.body;
+    const { deviceId, metadata, permissionTemplate, permissions, tenantId, groups, publicKey } = req.body;
 
-    if (!deviceId) {
-      return res.status(400).json({ error: 'Missing deviceId' });
-    }
+    const device = await deviceModel.registerDevice(deviceId, metadata, {
+      permissionTemplate,
+      permissions,
+      tenantId: tenantForNewDevice(req, tenantId),
+      groups,
+      publicKey
+    });
 
-    const device = await deviceModel.registerDevice(deviceId, metadata);
+    auditLog.record({
+      event: 'device.registered',
+      deviceId: device.deviceId,
+      ip: req.ip,
+      actor: req.admin.id,
+      firmwareVersion: metadata && metadata.firmwareVersion,
+      details: {
+        permissions: deviceModel.resolvePermissions(device.deviceId),
+        tenantId: deviceModel.getDevice(device.deviceId).tenantId,
+        certificateSerialNumber: device.clientCertificate && device.clientCertificate.serialNumber
+      }
+    });
 
     res.json({
       message: 'Device registered successfully',
@@ -32,24 +261,248 @@ router.post('/register', async (req, res) => {
   }
 });
 
+/**
+ * POST /admin/provision
+ * 
+ * Register a batch of devices from a manifest (factory line) and
+ * return the credentials file for the flashing station
+ * 
+ * Body - either raw CSV (Content-Type: text/csv) or JSON:
+ * {
+ *   "devices": [{ "deviceId": "5C:CF:7F:12:34:56", "metadata": { ... } }],
+ *   "manifest": "mac,location\n5ccf7f123456,Line 3",   (instead of devices)
+ *   "format": "csv",                                   (optional, for manifest)
+ *   "permissionTemplate": "sensor",                    (optional - for entries without permissions)
+ *   "tenantId": "acme"                                 (optional - for entries without a tenant)
+ * }
+ * 
+ * Query parameters (optional):
+ *   output       json (default), header or csv - credentials file format
+ *   onDuplicate  skip (default) or fail - what to do with already registered devices
+ *   permissionTemplate, tenantId - defaults as above, for raw CSV bodies
+ * 
+ * Tenant admins can only provision into their own tenant.
+ * 
+ * All-or-nothing: an invalid entry rejects the whole batch.
+ * Manifest format: see lib/provisioning.js
+ */
+router.post('/provision', requireRole('operator'), validate({
+  query: {
+    output: { type: 'string', enum: Object.keys(CREDENTIAL_FORMATS) },
+    onDuplicate: { type: 'string', enum: ['skip', 'fail'] },
+    permissionTemplate: TEMPLATE_NAME,
+    tenantId: TENANT_ID
+  },
+  body: {
+    devices: { type: 'array' },
+    manifest: { type: ['string', 'array', 'object'] },
+    format: { type: 'string', enum: ['csv', 'json'] },
+    permissionTemplate: TEMPLATE_NAME,
+    tenantId: TENANT_ID
+  }
+  // ↑ Entries are checked by parseManifest() (errors listed per entry)
+}, { rawBody: true }), async (req, res) => {
+  try {
+    const { output = 'json', onDuplicate = 'skip' } = req.validated.query;
+
+    const body = req.body || {};
+    const { entries, errors } = typeof body === 'string'
+      ? parseManifest(body, req.is('text/csv') ? 'csv' : undefined)
+      : parseManifest(body.manifest !== undefined ? body.manifest : body.devices, body.format);
+
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid manifest', details: errors });
+    }
+
+    const defaultTemplate = typeof body === 'string' ? req.validated.query.permissionTemplate : body.permissionTemplate;
+    if (defaultTemplate) {
+      entries
+        .filter(entry => entry.permissionTemplate === undefined && entry.permissions === undefined)
+        .forEach(entry => { entry.permissionTemplate = defaultTemplate; });
+    }
+
+    const defaultTenant = typeof body === 'string' ? req.validated.query.tenantId : body.tenantId;
+    for (const entry of entries) {
+      entry.tenantId = tenantForNewDevice(req, entry.tenantId !== undefined ? entry.tenantId : defaultTenant);
+    }
+
+    const batchId = newBatchId();
+    const { registered, skipped } = await deviceModel.registerDevices(entries, {
+      skipDuplicates: onDuplicate === 'skip',
+      batchId
+    });
+
+    for (const { deviceId } of registered) {
+      auditLog.record({
+        event: 'device.registered',
+        deviceId,
+        ip: req.ip,
+        actor: req.admin.id,
+        details: {
+          batchId,
+          permissions: deviceModel.resolvePermissions(deviceId),
+          tenantId: deviceModel.getDevice(deviceId).tenantId
+        }
+      });
+    }
+
+    const { contentType, extension } = CREDENTIAL_FORMATS[output];
+
+    res
+      .set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="credentials-${batchId}.${extension}"`,
+        'Cache-Control': 'no-store',
+        // ↑ Response contains secrets - never cache it
+        'X-Provisioned-Count': String(registered.length),
+        'X-Skipped-Count': String(skipped.length)
+      })
+      .send(renderCredentials({ batchId, devices: registered, skipped }, output));
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 /**
  * POST /admin/revoke
  * 
  * Revoke a device (emergency access removal)
  */
-router.post('/revoke', async (req, res) => {
+router.post('/revoke', requireRole('security-admin'), validate({
+  body: { deviceId: DEVICE_ID, reason: REASON }
+}), async (req, res) => {
   try {
-    const { deviceId, reason } = req.body;
+    const { deviceId: rawDeviceId, reason } = req.body;
 
-    if (!deviceId) {
-      return res.status(400).json({ error: 'Missing deviceId' });
+    const deviceId = parseDeviceId(rawDeviceId);
+    // ↑ Canonical form (format checked by validate)
+
+    if (hiddenFromAdmin(req, deviceId)) {
+      return res.status(400).json({ error: 'Device not found' });
     }
 
-    await deviceModel.revokeDevice(deviceId, reason);
+    const { firebaseSessionsRevoked } = await deviceModel.revokeDevice(deviceId, reason, req.admin.id);
+
+    auditLog.record({
+      event: 'device.revoked',
+      deviceId,
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { reason, firebaseSessionsRevoked }
+    });
 
     res.json({
       message: 'Device revoked successfully',
-      deviceId
+      deviceId,
+      firebaseSessionsRevoked
+      // ↑ false = Firebase unreachable; retry with POST /admin/devices/:deviceId/revoke-tokens
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/suspend
+ * 
+ * Temporarily disable a device
+ * 
+ * Request body:
+ * {
+ *   "deviceId": "5C:CF:7F:12:34:56",
+ *   "reason": "Payment overdue",            (optional)
+ *   "until": "2024-02-01T00:00:00.000Z"     (optional - auto-reactivate at this time)
+ * }
+ */
+router.post('/suspend', requireRole('operator'), validate({
+  body: { deviceId: DEVICE_ID, reason: REASON, until: { type: 'date' } }
+}), async (req, res) => {
+  try {
+    const { deviceId: rawDeviceId, reason, until } = req.body;
+
+    const deviceId = parseDeviceId(rawDeviceId);
+    // ↑ Canonical form (format checked by validate)
+
+    if (hiddenFromAdmin(req, deviceId)) {
+      return res.status(400).json({ error: 'Device not found' });
+    }
+
+    const device = await deviceModel.suspendDevice(deviceId, {
+      reason,
+      until,
+      suspendedBy: req.admin.id
+    });
+
+    auditLog.record({
+      event: 'device.suspended',
+      deviceId,
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { reason, until: device.suspendedUntil }
+    });
+
+    res.json({
+      message: 'Device suspended successfully',
+      device
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/reactivate
+ * 
+ * Return a suspended or revoked device to active
+ * Revoked devices can only be reactivated by a security-admin
+ * 
+ * Request body:
+ * {
+ *   "deviceId": "5C:CF:7F:12:34:56",
+ *   "reason": "Payment received"   (optional)
+ * }
+ */
+router.post('/reactivate', requireRole('operator'), validate({
+  body: { deviceId: DEVICE_ID, reason: REASON }
+}), async (req, res) => {
+  try {
+    const { deviceId: rawDeviceId, reason } = req.body;
+
+    const deviceId = parseDeviceId(rawDeviceId);
+    // ↑ Canonical form (format checked by validate)
+
+    if (hiddenFromAdmin(req, deviceId)) {
+      return res.status(400).json({ error: 'Device not found' });
+    }
+
+    const current = deviceModel.getDevice(deviceId);
+
+    if (current && current.status === 'revoked' && !hasRole(req.admin.role, 'security-admin')) {
+      return res.status(403).json({
+        error: 'Insufficient role',
+        requiredRole: 'security-admin'
+      });
+    }
+
+    const device = await deviceModel.reactivateDevice(deviceId, {
+      reason,
+      reactivatedBy: req.admin.id
+    });
+
+    auditLog.record({
+      event: 'device.reactivated',
+      deviceId,
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { reason, previousStatus: current.status }
+    });
+
+    res.json({
+      message: 'Device reactivated successfully',
+      device
     });
 
   } catch (error) {
@@ -60,14 +513,100 @@ router.post('/revoke', async (req, res) => {
 /**
  * GET /admin/devices
  * 
- * List all devices
+ * List devices, filtered, sorted and paginated
+ * 
+ * Query parameters (all optional):
+ *   tenantId          Only this tenant's devices (tenant admins: always their own)
+ *   group             Group(s), comma-separated - devices in any of them
+ *   status            Status(es), comma-separated (active,suspended,revoked)
+ *   firmwareVersion   Firmware version(s), comma-separated
+ *   hardwareVersion   Hardware version(s), comma-separated
+ *   metadata.<key>    Exact metadata match, e.g. metadata.location=Kitchen
+ *   q                 Free text in deviceId or metadata values
+ *   lastAuthBefore    ISO 8601 - not seen since (includes never-authenticated devices)
+ *   lastAuthAfter     ISO 8601 - seen since
+ *   notSeenForDays    Shortcut for lastAuthBefore = now - N days
+ *   sort              deviceId (default), registeredAt, lastAuthAt, suspendedAt,
+ *                     revokedAt, tokensRevokedAt
+ *   order             asc (default) or desc
+ *   limit             Page size, 1-1000 (default 100)
+ *   cursor            `nextCursor` from the previous page
+ * 
+ * Response:
+ * {
+ *   "count": 100,          (devices on this page)
+ *   "total": 2350,         (matching devices, all pages)
+ *   "devices": [ ... ],
+ *   "nextCursor": "eyJz..."  (null on the last page)
+ * }
  */
-router.get('/devices', (req, res) => {
-  const devices = deviceModel.listDevices();
-  res.json({
-    count: devices.length,
-    devices
-  });
+router.get('/devices', requireRole('viewer'), validate({
+  query: {
+    tenantId: TENANT_ID,
+    group: { type: 'list', items: GROUP_NAME },
+    status: { type: 'list', items: { type: 'string', enum: ['active', 'suspended', 'revoked'] } },
+    firmwareVersion: { type: 'list', items: FIRMWARE_VERSION },
+    hardwareVersion: { type: 'list', items: HARDWARE_VERSION },
+    q: { type: 'string', maxLength: 256 },
+    lastAuthBefore: { type: 'date' },
+    lastAuthAfter: { type: 'date' },
+    notSeenForDays: { type: 'number', min: 0 },
+    sort: { type: 'string', enum: SORTABLE_FIELDS },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    limit: PAGE_LIMIT,
+    cursor: { type: 'string', maxLength: 1024 }
+  }
+  // ↑ metadata.<key> filters are free-form
+}), (req, res) => {
+  try {
+    const {
+      tenantId, group, status, firmwareVersion, hardwareVersion, q,
+      lastAuthBefore, lastAuthAfter, notSeenForDays,
+      sort, order = 'asc', limit = 100, cursor
+    } = req.validated.query;
+
+    if (tenantId !== undefined && !canAccessTenant(req.admin, tenantId)) {
+      return res.status(404).json({ error: 'Tenant not found' });
+    }
+
+    const metadata = {};
+    for (const [key, value] of Object.entries(req.query)) {
+      if (key.startsWith('metadata.')) metadata[key.slice('metadata.'.length)] = value;
+    }
+
+    let before = lastAuthBefore ? new Date(lastAuthBefore) : undefined;
+    const after = lastAuthAfter ? new Date(lastAuthAfter) : undefined;
+
+    if (notSeenForDays !== undefined) {
+      before = new Date(Date.now() - notSeenForDays * 24 * 60 * 60 * 1000);
+    }
+
+    const { devices, total, nextCursor } = deviceModel.queryDevices({
+      tenantId: req.admin.tenantId || tenantId,
+      groups: group,
+      statuses: status,
+      firmwareVersions: firmwareVersion,
+      hardwareVersions: hardwareVersion,
+      metadata: Object.keys(metadata).length ? metadata : undefined,
+      lastAuthBefore: before,
+      lastAuthAfter: after,
+      text: q,
+      sort,
+      order,
+      limit,
+      cursor
+    });
+
+    res.json({
+      count: devices.length,
+      total,
+      devices,
+      nextCursor
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
 });
 
 /**
@@ -75,14 +614,1255 @@ router.get('/devices', (req, res) => {
  * 
  * Get device info
  */
-router.get('/devices/:deviceId', (req, res) => {
+router.get('/devices/:deviceId', requireRole('viewer'), (req, res) => {
   const device = deviceModel.getDevice(req.params.deviceId);
   
   if (!device) {
     return res.status(404).json({ error: 'Device not found' });
   }
 
-  res.json({ device });
+  res.json({
+    device,
+    effectivePermissions: deviceModel.resolvePermissions(req.params.deviceId)
+    // ↑ What the next token will carry: { scopes, deviceType, source }
+  });
+});
+
+/**
+ * PATCH /admin/devices/:deviceId
+ * 
+ * Update device metadata (JSON merge patch: null removes a field)
+ * 
+ * Request body:
+ * {
+ *   "metadata": {
+ *     "location": "Warehouse 2",
+ *     "customerId": null
+ *   }
+ * }
+ * 
+ * Changes are validated (see METADATA_SCHEMA in models/device.js) and
+ * appended to the device's metadataHistory.
+ */
+router.patch('/devices/:deviceId', requireRole('operator'), validate({
+  body: { metadata: { ...metadataRule(true), required: true } }
+}), async (req, res) => {
+  try {
+    const { metadata } = req.body;
+
+    const { device, changes } = await deviceModel.updateMetadata(req.params.deviceId, metadata, req.admin.id);
+
+    if (Object.keys(changes).length) {
+      auditLog.record({
+        event: 'device.metadata_updated',
+        deviceId: device.deviceId,
+        ip: req.ip,
+        actor: req.admin.id,
+        details: { changes: device.metadataHistory[device.metadataHistory.length - 1].changes }
+      });
+    }
+
+    res.json({
+      message: Object.keys(changes).length ? 'Metadata updated' : 'No changes',
+      device
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /admin/devices/:deviceId/permissions
+ * 
+ * Change the scopes embedded in a device's tokens (from its next token on)
+ * 
+ * Request body (omitted fields stay unchanged):
+ * {
+ *   "permissionTemplate": "relay",       // null = default template
+ *   "permissions": null                  // explicit scopes; null = use the template
+ * }
+ */
+router.put('/devices/:deviceId/permissions', requireRole('operator'), validate({
+  body: ACCESS
+}), async (req, res) => {
+  try {
+    const { permissionTemplate, permissions } = req.body;
+
+    const device = await deviceModel.setPermissions(req.params.deviceId, {
+      permissionTemplate,
+      permissions
+    });
+    const effectivePermissions = deviceModel.resolvePermissions(device.deviceId);
+
+    auditLog.record({
+      event: 'device.permissions_changed',
+      deviceId: device.deviceId,
+      ip: req.ip,
+      actor: req.admin.id,
+      details: {
+        permissionTemplate: device.permissionTemplate,
+        permissions: device.permissions,
+        effectiveScopes: effectivePermissions.scopes
+      }
+    });
+
+    res.json({
+      message: 'Permissions updated',
+      device,
+      effectivePermissions
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /admin/devices/:deviceId/groups
+ * 
+ * Replace a device's groups (groups of the device's tenant)
+ * 
+ * Request body:
+ * { "groups": ["kitchen", "beta-testers"] }     ([] = no groups)
+ */
+router.put('/devices/:deviceId/groups', requireRole('operator'), validate({
+  body: { groups: { ...GROUPS, required: true } }
+}), async (req, res) => {
+  try {
+    const { groups } = req.body;
+
+    const device = await deviceModel.setGroups(req.params.deviceId, groups);
+
+    auditLog.record({
+      event: 'device.groups_changed',
+      deviceId: device.deviceId,
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { tenantId: device.tenantId, groups: device.groups }
+    });
+
+    res.json({
+      message: 'Groups updated',
+      device
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/scopes
+ * 
+ * Scope catalogue: every permission a device token may carry
+ */
+router.get('/scopes', requireRole('viewer'), (req, res) => {
+  res.json({ scopes: permissionModel.listScopes() });
+});
+
+/**
+ * GET /admin/permission-templates
+ * 
+ * List permission templates and how many devices use each
+ */
+router.get('/permission-templates', requireRole('viewer'), (req, res) => {
+  const templates = permissionModel.listTemplates().map(template => ({
+    ...template,
+    deviceCount: deviceModel.countTemplateUsage(template.name)
+  }));
+
+  res.json({
+    count: templates.length,
+    templates
+  });
+});
+
+/**
+ * PUT /admin/permission-templates/:name
+ * 
+ * Create or replace a template; every device using it gets the
+ * new scopes on its next token
+ * 
+ * Request body:
+ * {
+ *   "scopes": ["telemetry:write"],
+ *   "description": "Sensors",      (optional)
+ *   "deviceType": "esp8266"        (optional)
+ * }
+ */
+router.put('/permission-templates/:name', requireRole('security-admin'), requireAllTenants, validate({
+  body: {
+    scopes: { ...SCOPES, required: true },
+    description: DESCRIPTION,
+    deviceType: { type: 'string', minLength: 1, maxLength: 64 }
+  }
+}), async (req, res) => {
+  try {
+    const template = await permissionModel.saveTemplate(req.params.name, req.body, req.admin.id);
+
+    auditLog.record({
+      event: 'permission_template.saved',
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { name: template.name, scopes: template.scopes, deviceType: template.deviceType }
+    });
+
+    res.json({
+      message: 'Permission template saved',
+      template
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/permission-templates/:name
+ * 
+ * Delete an unused template (the default template can't be deleted)
+ */
+router.delete('/permission-templates/:name', requireRole('security-admin'), requireAllTenants, async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    await permissionModel.deleteTemplate(name, deviceModel.countTemplateUsage(name));
+
+    auditLog.record({
+      event: 'permission_template.deleted',
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { name }
+    });
+
+    res.json({ message: 'Permission template deleted', name });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/firmware-policy
+ * 
+ * Current firmware policy (global, per-hardware and per-group rules;
+ * tenant admins only see their own groups' rules)
+ */
+router.get('/firmware-policy', requireRole('viewer'), (req, res) => {
+  const policy = firmwarePolicy.getPolicy();
+
+  res.json({
+    policy: {
+      ...policy,
+      groups: Object.fromEntries(
+        Object.entries(policy.groups).filter(([key]) => canAccessTenant(req.admin, key.split('/')[0]))
+      )
+    }
+  });
+});
+
+/**
+ * GET /admin/firmware-policy/evaluate?firmwareVersion=1.2.0&hardwareVersion=ESP-12F
+ * 
+ * Dry run: what the policy would do for this firmware/hardware
+ * (add tenantId and group=a,b to include group rules)
+ */
+router.get('/firmware-policy/evaluate', requireRole('viewer'), validate({
+  query: {
+    firmwareVersion: FIRMWARE_VERSION,
+    hardwareVersion: HARDWARE_VERSION,
+    tenantId: TENANT_ID,
+    group: { type: 'list', items: GROUP_NAME }
+  }
+}), (req, res) => {
+  const { firmwareVersion, hardwareVersion, group: groups = [] } = req.validated.query;
+  const tenantId = req.admin.tenantId || req.validated.query.tenantId;
+
+  res.json({
+    firmwareVersion: firmwareVersion || null,
+    hardwareVersion: hardwareVersion || null,
+    ...firmwarePolicy.evaluate({ firmwareVersion, hardwareVersion, tenantId, groups })
+  });
+});
+
+/**
+ * Set or remove a firmware policy rule, and audit the change
+ * 
+ * @param {object} req - Express request (body = rule, ignored when removing)
+ * @param {object} res - Express response
+ * @param {string|null} hardwareVersion - null = global rule
+ * @param {boolean} remove - Remove the rule instead of setting it
+ */
+async function updateFirmwareRule(req, res, hardwareVersion, remove) {
+  try {
+    if (remove) {
+      const existing = hardwareVersion === null
+        ? firmwarePolicy.getPolicy().global
+        : firmwarePolicy.getPolicy().hardware[hardwareVersion];
+
+      if (!existing) {
+        return res.status(400).json({ error: 'Rule not found' });
+      }
+    }
+
+    const rule = await firmwarePolicy.setRule(hardwareVersion, remove ? null : req.body, req.admin.id);
+
+    auditLog.record({
+      event: 'firmware_policy.updated',
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { scope: hardwareVersion === null ? 'global' : `hardware:${hardwareVersion}`, rule }
+    });
+
+    res.json({
+      message: remove ? 'Firmware rule removed' : 'Firmware rule saved',
+      rule,
+      policy: firmwarePolicy.getPolicy()
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+}
+
+/**
+ * PUT /admin/firmware-policy/global
+ * PUT /admin/firmware-policy/hardware/:hardwareVersion
+ * 
+ * Set the global rule, or the rule for one hardware version (replaces
+ * the global rule for that hardware). Applies from the next token.
+ * 
+ * Request body:
+ * {
+ *   "minVersion": "1.2.0",            (optional)
+ *   "blockedVersions": ["1.3.0"],     (optional)
+ *   "action": "restrict",             ("deny" or "restrict", default "deny")
+ *   "targetVersion": "1.4.2"          (optional - defaults to minVersion)
+ * }
+ */
+router.put('/firmware-policy/global', requireRole('security-admin'), requireAllTenants, validate({ body: FIRMWARE_RULE }), (req, res) =>
+  updateFirmwareRule(req, res, null, false)
+);
+
+router.put('/firmware-policy/hardware/:hardwareVersion', requireRole('security-admin'), requireAllTenants, validate({ body: FIRMWARE_RULE }), (req, res) =>
+  updateFirmwareRule(req, res, req.params.hardwareVersion, false)
+);
+
+/**
+ * DELETE /admin/firmware-policy/global
+ * DELETE /admin/firmware-policy/hardware/:hardwareVersion
+ * 
+ * Remove a rule (hardware without a rule falls back to the global rule)
+ */
+router.delete('/firmware-policy/global', requireRole('security-admin'), requireAllTenants, (req, res) =>
+  updateFirmwareRule(req, res, null, true)
+);
+
+router.delete('/firmware-policy/hardware/:hardwareVersion', requireRole('security-admin'), requireAllTenants, (req, res) =>
+  updateFirmwareRule(req, res, req.params.hardwareVersion, true)
+);
+
+/**
+ * POST /admin/ota/releases?version=1.4.0&hardwareVersions=ESP-12F,ESP-01&percentage=10
+ * 
+ * Upload a firmware release. Body: the image (Content-Type: application/octet-stream)
+ * 
+ * Query parameters:
+ *   version            (required)
+ *   hardwareVersions   Comma-separated (default: every hardware version)
+ *   minFromVersion     Oldest version allowed to update to this one
+ *   notes              Release notes
+ *   percentage         Initial rollout, 0-100 (default 0 = nobody yet)
+ *   groups             Comma-separated device groups ("tenant/group", or "group" in any tenant)
+ * 
+ * Headers (optional):
+ *   X-Firmware-Sha256     Checked against the received image
+ *   X-Firmware-Signature  Base64 signature from the build pipeline
+ *                         (required without OTA_SIGNING_KEY_PATH)
+ */
+router.post('/ota/releases', requireRole('security-admin'), requireAllTenants, validate({
+  query: {
+    version: { type: 'string', required: true, pattern: otaReleaseModel.VERSION_PATTERN, format: 'a version number such as 1.4.0' },
+    hardwareVersions: { type: 'list', items: HARDWARE_VERSION },
+    minFromVersion: POLICY_VERSION,
+    notes: { type: 'string', maxLength: 1024 },
+    percentage: { type: 'integer', min: 0, max: 100 },
+    groups: { type: 'list', items: ROLLOUT_GROUPS.items }
+  }
+  // ↑ The body is the image itself
+}), async (req, res) => {
+  try {
+    const { version, hardwareVersions, minFromVersion, notes, percentage, groups } = req.validated.query;
+
+    const release = await otaReleaseModel.createRelease(Buffer.isBuffer(req.body) ? req.body : null, {
+      version,
+      hardwareVersions,
+      minFromVersion,
+      notes,
+      rollout: { percentage, groups },
+      signature: req.get('X-Firmware-Signature'),
+      sha256: req.get('X-Firmware-Sha256')
+    }, req.admin.id);
+
+    auditLog.record({
+      event: 'ota_release.uploaded',
+      ip: req.ip,
+      actor: req.admin.id,
+      details: {
+        releaseId: release.id,
+        version: release.version,
+        hardwareVersions: release.hardwareVersions,
+        sha256: release.sha256,
+        rollout: release.rollout
+      }
+    });
+
+    res.status(201).json({
+      message: 'Release uploaded',
+      release
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/ota/releases?status=active
+ * 
+ * List releases (newest first)
+ */
+router.get('/ota/releases', requireRole('viewer'), validate({
+  query: { status: { type: 'list', items: { type: 'string', enum: RELEASE_STATUSES } } }
+}), (req, res) => {
+  const { status: statuses } = req.validated.query;
+
+  const releases = otaReleaseModel.listReleases()
+    .filter(release => !statuses || statuses.includes(release.status));
+
+  res.json({
+    count: releases.length,
+    releases
+  });
+});
+
+/**
+ * GET /admin/ota/releases/:releaseId
+ * 
+ * One release, with how many devices are in each update state
+ * (tenant admins: their tenant's devices only)
+ */
+router.get('/ota/releases/:releaseId', requireRole('viewer'), (req, res) => {
+  const release = otaReleaseModel.getRelease(req.params.releaseId);
+
+  if (!release) {
+    return res.status(404).json({ error: 'Release not found' });
+  }
+
+  res.json({
+    release,
+    devices: deviceModel.countOtaStates(release.id, req.admin.tenantId)
+  });
+});
+
+/**
+ * PATCH /admin/ota/releases/:releaseId
+ * 
+ * Widen/narrow a staged rollout, or pause/resume it
+ * 
+ * Request body (all optional):
+ * {
+ *   "percentage": 50,
+ *   "groups": ["beta-testers"],
+ *   "paused": false
+ * }
+ */
+router.patch('/ota/releases/:releaseId', requireRole('operator'), requireAllTenants, validate({
+  body: {
+    percentage: { type: 'integer', min: 0, max: 100 },
+    groups: ROLLOUT_GROUPS,
+    paused: { type: 'boolean' }
+  }
+}), async (req, res) => {
+  try {
+    const release = await otaReleaseModel.updateRollout(req.params.releaseId, req.body, req.admin.id);
+
+    auditLog.record({
+      event: 'ota_release.rollout_changed',
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { releaseId: release.id, status: release.status, rollout: release.rollout }
+    });
+
+    res.json({
+      message: 'Rollout updated',
+      release
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/ota/releases/:releaseId
+ * 
+ * Withdraw a release: no longer offered or downloadable, image deleted
+ * 
+ * Request body (optional):
+ * { "reason": "Bricks ESP-01 boards" }
+ */
+router.delete('/ota/releases/:releaseId', requireRole('security-admin'), requireAllTenants, validate({
+  body: { reason: REASON }
+}), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const release = await otaReleaseModel.withdrawRelease(req.params.releaseId, reason, req.admin.id);
+
+    auditLog.record({
+      event: 'ota_release.withdrawn',
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { releaseId: release.id, version: release.version, reason }
+    });
+
+    res.json({
+      message: 'Release withdrawn',
+      release
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/ota/signing-key
+ * 
+ * Public key devices use to verify release signatures (build it into the firmware)
+ */
+router.get('/ota/signing-key', requireRole('viewer'), (req, res) => {
+  const key = otaReleaseModel.signingKey();
+
+  if (!key) {
+    return res.status(404).json({ error: 'No OTA signing key configured (OTA_SIGNING_KEY_PATH)' });
+  }
+
+  res.json(key);
+});
+
+/**
+ * POST /admin/devices/:deviceId/rotate-secret
+ * 
+ * Issue a new secret; the old one keeps working for a grace period
+ * 
+ * Request body (all optional):
+ * {
+ *   "gracePeriodMs": 86400000,   // 0 = old secret stops immediately
+ *   "reason": "Secret leaked in support ticket"
+ * }
+ */
+router.post('/devices/:deviceId/rotate-secret', requireRole('operator'), validate({
+  body: { gracePeriodMs: { type: 'integer', min: 0 }, reason: REASON }
+}), async (req, res) => {
+  try {
+    const { gracePeriodMs, reason } = req.body || {};
+
+    const credentials = await deviceModel.rotateSecret(req.params.deviceId, {
+      gracePeriodMs,
+      reason,
+      rotatedBy: req.admin.id
+    });
+
+    auditLog.record({
+      event: 'device.secret_rotated',
+      deviceId: credentials.deviceId,
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { reason, graceExpiresAt: credentials.graceExpiresAt }
+    });
+
+    res.json({
+      message: 'Secret rotated successfully',
+      device: credentials
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/devices/:deviceId/revoke-tokens
+ * 
+ * Invalidate all tokens issued to a device so far, without changing its status
+ * (e.g. retry after a failed Firebase call, or force a suspected device to re-authenticate)
+ */
+router.post('/devices/:deviceId/revoke-tokens', requireRole('security-admin'), async (req, res) => {
+  try {
+    const { firebaseSessionsRevoked } = await deviceModel.revokeTokens(req.params.deviceId);
+
+    auditLog.record({
+      event: 'device.tokens_revoked',
+      deviceId: req.params.deviceId,
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { firebaseSessionsRevoked }
+    });
+
+    res.json({
+      message: 'Device tokens revoked',
+      deviceId: req.params.deviceId,
+      firebaseSessionsRevoked
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/devices/:deviceId/refresh-tokens
+ * 
+ * A device's refresh token families, newest first: state (active, expired,
+ * revoked), how many times each was rotated, when and from where it was
+ * last used. The tokens themselves are never shown.
+ */
+router.get('/devices/:deviceId/refresh-tokens', requireRole('viewer'), (req, res) => {
+  const { deviceId } = req.params;
+
+  if (!deviceModel.getDevice(deviceId)) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+
+  const families = refreshTokenModel.listFamilies(deviceId);
+
+  res.json({
+    deviceId,
+    count: families.length,
+    active: families.filter(family => family.state === 'active').length,
+    families
+  });
+});
+
+/**
+ * DELETE /admin/devices/:deviceId/refresh-tokens[/:familyId]
+ * 
+ * Revoke a device's refresh tokens - all of them, or one family.
+ * Tokens already issued stay valid until they expire
+ * (POST /admin/devices/:deviceId/revoke-tokens cuts off both).
+ * 
+ * Request body (optional):
+ * {
+ *   "reason": "Device sold"      (stored as the families' revokedReason)
+ * }
+ */
+async function revokeRefreshTokens(req, res) {
+  try {
+    const { deviceId, familyId } = req.params;
+    const { reason } = req.body;
+
+    if (!deviceModel.getDevice(deviceId)) {
+      throw new Error('Device not found');
+    }
+
+    const revoked = await refreshTokenModel.revokeDevice(deviceId, { familyId, reason, revokedBy: req.admin.id });
+    // ↑ Shown as revokedReason by GET .../refresh-tokens ("admin" without one)
+
+    auditLog.record({
+      event: 'device.refresh_tokens_revoked',
+      deviceId,
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { reason, familyIds: revoked }
+    });
+
+    res.json({
+      message: 'Refresh tokens revoked',
+      deviceId,
+      revoked: revoked.length
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+}
+
+router.delete('/devices/:deviceId/refresh-tokens', requireRole('security-admin'), validate({
+  body: { reason: REASON }
+}), revokeRefreshTokens);
+
+router.delete('/devices/:deviceId/refresh-tokens/:familyId', requireRole('security-admin'), validate({
+  body: { reason: REASON }
+}), revokeRefreshTokens);
+
+/**
+ * POST /admin/devices/:deviceId/certificate
+ * 
+ * Issue a new client certificate (MTLS_ENABLED) - renewal, lost key, or
+ * switching to a device-generated key. The previous certificate stops
+ * working at once.
+ * 
+ * Request body (optional):
+ * {
+ *   "publicKey": "-----BEGIN PUBLIC KEY-----..."   (EC P-256; omit = server generates the key)
+ * }
+ */
+router.post('/devices/:deviceId/certificate', requireRole('operator'), validate({
+  body: { publicKey: PUBLIC_KEY }
+}), async (req, res) => {
+  try {
+    const certificate = await deviceModel.issueCertificate(req.params.deviceId, {
+      publicKey: req.body.publicKey,
+      issuedBy: req.admin.id
+    });
+
+    auditLog.record({
+      event: 'device.certificate_issued',
+      deviceId: certificate.deviceId,
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { serialNumber: certificate.serialNumber, expiresAt: certificate.expiresAt }
+    });
+
+    res.json({
+      message: 'Certificate issued successfully',
+      certificate
+      // ↑ privateKey (if generated here) is never shown again
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/devices/:deviceId/certificate
+ * 
+ * Revoke a device's client certificate, the device stays active
+ * (POST /admin/revoke revokes the certificate along with the device)
+ * 
+ * Request body (optional):
+ * {
+ *   "reason": "Key extracted from returned unit"
+ * }
+ */
+router.delete('/devices/:deviceId/certificate', requireRole('security-admin'), validate({
+  body: { reason: REASON }
+}), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const certificate = await deviceModel.revokeCertificate(req.params.deviceId, {
+      reason,
+      revokedBy: req.admin.id
+    });
+
+    auditLog.record({
+      event: 'device.certificate_revoked',
+      deviceId: req.params.deviceId,
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { reason, serialNumber: certificate.serialNumber }
+    });
+
+    res.json({
+      message: 'Certificate revoked successfully',
+      deviceId: req.params.deviceId,
+      certificate
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/certificates
+ * 
+ * Device client certificates by expiry (soonest first)
+ * 
+ * Query parameters (optional):
+ *   state               valid, expiring, expired, revoked (comma-separated)
+ *   expiringWithinDays  Window for "expiring", 1-3650 (default 30)
+ * 
+ * Tenant admins only see their tenant's devices.
+ */
+router.get('/certificates', requireRole('viewer'), validate({
+  query: {
+    state: { type: 'list', items: { type: 'string', enum: CERTIFICATE_STATES } },
+    expiringWithinDays: { type: 'integer', min: 1, max: 3650 }
+  }
+}), (req, res) => {
+  const { state: states, expiringWithinDays = 30 } = req.validated.query;
+
+  const certificates = deviceModel.listCertificates({
+    tenantId: req.admin.tenantId || undefined,
+    states,
+    expiringWithinDays
+  });
+
+  const counts = Object.fromEntries(CERTIFICATE_STATES.map(name => [
+    name,
+    certificates.filter(certificate => certificate.state === name).length
+  ]));
+
+  res.json({
+    count: certificates.length,
+    counts,
+    certificates
+  });
+});
+
+/**
+ * GET /admin/ca
+ * 
+ * CA certificate devices use as trust anchor for the HTTPS listener
+ */
+router.get('/ca', requireRole('viewer'), (req, res) => {
+  const ca = certificateAuthority.authorityInfo();
+
+  if (!ca) {
+    return res.status(404).json({ error: 'Client certificates are disabled (MTLS_ENABLED)' });
+  }
+
+  res.json(ca);
+});
+
+/**
+ * GET /admin/token-keys
+ * 
+ * Self-hosted token signing keys (TOKEN_ISSUER=jwt), oldest first:
+ * next (published, not signing yet), current, retired (still verifying
+ * until removeAfter). Private keys are never returned.
+ */
+router.get('/token-keys', requireRole('viewer'), (req, res) => {
+  res.json({
+    issuer: TOKEN_ISSUER,
+    keys: listSigningKeys()
+  });
+});
+
+/**
+ * POST /admin/token-keys/rotate
+ * 
+ * Add a new signing key: published in the JWKS now, signing after
+ * JWKS_MAX_AGE_SECONDS; the old key is dropped once its tokens expired
+ */
+router.post('/token-keys/rotate', requireRole('security-admin'), requireAllTenants, (req, res) => {
+  try {
+    const key = rotateSigningKey(req.admin.id);
+
+    auditLog.record({
+      event: 'token_key.rotated',
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { kid: key.kid, alg: key.alg, activatesAt: key.activatesAt }
+    });
+
+    res.json({
+      message: 'Signing key rotated',
+      key
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/devices/:deviceId/unlock
+ * 
+ * Clear failed-attempt counters and lift an automatic lockout
+ * (manual suspensions and revocations stay in place)
+ */
+router.post('/devices/:deviceId/unlock', requireRole('operator'), async (req, res) => {
+  try {
+    const device = await deviceModel.unlockDevice(req.params.deviceId, req.admin.id);
+
+    auditLog.record({
+      event: 'device.unlocked',
+      deviceId: device.deviceId,
+      ip: req.ip,
+      actor: req.admin.id
+    });
+
+    res.json({
+      message: 'Device unlocked successfully',
+      device
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/tenants
+ * 
+ * List tenants with their device counts (tenant admins: their own tenant)
+ */
+router.get('/tenants', requireRole('viewer'), (req, res) => {
+  const counts = deviceModel.countByTenant();
+
+  const tenants = tenantModel.listTenants()
+    .filter(tenant => canAccessTenant(req.admin, tenant.tenantId))
+    .map(tenant => ({ ...tenant, deviceCount: counts[tenant.tenantId] || 0 }));
+
+  res.json({
+    count: tenants.length,
+    tenants
+  });
+});
+
+/**
+ * PUT /admin/tenants/:tenantId
+ * 
+ * Create a tenant, or rename it
+ * 
+ * Request body:
+ * { "name": "Acme Corp" }     (optional - defaults to the id)
+ */
+router.put('/tenants/:tenantId', requireRole('security-admin'), requireAllTenants, validate({
+  body: { name: { type: 'string', minLength: 1, maxLength: 128 } }
+}), async (req, res) => {
+  try {
+    const tenant = await tenantModel.saveTenant(req.params.tenantId, req.body || {}, req.admin.id);
+
+    auditLog.record({
+      event: 'tenant.saved',
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { tenantId: tenant.tenantId, name: tenant.name }
+    });
+
+    res.json({
+      message: 'Tenant saved',
+      tenant
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/tenants/:tenantId/groups
+ * 
+ * List a tenant's groups with their device counts
+ */
+router.get('/tenants/:tenantId/groups', requireRole('viewer'), (req, res) => {
+  try {
+    const { tenantId } = req.params;
+
+    const groups = tenantModel.listGroups(tenantId).map(group => ({
+      ...group,
+      deviceCount: deviceModel.devicesInGroup(tenantId, group.name).length,
+      firmwareRule: firmwarePolicy.getPolicy().groups[`${tenantId}/${group.name}`] || null
+    }));
+
+    res.json({
+      tenantId,
+      count: groups.length,
+      groups
+    });
+
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /admin/tenants/:tenantId/groups/:group
+ * 
+ * Create a group, or change its description
+ * 
+ * Request body:
+ * { "description": "Kitchen appliances" }     (optional)
+ */
+router.put('/tenants/:tenantId/groups/:group', requireRole('operator'), validate({
+  body: { description: DESCRIPTION }
+}), async (req, res) => {
+  try {
+    const { tenantId } = req.params;
+    const group = await tenantModel.saveGroup(tenantId, req.params.group, req.body || {}, req.admin.id);
+
+    auditLog.record({
+      event: 'group.saved',
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { tenantId, group: group.name, description: group.description }
+    });
+
+    res.json({
+      message: 'Group saved',
+      tenantId,
+      group
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/tenants/:tenantId/groups/:group
+ * 
+ * Delete a group: its devices leave it, its firmware rule is removed
+ */
+router.delete('/tenants/:tenantId/groups/:group', requireRole('operator'), async (req, res) => {
+  try {
+    const { tenantId, group } = req.params;
+
+    await tenantModel.deleteGroup(tenantId, group);
+    const devicesRemoved = await deviceModel.removeGroupFromDevices(tenantId, group);
+
+    const hadRule = Boolean(firmwarePolicy.getPolicy().groups[`${tenantId}/${group}`]);
+    if (hadRule) {
+      await firmwarePolicy.setGroupRule(tenantId, group, null, req.admin.id);
+    }
+
+    auditLog.record({
+      event: 'group.deleted',
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { tenantId, group, devicesRemoved, firmwareRuleRemoved: hadRule }
+    });
+
+    res.json({
+      message: 'Group deleted',
+      tenantId,
+      group,
+      devicesRemoved
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Device ids of an existing group, or null after answering 404
+ * 
+ * @param {object} req - Express request (params tenantId, group)
+ * @param {object} res - Express response
+ * @returns {string[]|null} Device ids
+ */
+function groupMembers(req, res) {
+  const { tenantId, group } = req.params;
+
+  if (!tenantModel.hasGroup(tenantId, group)) {
+    res.status(404).json({ error: 'Group not found' });
+    return null;
+  }
+
+  return deviceModel.devicesInGroup(tenantId, group);
+}
+
+/**
+ * POST /admin/tenants/:tenantId/groups/:group/revoke
+ * 
+ * Revoke every device in a group (already revoked devices are skipped)
+ * 
+ * Request body (optional):
+ * { "reason": "Customer contract ended" }
+ */
+router.post('/tenants/:tenantId/groups/:group/revoke', requireRole('security-admin'), validate({
+  body: { reason: REASON }
+}), async (req, res) => {
+  try {
+    const deviceIds = groupMembers(req, res);
+    if (!deviceIds) return;
+
+    const { tenantId, group } = req.params;
+    const { reason } = req.body || {};
+
+    const { revoked, skipped } = await deviceModel.revokeDevices(deviceIds, reason, req.admin.id);
+
+    for (const { deviceId, firebaseSessionsRevoked } of revoked) {
+      auditLog.record({
+        event: 'device.revoked',
+        deviceId,
+        ip: req.ip,
+        actor: req.admin.id,
+        details: { reason, group: `${tenantId}/${group}`, firebaseSessionsRevoked }
+      });
+    }
+
+    res.json({
+      message: `${revoked.length} device(s) revoked`,
+      revoked,
+      skipped
+      // ↑ firebaseSessionsRevoked false = retry with POST /admin/devices/:deviceId/revoke-tokens
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /admin/tenants/:tenantId/groups/:group/permissions
+ * 
+ * Change the token scopes of every device in a group
+ * (same body as PUT /admin/devices/:deviceId/permissions)
+ */
+router.put('/tenants/:tenantId/groups/:group/permissions', requireRole('operator'), validate({
+  body: ACCESS
+}), async (req, res) => {
+  try {
+    const deviceIds = groupMembers(req, res);
+    if (!deviceIds) return;
+
+    const { permissionTemplate, permissions } = req.body;
+
+    const devices = await deviceModel.setPermissionsForDevices(deviceIds, {
+      permissionTemplate,
+      permissions
+    });
+
+    for (const device of devices) {
+      auditLog.record({
+        event: 'device.permissions_changed',
+        deviceId: device.deviceId,
+        ip: req.ip,
+        actor: req.admin.id,
+        details: {
+          permissionTemplate: device.permissionTemplate,
+          permissions: device.permissions,
+          effectiveScopes: deviceModel.resolvePermissions(device.deviceId).scopes,
+          group: `${req.params.tenantId}/${req.params.group}`
+        }
+      });
+    }
+
+    res.json({
+      message: `Permissions updated for ${devices.length} device(s)`,
+      deviceIds
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /admin/tenants/:tenantId/groups/:group/firmware-policy
+ * DELETE /admin/tenants/:tenantId/groups/:group/firmware-policy
+ * 
+ * Set or remove the group's firmware rule (same body as
+ * PUT /admin/firmware-policy/global). Replaces the hardware and
+ * global rules for the group's devices.
+ */
+async function updateGroupFirmwareRule(req, res, remove) {
+  try {
+    const { tenantId, group } = req.params;
+    const key = `${tenantId}/${group}`;
+
+    if (!tenantModel.hasGroup(tenantId, group)) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    if (remove && !firmwarePolicy.getPolicy().groups[key]) {
+      return res.status(400).json({ error: 'Rule not found' });
+    }
+
+    const rule = await firmwarePolicy.setGroupRule(tenantId, group, remove ? null : req.body, req.admin.id);
+
+    auditLog.record({
+      event: 'firmware_policy.updated',
+      ip: req.ip,
+      actor: req.admin.id,
+      details: { scope: `group:${key}`, rule }
+    });
+
+    res.json({
+      message: remove ? 'Firmware rule removed' : 'Firmware rule saved',
+      rule
+    });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+}
+
+router.put('/tenants/:tenantId/groups/:group/firmware-policy', requireRole('security-admin'), validate({ body: FIRMWARE_RULE }), (req, res) =>
+  updateGroupFirmwareRule(req, res, false)
+);
+
+router.delete('/tenants/:tenantId/groups/:group/firmware-policy', requireRole('security-admin'), (req, res) =>
+  updateGroupFirmwareRule(req, res, true)
+);
+
+/**
+ * GET /admin/audit
+ * 
+ * Query the authentication audit log (oldest first)
+ * 
+ * Tenant admins only see entries about their tenant's devices.
+ * 
+ * Query parameters (all optional):
+ *   deviceId  Only entries for this device
+ *   event     Event type(s), comma-separated (e.g. auth.failed,device.revoked)
+ *   from, to  ISO 8601 time range (inclusive)
+ *   limit     Page size, 1-1000 (default 100)
+ *   cursor    `nextCursor` from the previous page
+ * 
+ * Response:
+ * {
+ *   "count": 100,
+ *   "entries": [ ... ],
+ *   "nextCursor": "eyJvZmZzZXQiOjE1MzQ..."   (null on the last page)
+ * }
+ */
+router.get('/audit', requireRole('operator'), validate({
+  query: {
+    deviceId: { type: 'string', maxLength: 64 },
+    // ↑ Not type deviceId: entries written before ids were canonicalised can still be found
+    event: { type: 'list', items: { type: 'string', enum: AUDIT_EVENTS } },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    limit: PAGE_LIMIT,
+    cursor: { type: 'string', maxLength: 256 }
+  }
+}), async (req, res) => {
+  try {
+    const { deviceId, event, from, to, limit = 100, cursor } = req.validated.query;
+
+    const { entries, nextCursor } = await auditLog.query({
+      deviceId: deviceId && (canonicalDeviceId(deviceId) || deviceId),
+      // ↑ Raw value as fallback: entries written before ids were canonicalised
+      deviceIds: req.admin.tenantId ? new Set(deviceModel.devicesInTenant(req.admin.tenantId)) : undefined,
+      events: event,
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      limit,
+      cursor
+    });
+
+    res.json({
+      count: entries.length,
+      entries,
+      nextCursor
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ error: error.message });
+    }
+    log.error('Failed to read audit log', { error });
+    res.status(500).json({ error: 'Failed to read audit log' });
+  }
+});
+
+/**
+ * GET /admin/rekey-status
+ * 
+ * How many devices are still hashed with an old SERVER_SECRET
+ */
+router.get('/rekey-status', requireRole('security-admin'), requireAllTenants, (req, res) => {
+  res.json(deviceModel.rekeyStatus());
 });
 
 module.exports = router;
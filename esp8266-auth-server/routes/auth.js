@@ -1,16 +1,297 @@
 /**
  * Authentication Routes
  * Handles device token requests
+ * 
+ * Three ways for a device to get a token:
+ * - Client certificate (POST /auth/token over the HTTPS listener, MTLS_ENABLED)
+ *   No secret at all - see lib/certificateAuthority.js
+ * - Challenge-response (POST /auth/challenge → POST /auth/challenge/response)
+ *   The secret never leaves the device
+ * - Legacy secret (POST /auth/token)
+ *   Secret sent in the request body; for older firmware, disable with
+ *   ALLOW_LEGACY_SECRET_AUTH=false once the fleet is upgraded
+ *
+ * Each of them also returns a refresh token: POST /auth/refresh trades it
+ * for a new token (and a new refresh token) without the device's
+ * credentials - see models/refreshToken.js
+ *
+ * Request bodies are validated before any secret or signature is looked
+ * at (middleware/validate.js): wrong types get a 400 "validation_failed".
  */
 
 const express = require('express');
 const router = express.Router();
-const admin = require('firebase-admin');
 const deviceModel = require('../models/device');
+const challengeModel = require('../models/challenge');
+const refreshTokenModel = require('../models/refreshToken');
+const { REFRESH_TOKENS_ENABLED } = refreshTokenModel;
+const auditLog = require('../models/auditLog');
+const firmwarePolicy = require('../models/firmwarePolicy');
+const { OTA_SCOPE } = firmwarePolicy;
+const { checkDeviceToken } = require('../middleware/deviceAuth');
+const { validate } = require('../middleware/validate');
+const { canonicalDeviceId } = require('../lib/deviceId');
+const { clientCertificate } = require('../lib/certificateAuthority');
+const { tokenIssuer, verifyDeviceToken } = require('../tokens');
+const metrics = require('../lib/metrics');
+const log = require('../lib/logger').child({ component: 'auth' });
+
+const ALLOW_LEGACY_SECRET_AUTH = process.env.ALLOW_LEGACY_SECRET_AUTH !== 'false';
+// ↑ Legacy /auth/token stays enabled unless explicitly turned off
+
+const CHALLENGE_MAX_SKEW_MS = parseInt(process.env.CHALLENGE_MAX_SKEW_MS) || 5 * 60 * 1000;
+// ↑ Max difference between device timestamp and server clock: 5 minutes
+
+// Field rules (see lib/schema.js). Unknown body fields are accepted on
+// these routes: newer firmware may send fields this server doesn't know.
+const DEVICE_ID = { type: 'deviceId', required: true };
+const FIRMWARE_VERSION = { type: 'string', maxLength: 32 };
+const HEX_VALUE = { type: 'string', required: true, maxLength: 128 };
+// ↑ Nonces and signatures: 64 hex characters
+
+/**
+ * Read the TLS client certificate, if any, into req.clientCertificate
+ * (null over plain HTTP or when the device sent none)
+ */
+function readClientCertificate(req, res, next) {
+  req.clientCertificate = clientCertificate(req);
+  next();
+}
+
+/**
+ * Answer 403 while legacy secret authentication is disabled
+ * (before validation: the route is off, whatever the body)
+ * Certificate requests are not affected.
+ */
+function requireLegacySecretAuth(req, res, next) {
+  if (!ALLOW_LEGACY_SECRET_AUTH && !req.clientCertificate) {
+    return res.status(403).json({
+      error: 'Secret-based authentication is disabled, use /auth/challenge'
+    });
+  }
+  next();
+}
+
+/**
+ * Record a failed authentication in the audit log (and metrics)
+ * 
+ * @param {object} req - Express request
+ * @param {string} deviceId - Normalized device identifier
+ * @param {string} reason - Why it failed (e.g. unknown-device, bad-secret)
+ * @param {number} startTime - Request start (ms), for latency
+ */
+function auditFailure(req, deviceId, reason, startTime) {
+  metrics.authFailures.inc({ reason });
+
+  auditLog.record({
+    event: 'auth.failed',
+    deviceId,
+    ip: req.ip,
+    firmwareVersion: req.body.firmwareVersion,
+    latencyMs: Date.now() - startTime,
+    reason
+  });
+}
+
+/**
+ * Answer 429 if the device is backing off / locked after failed attempts
+ * 
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} deviceId - Normalized device identifier
+ * @param {number} startTime - Request start (ms), for latency
+ * @returns {boolean} True if a response was sent (caller must stop)
+ */
+function rejectIfLockedOut(req, res, deviceId, startTime) {
+  const retryAfterMs = deviceModel.lockoutRemaining(deviceId);
+  if (retryAfterMs <= 0) return false;
+
+  auditFailure(req, deviceId, 'locked-out', startTime);
+
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    error: 'Too many failed attempts, try again later',
+    retryAfter
+  });
+  return true;
+}
+
+/**
+ * Issue a token for a verified device and send it - a Firebase custom
+ * token, or a self-hosted JWT with TOKEN_ISSUER=jwt (see tokens/index.js)
+ * Shared by the certificate, legacy, challenge-response and refresh flows
+ * 
+ * FIRMWARE POLICY (see models/firmwarePolicy.js):
+ * - deny:     403, no token
+ * - restrict: token with only the "ota:update" scope
+ * Either way the response carries `update` with the version to install.
+ * 
+ * REFRESH TOKEN: a new family after a credential login, the family's next
+ * token for POST /auth/refresh (rotated only once the token is signed).
+ * 
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} device - Verified device record
+ * @param {string} firmwareVersion - Version reported by the device (optional)
+ * @param {number} startTime - Request start (ms), for latency logging
+ * @param {object} [refresh] - POST /auth/refresh: { family, refreshToken } from verify()
+ */
+async function issueToken(req, res, device, firmwareVersion, startTime, refresh) {
+  const { deviceId } = device;
+  const flow = refresh ? 'refresh' : req.clientCertificate ? 'certificate' : req.path === '/token' ? 'secret' : 'challenge';
+  const { scopes, deviceType } = deviceModel.resolvePermissions(deviceId);
+  // ↑ Per-device scopes, or those of its permission template
+
+  const currentVersion = firmwareVersion || device.metadata.firmwareVersion;
+  const verdict = firmwarePolicy.evaluate({
+    firmwareVersion: currentVersion,
+    hardwareVersion: device.metadata.hardwareVersion,
+    tenantId: device.tenantId,
+    groups: device.groups
+  });
+
+  const update = verdict.allowed ? undefined : {
+    reason: verdict.reason,
+    currentVersion,
+    targetVersion: verdict.targetVersion
+  };
+  // ↑ Tells the device what to install
+
+  if (update && verdict.action === 'deny') {
+    auditFailure(req, deviceId, 'firmware-policy', startTime);
+
+    return res.status(403).json({
+      error: 'Firmware version not allowed',
+      update
+    });
+  }
+
+  // Create custom claims (embedded in token)
+  const additionalClaims = {
+    deviceType,
+    deviceId,
+    tenantId: device.tenantId,
+    // ↑ Lets database rules keep each customer's data apart
+    permissions: update ? [OTA_SCOPE] : scopes,
+    // ↑ Restricted token: firmware update only
+    firmwareVersion: currentVersion,
+    authTimestamp: Date.now()
+  };
+
+  if (update) {
+    additionalClaims.restricted = 'firmware-policy';
+  }
+
+  // Sign the token: Firebase service account key, or our own JWT key
+  const endTimer = metrics.customTokenDuration.startTimer();
+  let token;
+  try {
+    token = await tokenIssuer.issue(deviceId, additionalClaims);
+    // ↑ { customToken, expiresIn } or { accessToken, tokenType, expiresIn }
+  } finally {
+    endTimer();
+  }
+
+  let refreshed;
+  if (refresh) {
+    refreshed = refreshTokenModel.rotate(refresh.family, refresh.refreshToken, req.ip);
+
+    if (!refreshed) {
+      auditFailure(req, deviceId, 'refresh-token-reused', startTime);
+      return res.status(401).json({ error: 'Invalid refresh token' });
+      // ↑ Used by another request meanwhile - the family is now revoked
+    }
+  } else if (REFRESH_TOKENS_ENABLED) {
+    refreshed = refreshTokenModel.issue(deviceId, { via: flow });
+  }
+  // ↑ { refreshToken, refreshExpiresIn }
+
+  // Update device last authentication time (and persist the reported firmware version)
+  await deviceModel.updateLastAuth(deviceId, { firmwareVersion });
+
+  // Log successful authentication
+  const duration = Date.now() - startTime;
+  log.info('Token issued', { deviceId, durationMs: duration, restricted: Boolean(update) });
+
+  metrics.tokensIssued.inc({ flow, restricted: Boolean(update) });
+
+  auditLog.record({
+    event: 'token.issued',
+    deviceId,
+    ip: req.ip,
+    firmwareVersion: additionalClaims.firmwareVersion,
+    latencyMs: duration,
+    details: update || refresh ? {
+      flow: refresh ? 'refresh' : undefined,
+      restricted: update ? 'firmware-policy' : undefined,
+      reason: update ? update.reason : undefined
+    } : undefined
+  });
+
+  // Return token
+  res.json({
+    ...token,
+    ...refreshed,
+    message: update ? 'Firmware update required, token restricted to OTA' : 'Authentication successful',
+    restricted: update ? true : undefined,
+    update
+  });
+}
+
+const validateSecretRequest = validate({
+  body: {
+    deviceId: DEVICE_ID,
+    secret: { type: 'string', required: true, maxLength: 256 },
+    firmwareVersion: FIRMWARE_VERSION
+  }
+}, { allowUnknown: true });
+
+const validateCertificateRequest = validate({
+  body: {
+    deviceId: { type: 'deviceId' },
+    firmwareVersion: FIRMWARE_VERSION
+  }
+}, { allowUnknown: true });
+// ↑ The certificate names the device; a body deviceId must match it
+
+/**
+ * POST /auth/token with a client certificate (HTTPS listener, MTLS_ENABLED)
+ * 
+ * @param {object} req - Express request (req.clientCertificate set)
+ * @param {object} res - Express response
+ * @param {number} startTime - Request start (ms), for latency
+ */
+async function certificateToken(req, res, startTime) {
+  const { fingerprint, commonName, authorized, authorizationError } = req.clientCertificate;
+  const deviceId = canonicalDeviceId(commonName);
+
+  if (!authorized || !deviceId) {
+    auditFailure(req, deviceId || commonName, authorizationError === 'CERT_HAS_EXPIRED' ? 'certificate-expired' : 'bad-certificate', startTime);
+    return res.status(401).json({ error: 'Invalid client certificate' });
+    // ↑ Not issued by our CA, outside its validity period, or not a device certificate
+  }
+
+  if (req.body.deviceId !== undefined && canonicalDeviceId(req.body.deviceId) !== deviceId) {
+    auditFailure(req, deviceId, 'bad-certificate', startTime);
+    return res.status(401).json({ error: 'deviceId does not match the client certificate' });
+  }
+
+  const { device, reason } = deviceModel.verifyCertificate(deviceId, fingerprint);
+
+  if (!device) {
+    auditFailure(req, deviceId, reason, startTime);
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+
+  await issueToken(req, res, device, req.body.firmwareVersion, startTime);
+}
 
 /**
  * POST /auth/token
  * 
+ * Legacy flow - prefer /auth/challenge for new firmware
+ * 
  * Request body:
  * {
  *   "deviceId": "5C:CF:7F:12:34:56",
@@ -18,69 +299,244 @@ const deviceModel = require('../models/device');
  *   "firmwareVersion": "1.2.3" (optional)
  * }
  * 
+ * With a client certificate (HTTPS listener) the secret is not sent and
+ * deviceId is optional: { "firmwareVersion": "1.2.3" }
+ * 
  * Response:
  * {
  *   "customToken": "eyJhbGciOiJSUzI1NiIs...",
+ *   "expiresIn": 3600,
+ *   "refreshToken": "3f2a...c81d.9b4e...07aa",   (unless REFRESH_TOKENS_ENABLED=false)
+ *   "refreshExpiresIn": 2592000
+ * }
+ * 
+ * With TOKEN_ISSUER=jwt, a self-hosted token instead of the custom token:
+ * {
+ *   "accessToken": "eyJhbGciOiJFUzI1NiIs...",
+ *   "tokenType": "Bearer",
  *   "expiresIn": 3600
  * }
  */
-router.post('/token', async (req, res) => {
+router.post('/token', readClientCertificate, requireLegacySecretAuth, (req, res, next) => {
+  (req.clientCertificate ? validateCertificateRequest : validateSecretRequest)(req, res, next);
+}, async (req, res) => {
   const startTime = Date.now();
-  
+
   try {
+    if (req.clientCertificate) {
+      return await certificateToken(req, res, startTime);
+    }
+
     const { deviceId, secret, firmwareVersion } = req.body;
 
-    // Validate input
-    if (!deviceId || !secret) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: deviceId, secret' 
-      });
-    }
+    // Canonical id: "5c-cf-7f-12-34-56" → "5C:CF:7F:12:34:56" (see lib/deviceId.js)
+    const normalizedDeviceId = canonicalDeviceId(deviceId);
 
-    // Normalize MAC address format
-    const normalizedDeviceId = deviceId.toUpperCase().replace(/[:-]/g, ':');
+    // Per-device brute-force protection (the IP rate limiter can be dodged)
+    if (rejectIfLockedOut(req, res, normalizedDeviceId, startTime)) return;
 
     // Verify device credentials
-    const device = deviceModel.verifyDevice(normalizedDeviceId, secret);
+    const { device, reason } = deviceModel.verifyDevice(normalizedDeviceId, secret);
     
     if (!device) {
+      auditFailure(req, normalizedDeviceId, reason, startTime);
+
       return res.status(401).json({ 
         error: 'Invalid credentials' 
       });
     }
 
-    // Create custom claims (embedded in token)
-    const additionalClaims = {
-      deviceType: 'esp8266',
-      deviceId: normalizedDeviceId,
-      permissions: ['switches:read', 'switches:write'],
-      firmwareVersion: firmwareVersion || device.metadata.firmwareVersion,
-      authTimestamp: Date.now()
-    };
-
-    // Create custom token using Firebase Admin SDK
-    // This token is signed with the service account's private key
-    const customToken = await admin.auth().createCustomToken(
-      normalizedDeviceId,
-      additionalClaims
-    );
-
-    // Update device last authentication time
-    await deviceModel.updateLastAuth(normalizedDeviceId);
-
-    // Log successful authentication
-    const duration = Date.now() - startTime;
-    console.log(`✓ Token issued for ${normalizedDeviceId} (${duration}ms)`);
-
-    // Return token
+    await issueToken(req, res, device, firmwareVersion, startTime);
+
+  } catch (error) {
+    log.error('Token creation failed', { error });
+    res.status(500).json({ 
+      error: 'Failed to create token',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * POST /auth/challenge
+ * 
+ * Step 1 of challenge-response: get a single-use nonce
+ * 
+ * Request body:
+ * {
+ *   "deviceId": "5C:CF:7F:12:34:56"
+ * }
+ * 
+ * Response:
+ * {
+ *   "nonce": "9f86d081884c7d65...",
+ *   "expiresIn": 60
+ * }
+ * 
+ * A nonce is returned even for unknown devices, so this endpoint
+ * can't be used to discover which deviceIds are registered.
+ */
+router.post('/challenge', validate({
+  body: { deviceId: DEVICE_ID }
+}, { allowUnknown: true }), (req, res) => {
+  const normalizedDeviceId = canonicalDeviceId(req.body.deviceId);
+
+  try {
+    const { nonce, expiresAt } = challengeModel.issue(normalizedDeviceId);
+
     res.json({
-      customToken,
-      expiresIn: 3600, // Token valid for 1 hour
-      message: 'Authentication successful'
+      nonce,
+      expiresIn: Math.floor((expiresAt - Date.now()) / 1000)
+    });
+
+  } catch (error) {
+    res.status(503).json({ error: error.message });
+    // ↑ Too many outstanding challenges - device should retry later
+  }
+});
+
+/**
+ * POST /auth/challenge/response
+ * 
+ * Step 2 of challenge-response: prove possession of the secret
+ * 
+ * The device computes (see README "Challenge-Response Authentication"):
+ *   challengeKey = HMAC-SHA256(key = secret, "esp8266-auth/challenge-key")
+ *   signature    = HMAC-SHA256(key = challengeKey, nonce + ":" + deviceId + ":" + timestamp)
+ * (deviceId in canonical form, e.g. "5C:CF:7F:12:34:56" - see lib/deviceId.js)
+ * 
+ * Request body:
+ * {
+ *   "deviceId": "5C:CF:7F:12:34:56",
+ *   "nonce": "9f86d081884c7d65...",
+ *   "timestamp": 1705314600,        (unix seconds)
+ *   "signature": "b5bb9d8014a0f9b1...",
+ *   "firmwareVersion": "1.2.3"      (optional)
+ * }
+ * 
+ * Response: same as POST /auth/token
+ */
+router.post('/challenge/response', validate({
+  body: {
+    deviceId: DEVICE_ID,
+    nonce: HEX_VALUE,
+    timestamp: { type: 'integer', required: true, min: 0 },
+    signature: HEX_VALUE,
+    firmwareVersion: FIRMWARE_VERSION
+  }
+}, { allowUnknown: true }), async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { deviceId, nonce, timestamp, signature, firmwareVersion } = req.body;
+
+    const normalizedDeviceId = canonicalDeviceId(deviceId);
+
+    if (!challengeModel.consume(nonce, normalizedDeviceId)) {
+      auditFailure(req, normalizedDeviceId, 'invalid-nonce', startTime);
+      return res.status(401).json({ error: 'Invalid or expired nonce' });
+      // ↑ Unknown, already used, expired, or issued to another device
+    }
+
+    if (Math.abs(timestamp * 1000 - Date.now()) > CHALLENGE_MAX_SKEW_MS) {
+      auditFailure(req, normalizedDeviceId, 'timestamp-skew', startTime);
+      return res.status(401).json({ error: 'Timestamp out of range' });
+      // ↑ Device clock wrong (check NTP sync) or response held back
+    }
+
+    if (rejectIfLockedOut(req, res, normalizedDeviceId, startTime)) return;
+
+    const message = `${nonce}:${normalizedDeviceId}:${timestamp}`;
+    const { device, reason } = deviceModel.verifyChallengeResponse(normalizedDeviceId, message, signature);
+
+    if (!device) {
+      auditFailure(req, normalizedDeviceId, reason, startTime);
+      return res.status(401).json({ 
+        error: 'Invalid credentials' 
+      });
+    }
+
+    await issueToken(req, res, device, firmwareVersion, startTime);
+
+  } catch (error) {
+    log.error('Token creation failed', { error });
+    res.status(500).json({ 
+      error: 'Failed to create token',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+});
+
+/**
+ * POST /auth/refresh
+ * 
+ * Trade a refresh token for a new token - no secret, challenge or
+ * certificate. The refresh token is rotated: keep the new one, the
+ * presented one is dead. Presenting a rotated token again revokes the
+ * whole family (reuse detection) and the device must log in again.
+ * 
+ * Request body:
+ * {
+ *   "deviceId": "5C:CF:7F:12:34:56",
+ *   "refreshToken": "3f2a...c81d.9b4e...07aa",
+ *   "firmwareVersion": "1.2.3"      (optional)
+ * }
+ * 
+ * Response: same as POST /auth/token, with the next refreshToken
+ * 401 = refresh token unusable: log in with the credentials again
+ *       (with MTLS_REQUIRE_CERT, only families started with the device's
+ *       certificate are accepted once it has one)
+ * 429 = device locked out after failed logins (like the other flows)
+ */
+router.post('/refresh', (req, res, next) => {
+  if (!REFRESH_TOKENS_ENABLED) {
+    return res.status(403).json({ error: 'Refresh tokens are disabled, use /auth/challenge' });
+  }
+  next();
+}, validate({
+  body: {
+    deviceId: DEVICE_ID,
+    refreshToken: { type: 'string', required: true, maxLength: 256 },
+    firmwareVersion: FIRMWARE_VERSION
+  }
+}, { allowUnknown: true }), async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { deviceId, refreshToken, firmwareVersion } = req.body;
+
+    const normalizedDeviceId = canonicalDeviceId(deviceId);
+
+    if (rejectIfLockedOut(req, res, normalizedDeviceId, startTime)) return;
+    // ↑ A lockout stops refreshing too, not just logins with the secret
+
+    const { family, reason } = refreshTokenModel.verify(refreshToken, normalizedDeviceId);
+
+    if (!family) {
+      auditFailure(req, normalizedDeviceId, reason, startTime);
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const { device, reason: deviceReason } = deviceModel.verifyRefresh(normalizedDeviceId, family);
+
+    if (!device) {
+      auditFailure(req, normalizedDeviceId, deviceReason, startTime);
+      return res.status(401).json({ error: 'Invalid credentials' });
+      // ↑ Same checks as a login: status (expired suspensions released),
+      //   certificate required
+    }
+
+    if (deviceModel.isTokenRevoked(normalizedDeviceId, Date.parse(family.createdAt) / 1000)) {
+      auditFailure(req, normalizedDeviceId, 'refresh-token-revoked', startTime);
+      return res.status(401).json({ error: 'Invalid refresh token' });
+      // ↑ Normally revoked along with the tokens already; this also covers
+      //   revocations made by another process (e.g. the CLI)
+    }
+
+    await issueToken(req, res, device, firmwareVersion, startTime, { family, refreshToken });
 
   } catch (error) {
-    console.error('[AUTH ERROR]', error);
+    log.error('Token refresh failed', { error });
     res.status(500).json({ 
       error: 'Failed to create token',
       message: process.env.NODE_ENV === 'development' ? error.message : undefined
@@ -91,23 +547,33 @@ router.post('/token', async (req, res) => {
 /**
  * POST /auth/verify
  * 
- * Verify an ID token (for testing/debugging)
+ * Verify a device token (for testing/debugging): a Firebase ID token
+ * or a self-hosted access token, whichever TOKEN_ISSUER is set
  * 
  * Request body:
  * {
  *   "idToken": "eyJhbGciOiJSUzI1NiIsImtpZCI6Ij..."
  * }
  */
-router.post('/verify', async (req, res) => {
+router.post('/verify', validate({
+  body: { idToken: { type: 'string', required: true, maxLength: 4096 } }
+}, { allowUnknown: true }), async (req, res) => {
   try {
     const { idToken } = req.body;
 
-    if (!idToken) {
-      return res.status(400).json({ error: 'Missing idToken' });
-    }
+    // Verify the token (our JWT keys or Firebase, see tokens/index.js)
+    const decodedToken = await verifyDeviceToken(idToken);
+
+    // Device tokens: check our revocation list and device status
+    // (the signature alone would accept a revoked device's token until it expires)
+    const rejection = decodedToken.deviceType ? checkDeviceToken(decodedToken) : null;
 
-    // Verify the ID token
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
+    if (rejection) {
+      return res.status(401).json({
+        valid: false,
+        error: rejection.error
+      });
+    }
 
     res.json({
       valid: true,
@@ -0,0 +1,97 @@
+/**
+ * Health Routes
+ * GET /health/live  - Liveness: the process is up and serving requests
+ * GET /health/ready - Readiness: able to authenticate devices right now
+ *
+ * READINESS CHECKS:
+ * - storage: devices loaded without error, storage backend answers (see models/device.js)
+ * - signer:  the token issuer can sign (Firebase service account key, or
+ *            the self-hosted JWT key with TOKEN_ISSUER=jwt)
+ *
+ * /health/ready returns 200 when every check passes, 503 otherwise - also
+ * on connections still open while the server shuts down
+ * (server.js sets app.locals.shuttingDown).
+ *
+ * Kubernetes example:
+ *   livenessProbe:  { httpGet: { path: /health/live,  port: 3000 } }
+ *   readinessProbe: { httpGet: { path: /health/ready, port: 3000 }, periodSeconds: 5 }
+ */
+
+const express = require('express');
+const router = express.Router();
+const deviceModel = require('../models/device');
+const { tokenIssuer } = require('../tokens');
+const log = require('../lib/logger').child({ component: 'health' });
+
+const SIGNER_CHECK_INTERVAL_MS = 60 * 1000;
+// ↑ Signing is local (service account or JWT key) but there's no need to repeat it on every probe
+
+let signerCheck = null;
+// ↑ { at, promise } of the last successful signer check
+
+/**
+ * Sign a throwaway token (cached for SIGNER_CHECK_INTERVAL_MS)
+ *
+ * @returns {Promise<void>} Rejects if the credentials can't sign
+ */
+function checkSigner() {
+  if (!signerCheck || Date.now() - signerCheck.at > SIGNER_CHECK_INTERVAL_MS) {
+    const promise = tokenIssuer.check();
+
+    signerCheck = { at: Date.now(), promise };
+    promise.catch(() => {
+      if (signerCheck && signerCheck.promise === promise) signerCheck = null;
+    });
+    // ↑ Only successes are cached - a failing signer is retried on the next probe
+  }
+
+  return signerCheck.promise;
+}
+
+/**
+ * Run one readiness check
+ *
+ * @param {string} name - Check name (logged on failure)
+ * @param {function(): Promise} check - Rejects if unhealthy
+ * @returns {Promise<object>} { status: 'ok' | 'fail', error? }
+ */
+async function runCheck(name, check) {
+  try {
+    await check();
+    return { status: 'ok' };
+  } catch (error) {
+    log.warn('Readiness check failed', { check: name, error: error.message });
+    return {
+      status: 'fail',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      // ↑ Details (paths, backend errors) only in development - this endpoint is public
+    };
+  }
+}
+
+router.get('/live', (req, res) => {
+  res.json({
+    status: 'ok',
+    uptime: process.uptime()
+  });
+});
+
+router.get('/ready', async (req, res) => {
+  if (req.app.locals.shuttingDown) {
+    return res.status(503).json({ status: 'shutting-down' });
+  }
+
+  const [storage, signer] = await Promise.all([
+    runCheck('storage', () => deviceModel.checkHealth()),
+    runCheck('signer', checkSigner)
+  ]);
+
+  const ready = storage.status === 'ok' && signer.status === 'ok';
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ok' : 'fail',
+    checks: { storage, signer }
+  });
+});
+
+module.exports = router;
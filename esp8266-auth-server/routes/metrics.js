@@ -0,0 +1,60 @@
+/**
+ * Metrics Route
+ * GET /metrics - Prometheus scrape endpoint (see lib/metrics.js)
+ *
+ * ACCESS (server.js decides where it's mounted):
+ * - METRICS_PORT set:  served only on that port, bound to METRICS_HOST
+ *                      (default 127.0.0.1) - never on the public port
+ * - METRICS_TOKEN set: served on the public port to scrapers sending
+ *                      "Authorization: Bearer <METRICS_TOKEN>"
+ * - Neither:           not served
+ *
+ * With both set, the internal port also requires the token.
+ *
+ * Prometheus scrape config for the token:
+ *   authorization:
+ *     credentials: <METRICS_TOKEN>
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const deviceModel = require('../models/device');
+const metrics = require('../lib/metrics');
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+const DEVICE_STATUSES = ['active', 'suspended', 'revoked'];
+
+metrics.gauge('esp8266_auth_devices', 'Registered devices per status', ['status'], () => {
+  const counts = Object.fromEntries(DEVICE_STATUSES.map(status => [status, 0]));
+
+  for (const device of deviceModel.listDevices()) {
+    counts[device.status] = (counts[device.status] || 0) + 1;
+  }
+
+  return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+});
+
+/**
+ * Constant-time check of the bearer token (hash first: equal lengths)
+ *
+ * @param {string} [header] - Authorization header
+ * @returns {boolean} True if it carries METRICS_TOKEN
+ */
+function hasMetricsToken(header) {
+  const provided = header && header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+
+  return crypto.timingSafeEqual(hash(provided), hash(METRICS_TOKEN));
+}
+
+router.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && !hasMetricsToken(req.get('Authorization'))) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+
+  res.set('Content-Type', metrics.CONTENT_TYPE).send(metrics.render());
+});
+
+module.exports = router;
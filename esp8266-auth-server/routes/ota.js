@@ -0,0 +1,226 @@
+/**
+ * OTA Routes
+ * Firmware updates for authenticated devices
+ *
+ * Every route needs a device ID token (see middleware/deviceAuth.js).
+ * Tokens restricted by the firmware policy (scope "ota:update" only)
+ * work here too - that's what they're for.
+ *
+ * UPDATE FLOW:
+ * 1. GET /ota/manifest                          → is there an update for me?
+ * 2. GET /ota/releases/:releaseId/firmware      → download the image
+ * 3. POST /ota/status                           → report progress / result
+ *
+ * Releases and rollouts are managed under /admin/ota (routes/admin.js).
+ *
+ * Input is validated like on /auth (middleware/validate.js): unknown body
+ * fields are accepted, as newer firmware may report more than we know.
+ */
+
+const express = require('express');
+const router = express.Router();
+const deviceModel = require('../models/device');
+const otaReleaseModel = require('../models/otaRelease');
+const auditLog = require('../models/auditLog');
+const { authenticateDevice } = require('../middleware/deviceAuth');
+const { validate } = require('../middleware/validate');
+const log = require('../lib/logger').child({ component: 'ota' });
+
+const REPORTED_STATES = ['downloading', 'installing', 'installed', 'failed'];
+// ↑ States a device may report ('offered' is set by the manifest)
+
+const RELEASE_ID = { type: 'string', pattern: /^[\w.+-]{1,64}$/, format: 'a release id such as 1.4.0-3f2a9c1b' };
+const FIRMWARE_VERSION = { type: 'string', maxLength: 32 };
+
+router.use(authenticateDevice);
+// ↑ Every OTA route needs a valid device token
+
+/**
+ * Firmware version a device runs: as reported, or as last recorded
+ *
+ * @param {object} req - Express request (after authenticateDevice and validate)
+ * @returns {string|undefined} Version
+ */
+function currentVersionOf(req) {
+  return req.validated.query.firmwareVersion || authenticatedVersionOf(req);
+}
+
+/**
+ * Firmware version from the device's token, or as last recorded - not
+ * the query string, which the device can set to anything per request
+ *
+ * @param {object} req - Express request (after authenticateDevice)
+ * @returns {string|undefined} Version
+ */
+function authenticatedVersionOf(req) {
+  return req.device.claims.firmwareVersion || req.device.record.metadata.firmwareVersion;
+}
+
+/**
+ * GET /ota/manifest?firmwareVersion=1.2.0
+ *
+ * Is there an update for this device? (hardware from its metadata,
+ * firmware version from the query, token or metadata)
+ *
+ * Response (update available):
+ * {
+ *   "updateAvailable": true,
+ *   "mandatory": false,              (true = the firmware policy rejects the current version)
+ *   "release": {
+ *     "id": "1.4.0-3f2a9c1b", "version": "1.4.0", "size": 412016,
+ *     "sha256": "...", "md5": "...", "signature": "...", "signatureAlgorithm": "RSA-SHA256",
+ *     "url": "/ota/releases/1.4.0-3f2a9c1b/firmware"
+ *   }
+ * }
+ */
+router.get('/manifest', validate({
+  query: { firmwareVersion: FIRMWARE_VERSION }
+}), async (req, res) => {
+  try {
+    const { deviceId, record } = req.device;
+    const currentVersion = currentVersionOf(req);
+
+    if (record.ota && record.ota.state !== 'installed' && record.ota.version === currentVersion) {
+      await deviceModel.setOtaState(deviceId, { releaseId: record.ota.releaseId, version: record.ota.version, state: 'installed' });
+      // ↑ Running the offered version = the update worked
+    }
+
+    const update = otaReleaseModel.findUpdate(record, currentVersion);
+
+    if (!update) {
+      return res.json({ updateAvailable: false, currentVersion: currentVersion || null });
+    }
+
+    const { release, mandatory } = update;
+
+    if (!record.ota || record.ota.releaseId !== release.id) {
+      await deviceModel.setOtaState(deviceId, { releaseId: release.id, version: release.version, state: 'offered' });
+    }
+
+    res.json({
+      updateAvailable: true,
+      mandatory,
+      currentVersion: currentVersion || null,
+      release: {
+        id: release.id,
+        version: release.version,
+        size: release.size,
+        sha256: release.sha256,
+        md5: release.md5,
+        signature: release.signature,
+        signatureAlgorithm: release.signatureAlgorithm,
+        notes: release.notes,
+        url: `/ota/releases/${encodeURIComponent(release.id)}/firmware`
+      }
+    });
+
+  } catch (error) {
+    log.error('OTA manifest error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /ota/releases/:releaseId/firmware
+ *
+ * Download a release image. Only releases the manifest would offer the
+ * device (active, matching hardware, in its rollout - or policy-accepted
+ * when the update is mandatory), so a staged release can't be fetched by
+ * guessing its id; the x-MD5 header is what ESP8266httpUpdate checks.
+ *
+ * Whether the update is mandatory depends on the version in the token
+ * (or on the device record), never on ?firmwareVersion: a device
+ * claiming an old version there could skip the rollout.
+ */
+router.get('/releases/:releaseId/firmware', validate({
+  params: { releaseId: RELEASE_ID },
+  query: { firmwareVersion: FIRMWARE_VERSION }
+}), async (req, res) => {
+  try {
+    const { deviceId, record } = req.device;
+    const release = otaReleaseModel.getRelease(req.params.releaseId);
+
+    const offered = release &&
+      otaReleaseModel.isCompatible(release, record) &&
+      otaReleaseModel.isOffered(release, record, otaReleaseModel.isUpdateMandatory(record, authenticatedVersionOf(req)));
+    // ↑ Version ordering is left to the manifest, as before
+
+    if (!offered) {
+      return res.status(404).json({ error: 'Release not available for this device' });
+    }
+
+    await deviceModel.setOtaState(deviceId, { releaseId: release.id, version: release.version, state: 'downloading' });
+
+    res.sendFile(otaReleaseModel.firmwarePath(release.id), {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'x-MD5': release.md5,
+        'X-Firmware-Sha256': release.sha256,
+        'X-Firmware-Signature': release.signature
+      }
+    }, error => {
+      if (error && !res.headersSent) {
+        log.error('OTA download error', { releaseId: release.id, error: error.message });
+        res.status(404).json({ error: 'Firmware image missing' });
+      }
+    });
+
+  } catch (error) {
+    log.error('OTA download error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /ota/status
+ *
+ * Report update progress
+ *
+ * Request body:
+ * {
+ *   "releaseId": "1.4.0-3f2a9c1b",
+ *   "state": "failed",                  (downloading, installing, installed or failed)
+ *   "error": "Signature check failed"   (optional)
+ * }
+ */
+router.post('/status', validate({
+  body: {
+    releaseId: { ...RELEASE_ID, required: true },
+    state: { type: 'string', required: true, enum: REPORTED_STATES },
+    error: { type: 'string', maxLength: 512 }
+  }
+}, { allowUnknown: true }), async (req, res) => {
+  try {
+    const { deviceId } = req.device;
+    const { releaseId, state, error } = req.body;
+
+    const release = otaReleaseModel.getRelease(releaseId);
+    if (!release) {
+      return res.status(400).json({ error: 'Unknown releaseId' });
+    }
+
+    const ota = await deviceModel.setOtaState(deviceId, {
+      releaseId,
+      version: release.version,
+      state,
+      error: state === 'failed' ? error : null
+    });
+
+    if (state === 'installed' || state === 'failed') {
+      auditLog.record({
+        event: 'device.ota_state_changed',
+        deviceId,
+        ip: req.ip,
+        details: { releaseId, version: release.version, state, error: ota.error }
+      });
+      // ↑ Outcomes only - progress reports would flood the log
+    }
+
+    res.json({ message: 'Status recorded', ota });
+
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+module.exports = router;
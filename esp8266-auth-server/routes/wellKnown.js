@@ -0,0 +1,28 @@
+/**
+ * Well-Known Routes
+ * GET /.well-known/jwks.json - Public keys of the self-hosted token issuer
+ *
+ * Services that accept device access tokens (TOKEN_ISSUER=jwt) verify
+ * them against this JWK Set: match the token's `kid`, check the
+ * signature, `iss` (JWT_ISSUER), `aud` (JWT_AUDIENCE) and `exp`.
+ *
+ * Public, no authentication. Cached for JWKS_MAX_AGE_SECONDS - a rotated
+ * key is published that long before it signs (see tokens/signingKeys.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { JWKS_MAX_AGE_SECONDS, jwks } = require('../tokens');
+
+router.get('/jwks.json', (req, res) => {
+  const set = jwks();
+
+  if (!set) {
+    return res.status(404).json({ error: 'Self-hosted tokens are disabled (TOKEN_ISSUER=jwt)' });
+  }
+
+  res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE_SECONDS}`);
+  res.json(set);
+});
+
+module.exports = router;
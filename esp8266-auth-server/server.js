@@ -13,6 +13,10 @@
  * 3. Server creates Firebase custom token (using private key)
  * 4. ESP8266 exchanges custom token for ID token (with Google)
  * 5. ESP8266 uses ID token to access Firebase database
+ *
+ * With TOKEN_ISSUER=jwt, steps 3-5 become: the server signs a JWT with its
+ * own key, the ESP8266 sends it to services that check it against
+ * GET /.well-known/jwks.json - no Firebase project needed (tokens/index.js)
  */
 
 // ============================================
@@ -28,6 +32,7 @@ const admin = require('firebase-admin');
 // ↑ Firebase Admin SDK
 // Purpose: Server-side Firebase operations
 // Functions we use: createCustomToken(), verifyIdToken()
+// Optional with TOKEN_ISSUER=jwt (self-hosted tokens)
 
 const helmet = require('helmet');
 // ↑ Security middleware
@@ -41,17 +46,37 @@ const rateLimit = require('express-rate-limit');
 // Prevents: DDoS attacks, brute force attacks
 // How it works: Tracks requests per IP, blocks if over limit
 
+const https = require('https');
+// ↑ Node's HTTPS server - only used for the mutual TLS listener (MTLS_ENABLED)
+
 const cors = require('cors');
 // ↑ Cross-Origin Resource Sharing
 // Allows: Web frontends to call your API
 // Example: If you build a web dashboard at https://yourdomain.com,
 //          it needs CORS to call your API at https://api.yourdomain.com
 
-require('dotenv').config();
-// ↑ Load .env file
+require('dotenv').config({ quiet: true });
+// ↑ Load .env file (quiet: dotenv would print a non-JSON banner to stdout)
 // After this line, you can access: process.env.PORT, process.env.SERVER_SECRET, etc.
 // MUST be called before accessing any environment variables
 
+const log = require('./lib/logger').child({ component: 'server' });
+// ↑ Structured JSON logs (LOG_LEVEL, LOG_FORMAT), secrets redacted
+// Required after dotenv: it reads its settings on load
+
+const { requestLogger } = require('./middleware/requestLogger');
+// ↑ X-Request-Id correlation id + one access log line per request
+
+const metrics = require('./lib/metrics');
+// ↑ Prometheus counters/histograms (served at GET /metrics, see routes/metrics.js)
+
+const { sendValidationError } = require('./middleware/validate');
+const { ERROR_CODES } = require('./lib/schema');
+// ↑ Uniform 400 format ("validation_failed"), also for unparseable JSON below
+
+const certificateAuthority = require('./lib/certificateAuthority');
+// ↑ Device client certificates and the HTTPS listener's TLS settings
+
 // ============================================
 // SECTION 2: INITIALIZE EXPRESS
 // ============================================
@@ -64,6 +89,21 @@ const app = express();
 // SECTION 3: SECURITY MIDDLEWARE
 // ============================================
 
+app.use(requestLogger);
+// ↑ First, so every later log line (and error response) has the request id
+
+const inFlight = new Set();
+
+app.use((req, res, next) => {
+  inFlight.add(res);
+  res.on('close', () => inFlight.delete(res));
+
+  if (app.locals.shuttingDown) res.set('Connection', 'close');
+  next();
+});
+// ↑ Track unfinished responses: on shutdown (SECTION 11) they're switched to
+//   "Connection: close" so keep-alive connections end with their current request
+
 app.use(helmet());
 // ↑ Apply security headers to ALL routes
 // Example headers set:
@@ -83,6 +123,16 @@ app.use(cors({
 // Development:
 //   '*' → Any domain can call (useful for testing)
 
+app.use('/admin/provision', express.json({ limit: '1mb' }), express.text({ type: 'text/csv', limit: '1mb' }));
+// ↑ Bulk provisioning manifests (hundreds of devices) need a bigger limit
+// Registered first: the 10kb parser below skips an already-parsed body
+
+app.use('/admin/ota/releases', express.raw({
+  type: 'application/octet-stream',
+  limit: parseInt(process.env.OTA_MAX_FIRMWARE_BYTES) || 2 * 1024 * 1024
+}));
+// ↑ Firmware uploads: raw binary body, up to 2MB (OTA_MAX_FIRMWARE_BYTES)
+
 app.use(express.json({ limit: '10kb' }));
 // ↑ Parse incoming JSON bodies
 // limit: '10kb' → Reject requests with body > 10KB
@@ -111,8 +161,14 @@ const limiter = rateLimit({
   //   RateLimit-Remaining: 95
   //   RateLimit-Reset: 1640000000
   
-  legacyHeaders: false
+  legacyHeaders: false,
   // ↑ Disable deprecated `X-RateLimit-*` headers
+
+  handler: (req, res, next, options) => {
+    metrics.rateLimited.inc();
+    res.status(options.statusCode).json(options.message);
+  }
+  // ↑ Same 429 response as the default handler, counted for /metrics
 });
 
 app.use('/auth/', limiter);
@@ -124,27 +180,42 @@ app.use('/auth/', limiter);
 // SECTION 5: INITIALIZE FIREBASE
 // ============================================
 
-const serviceAccount = require(process.env.SERVICE_ACCOUNT_PATH);
-// ↑ Load Firebase service account private key
-// This file contains:
-// - project_id: Your Firebase project ID
-// - private_key: RSA private key (2048-bit)
-// - client_email: Service account email
+const TOKEN_ISSUER = process.env.TOKEN_ISSUER || 'firebase';
+// ↑ firebase: custom tokens signed with the service account (default)
+//   jwt:      self-hosted tokens, Firebase optional (see tokens/index.js)
+
+if (process.env.SERVICE_ACCOUNT_PATH) {
+  const serviceAccount = require(process.env.SERVICE_ACCOUNT_PATH);
+  // ↑ Load Firebase service account private key
+  // This file contains:
+  // - project_id: Your Firebase project ID
+  // - private_key: RSA private key (2048-bit)
+  // - client_email: Service account email
+
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    // ↑ Authenticate with Firebase using service account
+    
+    databaseURL: process.env.DATABASE_URL
+    // ↑ Your Firebase Realtime Database URL
+    // Example: https://esp-project-5bde3-default-rtdb.firebaseio.com
+  });
 
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-  // ↑ Authenticate with Firebase using service account
-  
-  databaseURL: process.env.DATABASE_URL
-  // ↑ Your Firebase Realtime Database URL
-  // Example: https://esp-project-5bde3-default-rtdb.firebaseio.com
-});
+  log.info('Firebase Admin SDK initialized', {
+    projectId: serviceAccount.project_id,
+    serviceAccount: serviceAccount.client_email
+  });
+  // ↑ Confirmation logs
+  // If you see these, Firebase is ready
+  // (with TOKEN_ISSUER=jwt it still verifies Firebase ID tokens and revokes sessions)
 
-console.log('✓ Firebase Admin SDK initialized');
-console.log(`✓ Project: ${serviceAccount.project_id}`);
-console.log(`✓ Service Account: ${serviceAccount.client_email}`);
-// ↑ Confirmation logs
-// If you see these, Firebase is ready
+} else if (TOKEN_ISSUER !== 'jwt' || process.env.STORAGE_BACKEND === 'firebase') {
+  log.error('SERVICE_ACCOUNT_PATH is required (unless TOKEN_ISSUER=jwt with local storage)');
+  process.exit(1);
+
+} else {
+  log.info('Firebase not configured, devices get self-hosted tokens only');
+}
 
 // ============================================
 // SECTION 6: IMPORT ROUTES
@@ -152,11 +223,36 @@ console.log(`✓ Service Account: ${serviceAccount.client_email}`);
 
 const authRoutes = require('./routes/auth');
 // ↑ Authentication endpoints (token creation)
-// Defines: POST /auth/token, POST /auth/verify
+// Defines: POST /auth/token, POST /auth/challenge,
+//          POST /auth/challenge/response, POST /auth/refresh, POST /auth/verify
+
+const otaRoutes = require('./routes/ota');
+// ↑ Firmware updates for authenticated devices
+// Defines: GET /ota/manifest, GET /ota/releases/:releaseId/firmware,
+//          POST /ota/status
 
 const adminRoutes = require('./routes/admin');
 // ↑ Device management endpoints
-// Defines: POST /admin/register, POST /admin/revoke, GET /admin/devices
+// Defines: POST /admin/register, POST /admin/provision, POST /admin/revoke,
+//          GET /admin/devices, ...
+// Protected by API key or Firebase ID token (see middleware/adminAuth.js)
+
+const metricsRoutes = require('./routes/metrics');
+// ↑ Prometheus scrape endpoint
+// Defines: GET /metrics (internal port or bearer token, see below)
+
+const healthRoutes = require('./routes/health');
+// ↑ Liveness/readiness probes (storage + token signer checks)
+// Defines: GET /health/live, GET /health/ready
+
+const wellKnownRoutes = require('./routes/wellKnown');
+// ↑ Public keys of the self-hosted token issuer (TOKEN_ISSUER=jwt)
+// Defines: GET /.well-known/jwks.json
+
+const deviceModel = require('./models/device');
+const refreshTokenModel = require('./models/refreshToken');
+const auditLogModel = require('./models/auditLog');
+// ↑ Pending writes are flushed on shutdown (SECTION 11)
 
 // ============================================
 // SECTION 7: REGISTER ROUTES
@@ -166,10 +262,26 @@ app.use('/auth', authRoutes);
 // ↑ Mount auth routes at /auth prefix
 // Example: POST /auth/token → handled by authRoutes
 
+app.use('/ota', otaRoutes);
+// ↑ Mount OTA routes at /ota prefix (device token required)
+
 app.use('/admin', adminRoutes);
 // ↑ Mount admin routes at /admin prefix
 // Example: POST /admin/register → handled by adminRoutes
 
+app.use('/.well-known', wellKnownRoutes);
+// ↑ JWKS for services verifying self-hosted device tokens
+
+const METRICS_PORT = process.env.METRICS_PORT;
+
+if (!METRICS_PORT && process.env.METRICS_TOKEN) {
+  app.use(metricsRoutes);
+  // ↑ Public port, bearer token required
+} else if (!METRICS_PORT) {
+  log.warn('GET /metrics disabled (set METRICS_PORT or METRICS_TOKEN)');
+}
+// With METRICS_PORT, /metrics gets its own listener (SECTION 10)
+
 // ============================================
 // SECTION 8: UTILITY ENDPOINTS
 // ============================================
@@ -195,6 +307,10 @@ app.get('/health', (req, res) => {
 // Purpose: Monitor server status
 // Usage: Uptime monitoring services (Pingdom, UptimeRobot) can ping this
 // Test: curl http://localhost:3000/health
+// Only says the process is up - use /health/ready for load balancers
+
+app.use('/health', healthRoutes);
+// ↑ GET /health/live, GET /health/ready (see routes/health.js)
 
 // ============================================
 // SECTION 9: ERROR HANDLERS
@@ -208,7 +324,14 @@ app.use((req, res) => {
 // Example: GET /nonexistent → 404
 
 app.use((err, req, res, next) => {
-  console.error('[ERROR]', err);
+  if (err.type === 'entity.parse.failed') {
+    return sendValidationError(res, [
+      { location: 'body', field: null, code: ERROR_CODES.INVALID_JSON, message: 'Request body is not valid JSON' }
+    ]);
+  }
+  // ↑ Malformed JSON (express.json) is a client error, not a server one
+
+  log.error('Unhandled error', { error: err });
   // ↑ Log error to console (in production, send to logging service)
   
   res.status(500).json({ 
@@ -230,30 +353,102 @@ const PORT = process.env.PORT || 3000;
 // ↑ Get port from environment (Heroku sets this)
 // Fallback to 3000 if not set
 
-app.listen(PORT, () => {
-  console.log(`\n🚀 ESP8266 Auth Server running on port ${PORT}`);
-  console.log(`📍 Environment: ${process.env.NODE_ENV}`);
-  console.log(`🔒 Rate limit: ${process.env.RATE_LIMIT_MAX_REQUESTS} requests per ${process.env.RATE_LIMIT_WINDOW_MS / 60000} minutes\n`);
+const server = app.listen(PORT, () => {
+  log.info('ESP8266 Auth Server running', {
+    port: Number(PORT),
+    environment: process.env.NODE_ENV,
+    rateLimit: `${process.env.RATE_LIMIT_MAX_REQUESTS} requests per ${process.env.RATE_LIMIT_WINDOW_MS / 60000} minutes`
+  });
 });
 // ↑ Start listening for HTTP requests
 // Server is now accessible at: http://localhost:3000
 
+let metricsServer = null;
+
+if (METRICS_PORT) {
+  const METRICS_HOST = process.env.METRICS_HOST || '127.0.0.1';
+
+  metricsServer = express()
+    .use(metricsRoutes)
+    .listen(METRICS_PORT, METRICS_HOST, () => {
+      log.info('Metrics listener running', { url: `http://${METRICS_HOST}:${METRICS_PORT}/metrics` });
+    });
+  // ↑ Internal listener: keep it off the public interface (firewall it if you bind 0.0.0.0)
+}
+
+let httpsServer = null;
+
+if (certificateAuthority.MTLS_ENABLED) {
+  const HTTPS_PORT = process.env.HTTPS_PORT || 8443;
+
+  httpsServer = https
+    .createServer(certificateAuthority.serverTlsOptions(), app)
+    .listen(HTTPS_PORT, () => {
+      log.info('HTTPS listener running (client certificates accepted)', { port: Number(HTTPS_PORT) });
+    });
+  // ↑ Same app as the HTTP port, but TLS ends HERE: a reverse proxy or load
+  //   balancer in front would swallow the device's certificate (pass TCP through)
+}
+
 // ============================================
 // SECTION 11: GRACEFUL SHUTDOWN
 // ============================================
 
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  // ↑ SIGTERM = Termination signal (from Heroku, Docker, etc.)
-  
-  // Close server, finish pending requests, then exit
-  process.exit(0);
-});
-// ↑ Graceful shutdown handler
-// When server is stopped, cleanup properly:
-// - Close database connections
-// - Finish pending requests
-// - Log shutdown event
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 10 * 1000;
+// ↑ Longest wait for in-flight requests and pending writes: 10 seconds
+// Keep it below your orchestrator's kill grace period (Docker/Kubernetes: 10s/30s)
+
+/**
+ * Stop cleanly:
+ * 1. Fail GET /health/ready, refuse new connections
+ * 2. Let in-flight requests finish (keep-alive connections close after them)
+ * 3. Flush pending device saves and audit log entries, close storage
+ * 4. Exit - with code 1 if this takes longer than SHUTDOWN_TIMEOUT_MS
+ *
+ * @param {string} signal - SIGTERM or SIGINT
+ */
+async function shutdown(signal) {
+  if (app.locals.shuttingDown) return;
+  // ↑ Already in progress (e.g. Ctrl+C pressed twice)
+  app.locals.shuttingDown = true;
+
+  log.info('Shutting down', { signal, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+  setTimeout(() => {
+    log.error('Shutdown timed out, exiting with requests or writes pending', { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  for (const res of inFlight) {
+    if (!res.headersSent) res.set('Connection', 'close');
+  }
+
+  try {
+    await Promise.all([server, metricsServer, httpsServer].filter(Boolean).map(listener => new Promise(resolve => {
+      listener.close(resolve);
+      listener.closeIdleConnections();
+    })));
+    // ↑ close() waits for open connections; idle keep-alive ones are closed right away
+
+    await deviceModel.flush();
+    await refreshTokenModel.flush();
+    await auditLogModel.flush();
+    await deviceModel.storage.close();
+    await refreshTokenModel.close();
+
+    log.info('Shutdown complete');
+    process.exit(0);
+  } catch (error) {
+    log.error('Error during shutdown', { error });
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+// ↑ SIGTERM = Termination signal (from Heroku, Docker, Kubernetes, etc.)
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+// ↑ SIGINT = Ctrl+C in a terminal
 
 
 // ### Request Flow Example
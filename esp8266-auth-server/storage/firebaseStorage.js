@@ -0,0 +1,111 @@
+/**
+ * Firebase Realtime Database Storage Adapter
+ *
+ * Stores records (devices, refresh token families) under a node of the
+ * project's Realtime Database, using the firebase-admin app already
+ * initialised in server.js.
+ *
+ * GOOD FOR:
+ * - Multi-instance deployments (no local disk needed)
+ * - Row-level writes: each record is its own child node
+ *
+ * SECURITY:
+ * - The Admin SDK bypasses database rules, but devices and web clients do not.
+ *   Make sure your rules deny ALL client access to these nodes:
+ *
+ *   { "rules": { "authServer": { ".read": false, ".write": false } } }
+ *
+ * NOTE: Realtime Database drops null values, so fields such as
+ * `lastAuthAt: null` are simply absent after a reload. Empty arrays are
+ * dropped too: `groups: []` comes back missing (the models restore them).
+ */
+
+const admin = require('firebase-admin');
+
+/**
+ * Encode a record key (e.g. deviceId) into a valid database key
+ * Keys may not contain . # $ [ ] / (and we escape % so decoding is unambiguous)
+ *
+ * @param {string} key - Record key
+ * @returns {string} Safe key
+ */
+function toKey(key) {
+  return key.replace(/[.#$[\]/%]/g, char =>
+    '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')
+  );
+}
+
+class FirebaseStorage {
+  /**
+   * @param {string} refPath - Database path holding the records
+   * @param {object} [options]
+   * @param {string} [options.keyField='deviceId'] - Record field used as child key
+   */
+  constructor(refPath, { keyField = 'deviceId' } = {}) {
+    this.name = 'firebase';
+    this.ref = admin.database().ref(refPath);
+    this.keyField = keyField;
+  }
+
+  /**
+   * Read all records
+   *
+   * @returns {Promise<object>} Records keyed by keyField (e.g. deviceId)
+   */
+  async load() {
+    const snapshot = await this.ref.once('value');
+    const records = {};
+
+    snapshot.forEach(child => {
+      const record = child.val();
+      records[record[this.keyField]] = record;
+    });
+
+    return records;
+  }
+
+  /**
+   * Insert or update a single record
+   *
+   * @param {object} record - Device (or refresh token family) record
+   */
+  async saveRecord(record) {
+    await this.ref.child(toKey(record[this.keyField])).set(record);
+  }
+
+  /**
+   * Replace all records in one atomic write
+   *
+   * @param {object} records - Records keyed by keyField
+   */
+  async saveAll(records) {
+    const data = {};
+    for (const record of Object.values(records)) {
+      data[toKey(record[this.keyField])] = record;
+    }
+    await this.ref.set(data);
+  }
+
+  /**
+   * Delete a single record
+   *
+   * @param {string} key - Its keyField value (e.g. deviceId)
+   */
+  async deleteRecord(key) {
+    await this.ref.child(toKey(key)).remove();
+  }
+
+  /**
+   * Check that the Realtime Database answers (reads one record)
+   * Waits forever while offline - callers add a timeout
+   */
+  async check() {
+    await this.ref.orderByKey().limitToFirst(1).once('value');
+  }
+
+  async close() {
+    // Connection is owned by the firebase-admin app
+  }
+}
+
+module.exports = FirebaseStorage;
@@ -0,0 +1,89 @@
+/**
+ * Storage Backend Factory
+ *
+ * Picks the storage adapter from the STORAGE_BACKEND env variable:
+ *
+ *   STORAGE_BACKEND=json      → database/devices.json (default)
+ *   STORAGE_BACKEND=sqlite    → database/devices.db   (SQLITE_PATH to override)
+ *   STORAGE_BACKEND=firebase  → Realtime Database     (FIREBASE_DEVICES_PATH to override)
+ *
+ * COLLECTIONS:
+ *   devices        → keyed by deviceId (models/device.js)
+ *   refreshTokens  → keyed by familyId (models/refreshToken.js):
+ *                    database/refresh-tokens.json (REFRESH_TOKENS_PATH),
+ *                    table refresh_tokens in the same SQLite file,
+ *                    authServer/refreshTokens (FIREBASE_REFRESH_TOKENS_PATH)
+ *
+ * ADAPTER INTERFACE:
+ *   load()                → Promise<{ [key]: record }>
+ *   saveAll(records)      → Promise<void>  Persist every record
+ *   saveRecord(record)    → Promise<void>  (optional) Persist one record
+ *   deleteRecord(key)     → Promise<void>  (optional) Remove one record
+ *   check()               → Promise<void>  Throw if storage is unusable (GET /health/ready)
+ *   close()               → Promise<void>  Release connections/handles
+ *
+ * Adapters without saveRecord() fall back to saveAll().
+ */
+
+const path = require('path');
+
+const JsonFileStorage = require('./jsonFileStorage');
+
+const DATABASE_DIR = path.join(__dirname, '../database');
+
+const COLLECTIONS = {
+  devices: {
+    keyField: 'deviceId',
+    jsonPath: process.env.JSON_DB_PATH || path.join(DATABASE_DIR, 'devices.json'),
+    sqlite: { table: 'devices', keyColumn: 'device_id' },
+    firebasePath: process.env.FIREBASE_DEVICES_PATH || 'authServer/devices'
+  },
+  refreshTokens: {
+    keyField: 'familyId',
+    jsonPath: process.env.REFRESH_TOKENS_PATH || path.join(DATABASE_DIR, 'refresh-tokens.json'),
+    sqlite: { table: 'refresh_tokens', keyColumn: 'family_id' },
+    firebasePath: process.env.FIREBASE_REFRESH_TOKENS_PATH || 'authServer/refreshTokens'
+  }
+};
+// ↑ Where each kind of record lives, per backend
+
+/**
+ * Create the configured storage adapter
+ *
+ * @param {string} [collection='devices'] - One of COLLECTIONS
+ * @param {string} [backend] - Backend name (defaults to STORAGE_BACKEND or 'json')
+ * @returns {object} Storage adapter instance
+ * @throws {Error} If the backend or collection is unknown
+ */
+function createStorage(collection = 'devices', backend = process.env.STORAGE_BACKEND || 'json') {
+  const config = COLLECTIONS[collection];
+  if (!config) {
+    throw new Error(`Unknown storage collection: ${collection}`);
+  }
+
+  switch (backend) {
+    case 'json':
+      return new JsonFileStorage(config.jsonPath);
+      // ↑ Whole-file writes - no saveRecord()
+
+    case 'sqlite': {
+      const SqliteStorage = require('./sqliteStorage');
+      // ↑ Required lazily - better-sqlite3 is an optional native dependency
+      return new SqliteStorage(
+        process.env.SQLITE_PATH || path.join(DATABASE_DIR, 'devices.db'),
+        { ...config.sqlite, keyField: config.keyField }
+      );
+      // ↑ One file, one table per collection
+    }
+
+    case 'firebase': {
+      const FirebaseStorage = require('./firebaseStorage');
+      return new FirebaseStorage(config.firebasePath, { keyField: config.keyField });
+    }
+
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend} (expected json, sqlite or firebase)`);
+  }
+}
+
+module.exports = { createStorage };
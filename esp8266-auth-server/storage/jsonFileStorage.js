@@ -0,0 +1,99 @@
+/**
+ * JSON File Storage Adapter
+ *
+ * Keeps every device in a single JSON file (database/devices.json).
+ *
+ * GOOD FOR:
+ * - Development and small fleets (no setup required)
+ *
+ * LIMITATIONS:
+ * - Every change rewrites the whole file
+ * - Single server instance only
+ *
+ * Writes go to a temporary file that is then renamed over the database
+ * (a crash never leaves half a file), one at a time in call order.
+ */
+
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+
+class JsonFileStorage {
+  /**
+   * @param {string} filePath - Path to the JSON database file
+   */
+  constructor(filePath) {
+    this.name = 'json';
+    this.filePath = filePath;
+    this.writeQueue = Promise.resolve();
+    // ↑ Tail of the pending writes - callers don't always await saveAll()
+  }
+
+  /**
+   * Read all devices from the file
+   *
+   * @returns {Promise<object>} Devices keyed by deviceId
+   * @throws {Error} ENOENT if the file doesn't exist yet
+   */
+  async load() {
+    const data = await fs.readFile(this.filePath, 'utf8');
+    return JSON.parse(data);
+  }
+
+  /**
+   * Write all devices to the file, after any write still in progress
+   *
+   * @param {object} devices - Devices keyed by deviceId
+   * @returns {Promise<void>} Resolves once this write is on disk
+   */
+  saveAll(devices) {
+    const data = JSON.stringify(devices, null, 2);
+    // ↑ Snapshot now - later changes go into the next write
+    // Pretty-print so the file stays readable/diffable
+
+    const write = this.writeQueue.then(() => this.writeFile(data));
+    this.writeQueue = write.catch(() => {});
+    // ↑ A failed write doesn't block the next one (the caller sees the error)
+
+    return write;
+  }
+
+  /**
+   * Replace the file atomically
+   *
+   * @param {string} data - Serialized content
+   */
+  async writeFile(data) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    // ↑ Create database/ directory if it doesn't exist
+
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, this.filePath);
+    // ↑ Readers and crashes see the old file or the new one, never a mix
+  }
+
+  /**
+   * Check that the file (or, before the first save, its directory) is writable
+   *
+   * @throws {Error} If it isn't (permissions, missing volume, ...)
+   */
+  async check() {
+    try {
+      await fs.access(this.filePath, fsConstants.R_OK | fsConstants.W_OK);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      await fs.access(path.dirname(this.filePath), fsConstants.W_OK);
+      // ↑ No file yet: saveAll() will create it
+    }
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async close() {
+    await this.writeQueue;
+  }
+}
+
+module.exports = JsonFileStorage;
@@ -0,0 +1,58 @@
+/**
+ * Firebase Token Issuer (TOKEN_ISSUER=firebase, default)
+ *
+ * Creates Firebase custom tokens, signed with the service account key.
+ * The device exchanges it with Google for an ID token (1 hour, refreshable)
+ * and sends that to Firebase and to this server's /ota routes.
+ */
+
+const admin = require('firebase-admin');
+
+const CUSTOM_TOKEN_TTL_SECONDS = 3600;
+// ↑ Fixed by Firebase: a custom token must be exchanged within 1 hour
+
+class FirebaseIssuer {
+  constructor() {
+    this.name = 'firebase';
+  }
+
+  /**
+   * @returns {boolean} True once server.js (or the CLI) initialised Firebase
+   */
+  static available() {
+    return admin.apps.length > 0;
+  }
+
+  /**
+   * Issue a device token
+   *
+   * @param {string} deviceId - Canonical device id (becomes the Firebase uid)
+   * @param {object} claims - Device claims
+   * @returns {Promise<object>} { customToken, expiresIn }
+   */
+  async issue(deviceId, claims) {
+    const customToken = await admin.auth().createCustomToken(deviceId, claims);
+    return { customToken, expiresIn: CUSTOM_TOKEN_TTL_SECONDS };
+  }
+
+  /**
+   * Verify a Firebase ID token (signature, expiry, audience)
+   *
+   * @param {string} idToken - ID token
+   * @returns {Promise<object>} Decoded token (uid, auth_time, claims)
+   */
+  verify(idToken) {
+    return admin.auth().verifyIdToken(idToken);
+  }
+
+  /**
+   * Readiness: sign a throwaway custom token (never returned or exchanged)
+   *
+   * @returns {Promise<void>} Rejects if the credentials can't sign
+   */
+  async check() {
+    await admin.auth().createCustomToken('health-check');
+  }
+}
+
+module.exports = FirebaseIssuer;
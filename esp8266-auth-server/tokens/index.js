@@ -0,0 +1,156 @@
+/**
+ * Token Issuer Factory
+ *
+ * Picks what signs device tokens from the TOKEN_ISSUER env variable:
+ *
+ *   TOKEN_ISSUER=firebase  → Firebase custom tokens (default, needs SERVICE_ACCOUNT_PATH)
+ *   TOKEN_ISSUER=jwt       → Self-hosted JWTs, keys in database/jwt-keys.json
+ *                            (JWT_KEYS_PATH to override), JWKS at /.well-known/jwks.json
+ *
+ * ISSUER INTERFACE:
+ *   name                  'firebase' or 'jwt'
+ *   issue(deviceId, claims) → Promise<{ customToken | accessToken, tokenType?, expiresIn }>
+ *   verify(token)         → Promise<decoded>  uid, auth_time/iat and the device claims
+ *   check()               → Promise<void>     Throw if it can't sign (GET /health/ready)
+ *
+ * VERIFICATION works for both issuers, whichever one signs: tokens carrying
+ * the kid of one of our keys are checked locally, anything else goes to
+ * Firebase (when it is initialised). Tokens issued before switching
+ * TOKEN_ISSUER stay valid until they expire.
+ */
+
+const path = require('path');
+
+const SigningKeyStore = require('./signingKeys');
+const JwtIssuer = require('./jwtIssuer');
+const FirebaseIssuer = require('./firebaseIssuer');
+
+const DATABASE_DIR = path.join(__dirname, '../database');
+
+const TOKEN_ISSUER = process.env.TOKEN_ISSUER || 'firebase';
+
+const JWKS_MAX_AGE_SECONDS = parseInt(process.env.JWKS_MAX_AGE_SECONDS) || 300;
+// ↑ Cache-Control of the JWKS, and how long a new key waits before signing
+
+/**
+ * Create the self-hosted JWT issuer (its key file is only written once
+ * it signs - in firebase mode it just verifies leftover keys)
+ *
+ * @returns {JwtIssuer}
+ */
+function createJwtIssuer() {
+  const ttlSeconds = parseInt(process.env.JWT_TTL_SECONDS) || 3600;
+  // ↑ Access token lifetime: 1 hour (devices re-authenticate, like with Firebase)
+
+  const keys = new SigningKeyStore(
+    process.env.JWT_KEYS_PATH || path.join(DATABASE_DIR, 'jwt-keys.json'),
+    {
+      algorithm: process.env.JWT_ALGORITHM || 'ES256',
+      tokenTtlSeconds: ttlSeconds,
+      activationDelaySeconds: JWKS_MAX_AGE_SECONDS,
+      rotationDays: parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 0
+      // ↑ 0 = rotate by hand (POST /admin/token-keys/rotate)
+    }
+  );
+
+  return new JwtIssuer(keys, {
+    issuer: process.env.JWT_ISSUER || 'esp8266-auth-server',
+    audience: process.env.JWT_AUDIENCE || 'esp8266-devices',
+    ttlSeconds
+  });
+}
+
+/**
+ * Create the configured token issuer
+ *
+ * @param {string} [issuer] - Issuer name (defaults to TOKEN_ISSUER or 'firebase')
+ * @returns {object} Issuer instance
+ * @throws {Error} If the issuer is unknown
+ */
+function createTokenIssuer(issuer = TOKEN_ISSUER) {
+  switch (issuer) {
+    case 'firebase':
+      return new FirebaseIssuer();
+
+    case 'jwt':
+      return jwtIssuer;
+
+    default:
+      throw new Error(`Unknown TOKEN_ISSUER: ${issuer} (expected firebase or jwt)`);
+  }
+}
+
+const jwtIssuer = createJwtIssuer();
+// ↑ Also built in firebase mode: verifies tokens signed before a switch back
+
+const tokenIssuer = createTokenIssuer();
+
+if (tokenIssuer === jwtIssuer) {
+  jwtIssuer.keys.current();
+  // ↑ First key created at startup - the JWKS is never empty
+}
+
+/**
+ * Verify a device token from either issuer
+ *
+ * @param {string} token - Self-hosted JWT or Firebase ID token
+ * @returns {Promise<object>} Decoded token (uid, auth_time/iat, claims)
+ * @throws {Error} If the token is invalid
+ */
+async function verifyDeviceToken(token) {
+  if (jwtIssuer.ownsToken(token)) {
+    return jwtIssuer.verify(token);
+  }
+
+  if (!FirebaseIssuer.available()) {
+    throw new Error('Token not issued by this server');
+    // ↑ Self-hosted mode without Firebase: only our own keys count
+  }
+
+  return (tokenIssuer instanceof FirebaseIssuer ? tokenIssuer : new FirebaseIssuer()).verify(token);
+}
+
+/**
+ * Published signing keys (GET /.well-known/jwks.json)
+ *
+ * @returns {object|null} JWK Set, or null in firebase mode without leftover keys
+ */
+function jwks() {
+  const set = jwtIssuer.keys.jwks();
+  return set.keys.length || TOKEN_ISSUER === 'jwt' ? set : null;
+}
+
+/**
+ * Signing key summaries (GET /admin/token-keys)
+ *
+ * @returns {object[]} See SigningKeyStore.list()
+ */
+function listSigningKeys() {
+  return jwtIssuer.keys.list();
+}
+
+/**
+ * Rotate the JWT signing key (POST /admin/token-keys/rotate)
+ *
+ * @param {string} rotatedBy - Actor
+ * @returns {object} Summary of the new key
+ * @throws {Error} In firebase mode
+ */
+function rotateSigningKey(rotatedBy) {
+  if (TOKEN_ISSUER !== 'jwt') {
+    throw new Error('Self-hosted tokens are disabled (set TOKEN_ISSUER=jwt)');
+  }
+
+  return jwtIssuer.keys.rotate(rotatedBy);
+}
+
+module.exports = {
+  TOKEN_ISSUER,
+  JWKS_MAX_AGE_SECONDS,
+  createTokenIssuer,
+  tokenIssuer,
+  verifyDeviceToken,
+  jwks,
+  listSigningKeys,
+  rotateSigningKey
+};
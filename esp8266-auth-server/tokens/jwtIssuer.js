@@ -0,0 +1,183 @@
+/**
+ * Self-hosted JWT Issuer (TOKEN_ISSUER=jwt)
+ *
+ * Signs short-lived access tokens with a locally managed key pair
+ * (see signingKeys.js) - no Firebase project needed. Devices send the
+ * token as is (Authorization: Bearer <accessToken>) to this server's
+ * /ota routes and to any service that verifies it against the JWKS
+ * (GET /.well-known/jwks.json), e.g. an MQTT broker.
+ *
+ * TOKEN:
+ *   header  { alg: ES256 | RS256, typ: JWT, kid }
+ *   payload { iss: JWT_ISSUER, aud: JWT_AUDIENCE, sub: deviceId,
+ *             iat, exp, auth_time, jti, ...device claims }
+ *
+ * Device claims are the same as in a Firebase custom token
+ * (deviceType, tenantId, permissions, firmwareVersion, ...).
+ */
+
+const crypto = require('crypto');
+const { CLOCK_SKEW_SECONDS } = require('./signingKeys');
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const RESERVED_CLAIMS = ['iss', 'aud', 'sub', 'iat', 'nbf', 'exp', 'auth_time', 'jti'];
+// ↑ Set by the issuer - device claims can't override them
+
+// ============================================
+// JWT ISSUER CLASS
+// ============================================
+
+class JwtIssuer {
+  /**
+   * @param {SigningKeyStore} keys - Signing keys
+   * @param {object} options
+   * @param {string} options.issuer - iss claim
+   * @param {string} options.audience - aud claim
+   * @param {number} options.ttlSeconds - Token lifetime
+   */
+  constructor(keys, { issuer, audience, ttlSeconds }) {
+    this.name = 'jwt';
+    this.keys = keys;
+    this.issuer = issuer;
+    this.audience = audience;
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  /**
+   * Encode and sign a token with the current key
+   *
+   * @param {object} payload - Claims
+   * @returns {string} Compact JWT
+   */
+  sign(payload) {
+    const { kid, alg, privateKey } = this.keys.current();
+
+    const header = Buffer.from(JSON.stringify({ alg, typ: 'JWT', kid })).toString('base64url');
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${body}`), {
+      key: privateKey,
+      dsaEncoding: 'ieee-p1363'
+      // ↑ JWS wants r||s for ES256, not DER (ignored for RSA)
+    });
+
+    return `${header}.${body}.${signature.toString('base64url')}`;
+  }
+
+  /**
+   * Issue a device token
+   *
+   * @param {string} deviceId - Canonical device id (sub)
+   * @param {object} claims - Device claims
+   * @returns {Promise<object>} { accessToken, tokenType, expiresIn }
+   */
+  async issue(deviceId, claims) {
+    const now = Math.floor(Date.now() / 1000);
+    const deviceClaims = { ...claims };
+    RESERVED_CLAIMS.forEach(name => delete deviceClaims[name]);
+
+    const accessToken = this.sign({
+      ...deviceClaims,
+      iss: this.issuer,
+      aud: this.audience,
+      sub: deviceId,
+      iat: now,
+      exp: now + this.ttlSeconds,
+      auth_time: now,
+      // ↑ Checked against the device's tokensRevokedAt (middleware/deviceAuth.js)
+      jti: crypto.randomBytes(16).toString('hex')
+    });
+
+    return { accessToken, tokenType: 'Bearer', expiresIn: this.ttlSeconds };
+  }
+
+  /**
+   * Read a token's header without verifying it
+   *
+   * @param {string} token - Compact JWT
+   * @returns {object|null} Header, or null if it isn't a JWT
+   */
+  static header(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) return null;
+
+    try {
+      const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+      return header && typeof header === 'object' ? header : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Was this token signed with one of our (published) keys?
+   *
+   * @param {string} token - Compact JWT
+   * @returns {boolean}
+   */
+  ownsToken(token) {
+    const header = JwtIssuer.header(token);
+    return Boolean(header && this.keys.find(header.kid));
+  }
+
+  /**
+   * Verify a token: signature, issuer, audience, expiry
+   *
+   * @param {string} token - Compact JWT
+   * @returns {Promise<object>} Claims, plus uid (= sub) like a Firebase decoded ID token
+   * @throws {Error} If the token is invalid
+   */
+  async verify(token) {
+    const header = JwtIssuer.header(token);
+    if (!header) throw new Error('Malformed token');
+
+    const key = this.keys.find(header.kid);
+    if (!key) throw new Error('Token signed with an unknown key');
+    if (header.alg !== key.alg) throw new Error('Token algorithm does not match its key');
+    // ↑ Never let the token pick the algorithm ("none", HS256 with the public key...)
+
+    const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+    const valid = crypto.verify(
+      'sha256',
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      { key: key.publicKey, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(encodedSignature, 'base64url')
+    );
+    if (!valid) throw new Error('Invalid token signature');
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('Malformed token');
+    }
+
+    if (payload.iss !== this.issuer || payload.aud !== this.audience) {
+      throw new Error('Token issuer or audience mismatch');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+
+    if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+      throw new Error('Token has expired');
+    }
+    if (typeof payload.iat !== 'number' || payload.iat - CLOCK_SKEW_SECONDS > now) {
+      throw new Error('Token issued in the future');
+    }
+
+    return { ...payload, uid: payload.sub };
+  }
+
+  /**
+   * Readiness: the current key can sign (GET /health/ready)
+   *
+   * @returns {Promise<void>}
+   */
+  async check() {
+    this.sign({ sub: 'health-check' });
+  }
+}
+
+module.exports = JwtIssuer;